@@ -0,0 +1,181 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// POST submits several programs as one batch, GET ?batchId= reports its progress
+$method = $_SERVER['REQUEST_METHOD'];
+
+if ($method !== 'POST' && $method !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$principal = authenticate();
+
+try {
+    $redis = getRedis();
+
+    if ($method === 'GET') {
+        $batchId = $_GET['batchId'] ?? '';
+        $after = $_GET['after'] ?? '0';
+
+        if (!is_string($batchId) || !preg_match(BATCH_ID_PATTERN, $batchId)) {
+            sendError('Invalid batch ID');
+        }
+
+        if (!is_string($after) || !ctype_digit($after)) {
+            sendError('Invalid after: must be a number of results');
+        }
+
+        $meta = $redis->get('batch:' . $batchId);
+        $meta = $meta ? json_decode($meta, true) : null;
+
+        // Other callers' batches are reported as missing
+        if (!is_array($meta) || ($meta['createdBy'] !== $principal['id'] && $principal['role'] !== 'admin')) {
+            sendError('Batch not found', 404);
+        }
+
+        // Item indexes in the order they completed; clients page through them with after
+        $done = array_map('intval', $redis->lrange('batch:done:' . $batchId, 0, -1));
+        $new = array_slice($done, (int) $after);
+        $results = $new ? $redis->hmget('batch:results:' . $batchId, $new) : [];
+
+        $items = [];
+        foreach ($new as $i => $index) {
+            $result = json_decode($results[$i] ?? 'null', true);
+            $items[] = [
+                'index' => $index,
+                'jobId' => $meta['jobIds'][$index],
+                'status' => !empty($result['cancelled']) ? 'cancelled' : 'completed',
+                'result' => $result
+            ];
+        }
+
+        // Unfinished items are either running on a worker or still queued
+        $unfinished = array_values(array_diff(array_keys($meta['jobIds']), $done));
+        $statuses = $unfinished ? $redis->mget(array_map(fn($index) => 'job:status:' . $meta['jobIds'][$index], $unfinished)) : [];
+        $processing = count(array_filter($statuses, fn($status) => $status && (json_decode($status, true)['status'] ?? null) === 'processing'));
+
+        sendJson([
+            'success' => true,
+            'batchId' => $batchId,
+            'status' => $unfinished ? 'running' : 'completed',
+            'total' => $meta['total'],
+            'completed' => count($done),
+            'processing' => $processing,
+            'queued' => count($unfinished) - $processing,
+            'items' => $items,
+            'next' => count($done)
+        ]);
+    }
+
+    // Batches belong to a key or client, not to a live session
+    if ($principal['sessionId'] !== null) {
+        sendError('Session tokens cannot submit batches', 403);
+    }
+
+    // Parse JSON body
+    $input = json_decode(file_get_contents('php://input'), true);
+
+    if (!$input) {
+        sendError('Invalid JSON body');
+    }
+
+    $items = $input['items'] ?? null;
+    $priority = $input['priority'] ?? 'normal';
+
+    if (!is_array($items) || empty($items) || !array_is_list($items)) {
+        sendError('Invalid items: must be a non-empty array');
+    }
+
+    if (count($items) > MAX_BATCH_ITEMS) {
+        sendError('Too many items. Maximum ' . MAX_BATCH_ITEMS . ' per batch.');
+    }
+
+    if (!is_string($priority) || !in_array($priority, JOB_PRIORITIES, true)) {
+        sendError('Invalid priority: must be one of ' . implode(', ', JOB_PRIORITIES));
+    }
+
+    // Every item is validated like a single execution before anything is queued
+    $requests = [];
+    foreach ($items as $i => $item) {
+        $requests[] = parseJobRequest($item, "Item $i: ");
+    }
+
+    // Each item counts as one execution; a batch over the whole limit could never run
+    if (count($requests) > $principal['rateLimit']) {
+        sendError('Batch too large: ' . count($requests) . ' items exceed the rate limit of ' . $principal['rateLimit'] . ' executions per minute. Use an API key with a higher rateLimit or split the batch.');
+    }
+
+    $clientIp = getClientIp();
+    if (!checkRateLimit($principal, count($requests))) {
+        sendError('Rate limit exceeded. This batch needs ' . count($requests) . ' of your ' . $principal['rateLimit'] . ' executions per minute.', 429);
+    }
+
+    $batchId = 'batch_' . bin2hex(random_bytes(16));
+    $tenant = getJobTenant(null, $principal);
+    $jobIds = [];
+    $jobs = [];
+    $cached = [];
+
+    foreach ($requests as $index => $request) {
+        $cachedResult = getCachedResult($request);
+
+        if ($cachedResult) {
+            $jobIds[] = 'cached_' . uniqid('', true);
+            $cached[$index] = json_encode($cachedResult + ['cached' => true], JSON_UNESCAPED_UNICODE);
+            continue;
+        }
+
+        $job = createJob($request, $tenant, $priority, $clientIp);
+        $job['batchId'] = $batchId; // the worker adds the result to the batch
+        $job['batchIndex'] = $index;
+        registerJob($job, $principal, null);
+
+        $jobIds[] = $job['id'];
+        $jobs[] = $job;
+    }
+
+    $redis->setex('batch:' . $batchId, BATCH_TTL, json_encode([
+        'id' => $batchId,
+        'total' => count($requests),
+        'jobIds' => $jobIds,
+        'createdBy' => $principal['id'],
+        'createdAt' => time()
+    ]));
+
+    // Cached items are complete from the start
+    if ($cached) {
+        $redis->hmset('batch:results:' . $batchId, $cached);
+        $redis->rpush('batch:done:' . $batchId, array_keys($cached));
+        $redis->expire('batch:results:' . $batchId, BATCH_TTL);
+        $redis->expire('batch:done:' . $batchId, BATCH_TTL);
+    }
+
+    // One queue entry for the batch; the worker that claims it queues the items
+    // as jobs of their own, so they run under the usual concurrency limits
+    if ($jobs) {
+        $redis->setex('batch:jobs:' . $batchId, BATCH_TTL, json_encode($jobs, JSON_UNESCAPED_UNICODE));
+        enqueueJob([
+            'id' => $batchId,
+            'batch' => true,
+            'tenant' => $tenant,
+            'priority' => $priority,
+            'createdAt' => time()
+        ]);
+    }
+
+    sendJson([
+        'success' => true,
+        'batchId' => $batchId,
+        'status' => $jobs ? 'queued' : 'completed',
+        'total' => count($requests),
+        'cached' => count($cached),
+        'jobIds' => $jobIds
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Batch error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
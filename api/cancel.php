@@ -0,0 +1,85 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+$principal = authenticate();
+
+// Parse JSON body
+$input = json_decode(file_get_contents('php://input'), true);
+
+if (!$input) {
+    sendError('Invalid JSON body');
+}
+
+$jobId = $input['jobId'] ?? null;
+
+if (!$jobId || !is_string($jobId)) {
+    sendError('Missing required field: jobId');
+}
+
+// Validate job ID format (prevent injection)
+if (!preg_match('/^job_[a-zA-Z0-9._]+$/', $jobId)) {
+    sendError('Invalid job ID format');
+}
+
+try {
+    $redis = getRedis();
+
+    // Other callers' jobs are reported as missing
+    if (!canAccessJob($principal, $jobId)) {
+        sendError('Job not found', 404);
+    }
+
+    // Already finished - nothing to cancel
+    if ($redis->exists('job:result:' . $jobId)) {
+        sendJson([
+            'success' => true,
+            'jobId' => $jobId,
+            'status' => 'completed'
+        ]);
+    }
+
+    $statusData = $redis->get('job:status:' . $jobId);
+
+    if (!$statusData) {
+        sendError('Job not found', 404);
+    }
+
+    // The worker watches this flag: running jobs are killed, queued jobs are dropped.
+    // It lasts as long as the job can wait in the queue; the worker removes it.
+    $redis->setex('job:cancel:' . $jobId, JOB_QUEUE_TTL, '1');
+
+    // Queued jobs are reported as cancelled right away
+    $status = json_decode($statusData, true);
+    if (($status['status'] ?? 'pending') === 'pending') {
+        $redis->setex('job:result:' . $jobId, JOB_RESULT_TTL, json_encode([
+            'stdout' => '',
+            'stderr' => 'Execution cancelled',
+            'exitCode' => -1,
+            'cancelled' => true,
+            'executionTime' => 0
+        ]));
+        $redis->del('job:status:' . $jobId);
+
+        // Close any open output stream (api/stream.php)
+        $redis->executeRaw(['XADD', 'job:output:' . $jobId, '*', 'type', 'end', 'data', '']);
+        $redis->expire('job:output:' . $jobId, JOB_RESULT_TTL);
+    }
+
+    sendJson([
+        'success' => true,
+        'jobId' => $jobId,
+        'status' => 'cancelled'
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Cancel error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
@@ -6,13 +6,40 @@ define('REDIS_HOST', getenv('REDIS_HOST') ?: '127.0.0.1');
 define('REDIS_PORT', (int)(getenv('REDIS_PORT') ?: 6379));
 define('REDIS_PASSWORD', getenv('REDIS_PASSWORD') ?: null);
 
-// Rate Limiting
-define('RATE_LIMIT_MAX', 10);
+// Rate Limiting (per API key, session token or anonymous client IP)
+define('RATE_LIMIT_MAX', 10); // default; API keys may set their own
 define('RATE_LIMIT_WINDOW', 60); // seconds
 
+// Authentication: "Authorization: Bearer <API key>" or "Bearer <sessionId>:<session token>"
+define('AUTH_REQUIRED', filter_var(getenv('AUTH_REQUIRED') ?: 'false', FILTER_VALIDATE_BOOLEAN)); // false: anonymous clients allowed
+define('ADMIN_API_KEY', getenv('ADMIN_API_KEY') ?: ''); // bootstrap admin key, used to create the others
+define('API_KEY_PATTERN', '/^jot_[a-f0-9]{40}$/');
+define('API_KEY_ID_PATTERN', '/^key_[a-f0-9]{8}$/');
+define('SESSION_CREDENTIAL_PATTERN', '/^(sess_[a-f0-9]{16}):([a-f0-9]{32})$/');
+define('MAX_KEY_RATE_LIMIT', 10000); // requests per window
+const API_ROLES = ['candidate', 'interviewer', 'admin'];
+define('JOB_OWNER_TTL', 90000); // outlives a job's wait in the queue (JOB_QUEUE_TTL) and then its result
+// Reverse proxies whose X-Forwarded-For is believed (comma-separated IPs); others' is ignored
+define('TRUSTED_PROXIES', array_values(array_filter(array_map('trim', explode(',', getenv('TRUSTED_PROXIES') ?: '')))));
+
+// Input limits
+define('MAX_CODE_SIZE', 65536); // 64KB
+define('MAX_STDIN_SIZE', 65536); // 64KB
+define('MAX_TEST_CASES', 50);
+
+// Multi-file projects (must match workers/executor.js)
+define('MAX_PROJECT_FILES', 32);
+define('MAX_PROJECT_SIZE', 262144); // 256KB across all files
+define('FILE_PATH_PATTERN', '/^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*){0,4}$/');
+const RESERVED_FILES = ['output', 'nsjail.cfg'];
+
 // Cache TTLs
 define('CACHE_TTL', 3600); // 1 hour for execution cache
+define('TOOLCHAINS_KEY', 'languages:toolchains'); // toolchain versions published by the workers
 define('JOB_RESULT_TTL', 300); // 5 minutes for job results
+// Queued jobs do not expire: their pending status and cancel flag last until a
+// worker takes the job, and this long only for jobs lost from the queue
+define('JOB_QUEUE_TTL', 86400); // must match workers/worker.js
 
 // Sandbox paths (configurable via environment)
 define('APP_ROOT', getenv('APP_ROOT') ?: '/var/www/code-executor');
@@ -20,94 +47,77 @@ define('SANDBOX_BASE', APP_ROOT . '/sandbox');
 define('SANDBOX_JOBS', SANDBOX_BASE . '/jobs');
 define('NSJAIL_CONFIG_DIR', APP_ROOT . '/config/nsjail');
 
+// Live output streaming (api/stream.php)
+define('STREAM_MAX_DURATION', 150); // seconds per SSE connection
+
+// Collaborative sessions (synced by workers/session-server.js)
+define('SESSION_TTL', 86400); // 24 hours, refreshed while the session is in use
+define('SESSION_WS_URL', getenv('SESSION_WS_URL') ?: ''); // empty: same origin, path /session
+define('SESSION_ID_PATTERN', '/^sess_[a-f0-9]{16}$/');
+define('SESSION_CLIENT_ID_PATTERN', '/^[a-f0-9]{12}$/'); // a participant's connection, as given out by the sync service
+
+// Interactive terminals (served by workers/terminal-server.js)
+define('TERMINAL_TICKET_TTL', 60); // seconds to open the WebSocket after requesting a terminal
+define('TERMINAL_WS_URL', getenv('TERMINAL_WS_URL') ?: ''); // empty: same origin, path /terminal
+
+// Saved snippets (permalinks to a prepared problem)
+define('SNIPPET_TTL', (int)(getenv('SNIPPET_TTL') ?: 2592000)); // 30 days
+define('SNIPPET_ID_PATTERN', '/^[A-Za-z0-9]{8}$/');
+define('SNIPPET_ID_ALPHABET', 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789');
+define('MAX_SNIPPET_RESULT_SIZE', 262144); // 256KB, JSON-encoded
+// Result fields kept with a snippet, as shown by the editor
+define('SNIPPET_RESULT_FIELDS', [
+    'stdout', 'stderr', 'exitCode', 'termination', 'signal', 'compileError', 'executionTime',
+    'stats', 'tests', 'passed', 'total', 'diagnostics'
+]);
+
+// Problem bank: {id}.json (starter code, tests) and {id}.md (statement) per problem
+define('PROBLEMS_DIR', getenv('PROBLEMS_DIR') ?: APP_ROOT . '/config/problems');
+define('PROBLEM_ID_PATTERN', '/^[a-z0-9][a-z0-9-]{0,63}$/');
+const PROBLEM_DIFFICULTIES = ['easy', 'medium', 'hard'];
+
 // Queue name
 define('QUEUE_NAME', 'code-execution');
 
-// Language configurations
-const LANGUAGE_CONFIG = [
-    'python' => [
-        'name' => 'Python 3',
-        'extension' => 'py',
-        'compile' => false,
-        'binary' => '/usr/bin/python3',
-        'timeout' => 30,
-        'memory_limit' => 268435456, // 256MB
-        'nsjail_config' => 'python.cfg',
-        'hello_world' => 'print("Hello, World!")'
-    ],
-    'c' => [
-        'name' => 'C (GCC)',
-        'extension' => 'c',
-        'compile' => true,
-        'compiler' => '/usr/bin/gcc',
-        'compile_args' => ['-O2', '-Wall', '-o', 'output'],
-        'binary' => './output',
-        'timeout' => 60,
-        'memory_limit' => 536870912, // 512MB
-        'nsjail_config' => 'c.cfg',
-        'hello_world' => "#include <stdio.h>\nint main() {\n    printf(\"Hello, World!\\\\n\");\n    return 0;\n}"
-    ],
-    'cpp' => [
-        'name' => 'C++ (G++)',
-        'extension' => 'cpp',
-        'compile' => true,
-        'compiler' => '/usr/bin/g++',
-        'compile_args' => ['-O2', '-Wall', '-std=c++17', '-o', 'output'],
-        'binary' => './output',
-        'timeout' => 60,
-        'memory_limit' => 536870912, // 512MB
-        'nsjail_config' => 'cpp.cfg',
-        'hello_world' => "#include <iostream>\nint main() {\n    std::cout << \"Hello, World!\" << std::endl;\n    return 0;\n}"
-    ],
-    'java' => [
-        'name' => 'Java',
-        'extension' => 'java',
-        'compile' => true,
-        'compiler' => '/usr/bin/javac',
-        'compile_args' => [],
-        'binary' => '/usr/bin/java',
-        'run_args' => ['Main'],
-        'timeout' => 60,
-        'memory_limit' => 805306368, // 768MB
-        'nsjail_config' => 'java.cfg',
-        'source_filename' => 'Main.java',
-        'hello_world' => "public class Main {\n    public static void main(String[] args) {\n        System.out.println(\"Hello, World!\");\n    }\n}"
-    ],
-    'go' => [
-        'name' => 'Go',
-        'extension' => 'go',
-        'compile' => true,
-        'compiler' => '/usr/bin/go',
-        'compile_args' => ['build', '-o', 'output'],
-        'binary' => './output',
-        'timeout' => 60,
-        'memory_limit' => 536870912, // 512MB
-        'nsjail_config' => 'go.cfg',
-        'hello_world' => "package main\n\nimport \"fmt\"\n\nfunc main() {\n    fmt.Println(\"Hello, World!\")\n}"
-    ],
-    'rust' => [
-        'name' => 'Rust',
-        'extension' => 'rs',
-        'compile' => true,
-        'compiler' => '/usr/bin/rustc',
-        'compile_args' => ['-O', '-o', 'output'],
-        'binary' => './output',
-        'timeout' => 90,
-        'memory_limit' => 1073741824, // 1GB
-        'nsjail_config' => 'rust.cfg',
-        'hello_world' => "fn main() {\n    println!(\"Hello, World!\");\n}"
-    ],
-    'php' => [
-        'name' => 'PHP',
-        'extension' => 'php',
-        'compile' => false,
-        'binary' => '/usr/bin/php',
-        'timeout' => 30,
-        'memory_limit' => 268435456, // 256MB
-        'nsjail_config' => 'php.cfg',
-        'hello_world' => "<?php\necho \"Hello, World!\\\\n\";\n?>"
-    ]
-];
+// Job scheduling (must match workers/queue.js)
+const JOB_PRIORITIES = ['high', 'normal', 'low']; // highest first
+define('QUEUE_NOTIFY_LIMIT', 100); // wake-up tokens kept for idle workers
+define('DEFAULT_JOB_DURATION', 2000); // ms, used for wait estimates until workers report durations
+define('WORKER_STALE_AFTER', 60); // seconds without an announcement before a worker's capacity is ignored
+
+// Batches (api/batch.php)
+define('MAX_BATCH_ITEMS', 100);
+define('BATCH_TTL', 3600); // results stay readable this long; must match workers/batches.js
+define('BATCH_ID_PATTERN', '/^batch_[a-f0-9]{32}$/');
+
+// Language definitions (one JSON file per language, shared with the worker)
+define('LANGUAGES_DIR', getenv('LANGUAGES_DIR') ?: APP_ROOT . '/config/languages');
+define('LANGUAGE_CONFIG', loadLanguageDefinitions(LANGUAGES_DIR));
+
+/**
+ * Load language definitions keyed by language ID
+ * Invalid files are skipped here; the worker reports them at startup
+ */
+function loadLanguageDefinitions(string $dir): array {
+    $languages = [];
+
+    foreach (glob($dir . '/*.json') ?: [] as $file) {
+        $definition = json_decode((string) file_get_contents($file), true);
+        $id = basename($file, '.json');
+
+        if (!is_array($definition) || ($definition['id'] ?? null) !== $id
+            || !isset($definition['name'], $definition['extension'], $definition['sourceFile'], $definition['timeout'], $definition['memoryLimit'])) {
+            error_log('Skipping invalid language definition: ' . $file);
+            continue;
+        }
+
+        $languages[$id] = $definition;
+    }
+
+    ksort($languages);
+
+    return $languages;
+}
 
 /**
  * Get Redis connection using Predis
@@ -133,27 +143,760 @@ function getRedis(): \Predis\Client {
 }
 
 /**
- * Generate cache key from language and code
+ * Toolchain version, sandbox limits and compile options a cached result
+ * depends on, or null while no worker has published the language's version
+ * Must match getCacheScope() in workers/worker.js
+ */
+function getCacheScope(string $language, array $compileOptions): ?string {
+    $version = getRedis()->hget(TOOLCHAINS_KEY, $language);
+    if ($version === null) {
+        return null;
+    }
+
+    $config = LANGUAGE_CONFIG[$language];
+    $scope = $version . '|' . $config['timeout'] . '|' . $config['memoryLimit'];
+
+    $options = [];
+    foreach (resolveCompileOptions($language, $compileOptions) as $name => $value) {
+        $options[] = $name . '=' . $value;
+    }
+
+    return $options ? $scope . '|' . implode(',', $options) : $scope;
+}
+
+/**
+ * Allow-listed compile options of a language: name => { label, default, choices }
+ */
+function getCompileOptionDefinitions(string $language): array {
+    return LANGUAGE_CONFIG[$language]['compile']['options'] ?? [];
+}
+
+/**
+ * Validate selected compile options (name => choice value)
+ * Returns an error message, or null if every name and value is allowed
+ * Must match validateCompileOptions() in workers/languages.js
+ */
+function validateCompileOptions(mixed $selected, string $language): ?string {
+    if (!is_array($selected) || ($selected !== [] && array_is_list($selected))) {
+        return 'Invalid compile options: must be an object';
+    }
+
+    $definitions = getCompileOptionDefinitions($language);
+
+    foreach ($selected as $name => $value) {
+        if (!is_string($name) || !isset($definitions[$name])) {
+            return 'Unknown compile option: ' . $name;
+        }
+
+        $values = array_column($definitions[$name]['choices'], 'value');
+        if (!is_string($value) || !in_array($value, $values, true)) {
+            return 'Invalid value for compile option ' . $name;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Every compile option of a language with defaults filled in, in definition order
+ */
+function resolveCompileOptions(string $language, array $selected): array {
+    $resolved = [];
+
+    foreach (getCompileOptionDefinitions($language) as $name => $option) {
+        $resolved[$name] = $selected[$name] ?? $option['default'];
+    }
+
+    return $resolved;
+}
+
+/**
+ * Generate cache key from language, cache scope, code and stdin
+ * Must match getCacheKey() in workers/worker.js
+ */
+function getCacheKey(string $language, string $scope, string $code, string $stdin = ''): string {
+    return 'cache:' . hash('sha256', $language . ':' . $scope . ':' . hash('sha256', $stdin) . ':' . $code);
+}
+
+/**
+ * Cache key of a compile error, shared by every stdin and test run of the code
+ * Must match getCompileErrorKey() in workers/worker.js
+ */
+function getCompileErrorKey(string $language, string $scope, string $code): string {
+    return 'cache:compile:' . hash('sha256', $language . ':' . $scope . ':' . $code);
+}
+
+/**
+ * Canonical string for a multi-file project, used in place of code in cache keys
+ * Must match serializeFiles() in workers/worker.js
+ */
+function serializeFiles(array $files): string {
+    ksort($files, SORT_STRING);
+
+    $serialized = '';
+    foreach ($files as $path => $content) {
+        $serialized .= $path . ':' . hash('sha256', $content) . "\n";
+    }
+
+    return $serialized;
+}
+
+/**
+ * Entry source file name for a language (e.g. main.py, Main.java)
+ */
+function getSourceFilename(string $language): string {
+    return LANGUAGE_CONFIG[$language]['sourceFile'];
+}
+
+/**
+ * Validate a multi-file project map of path => content
+ * Returns an error message, or null if the project is valid
+ */
+function validateProjectFiles(mixed $files, string $language): ?string {
+    if (!is_array($files) || empty($files) || array_is_list($files)) {
+        return 'Invalid files: must be an object mapping paths to contents';
+    }
+
+    if (count($files) > MAX_PROJECT_FILES) {
+        return 'Too many files. Maximum ' . MAX_PROJECT_FILES . ' per project.';
+    }
+
+    $totalSize = 0;
+
+    foreach ($files as $path => $content) {
+        // Relative paths only: no "..", no leading "/", limited depth
+        if (!is_string($path) || !preg_match(FILE_PATH_PATTERN, $path) || in_array($path, RESERVED_FILES, true)) {
+            return 'Invalid file path: ' . $path;
+        }
+
+        if (!is_string($content)) {
+            return 'Invalid content for file: ' . $path;
+        }
+
+        $totalSize += strlen($content);
+    }
+
+    if ($totalSize > MAX_PROJECT_SIZE) {
+        return 'Project exceeds maximum size of 256KB';
+    }
+
+    $entry = getSourceFilename($language);
+    if (trim($files[$entry] ?? '') === '') {
+        return 'Missing entry file: ' . $entry;
+    }
+
+    return null;
+}
+
+/**
+ * Load a problem definition with its statement, or null if it does not exist or is invalid
+ * Starter code for unknown languages is dropped; the remaining languages are
+ * the ones the problem accepts. Tests are normalized to the shape execute.php
+ * sends to the worker: { stdin, expectedOutput, timeout }.
+ * Hidden tests must never be sent to the browser.
+ */
+function loadProblem(string $problemId): ?array {
+    if (!preg_match(PROBLEM_ID_PATTERN, $problemId)) {
+        return null;
+    }
+
+    $file = PROBLEMS_DIR . '/' . $problemId . '.json';
+    if (!is_file($file)) {
+        return null;
+    }
+
+    $problem = json_decode((string) file_get_contents($file), true);
+    $statement = @file_get_contents(PROBLEMS_DIR . '/' . $problemId . '.md');
+
+    if (!is_array($problem) || ($problem['id'] ?? null) !== $problemId || $statement === false
+        || !is_string($problem['title'] ?? null) || !in_array($problem['difficulty'] ?? null, PROBLEM_DIFFICULTIES, true)
+        || !is_array($problem['starter'] ?? null)) {
+        error_log('Skipping invalid problem definition: ' . $file);
+        return null;
+    }
+
+    $samples = normalizeProblemTests($problem['samples'] ?? []);
+    $hidden = normalizeProblemTests($problem['hidden'] ?? null);
+    $starter = array_filter(
+        $problem['starter'],
+        fn($code, $language) => is_string($code) && isset(LANGUAGE_CONFIG[$language]),
+        ARRAY_FILTER_USE_BOTH
+    );
+
+    if ($samples === null || $hidden === null || empty($hidden) || empty($starter)) {
+        error_log('Skipping invalid problem definition: ' . $file);
+        return null;
+    }
+
+    $compare = $problem['compare'] ?? [];
+
+    return [
+        'id' => $problemId,
+        'title' => $problem['title'],
+        'difficulty' => $problem['difficulty'],
+        'statement' => $statement,
+        'starter' => $starter,
+        'samples' => $samples,
+        'hidden' => $hidden,
+        'compare' => [
+            'ignoreWhitespace' => (bool) ($compare['ignoreWhitespace'] ?? false),
+            'ignoreTrailingNewline' => (bool) ($compare['ignoreTrailingNewline'] ?? true)
+        ]
+    ];
+}
+
+/**
+ * Test cases of a problem file in execute.php's shape, or null if any case is malformed
+ */
+function normalizeProblemTests(mixed $tests): ?array {
+    if (!is_array($tests) || !array_is_list($tests) || count($tests) > MAX_TEST_CASES) {
+        return null;
+    }
+
+    $normalized = [];
+    foreach ($tests as $test) {
+        $timeout = $test['timeout'] ?? null;
+
+        if (!is_string($test['stdin'] ?? null) || !is_string($test['expectedOutput'] ?? null)
+            || ($timeout !== null && (!is_numeric($timeout) || $timeout <= 0))) {
+            return null;
+        }
+
+        $normalized[] = [
+            'stdin' => $test['stdin'],
+            'expectedOutput' => $test['expectedOutput'],
+            'timeout' => $timeout !== null ? (float) $timeout : null
+        ];
+    }
+
+    return $normalized;
+}
+
+/**
+ * IDs of every problem in the bank, sorted
+ */
+function listProblemIds(): array {
+    $ids = [];
+
+    foreach (glob(PROBLEMS_DIR . '/*.json') ?: [] as $file) {
+        $id = basename($file, '.json');
+        if (preg_match(PROBLEM_ID_PATTERN, $id)) {
+            $ids[] = $id;
+        }
+    }
+
+    sort($ids);
+
+    return $ids;
+}
+
+/**
+ * Load a session's metadata (tokens, creation time), or null if it does not exist or expired
+ */
+function loadSessionMeta(string $sessionId): ?array {
+    if (!preg_match(SESSION_ID_PATTERN, $sessionId)) {
+        return null;
+    }
+
+    $meta = getRedis()->get('session:' . $sessionId);
+
+    return $meta ? json_decode($meta, true) : null;
+}
+
+/**
+ * Role a session token grants: 'editor', 'observer', or null for an invalid token
+ */
+function getSessionRole(array $meta, string $token): ?string {
+    if (hash_equals($meta['editToken'], $token)) {
+        return 'editor';
+    }
+
+    if (hash_equals($meta['observeToken'], $token)) {
+        return 'observer';
+    }
+
+    return null;
+}
+
+/**
+ * Caller of the request: the owner of an API key, a live session participant
+ * (the edit token makes a candidate, the observe token an interviewer), or an
+ * anonymous client when AUTH_REQUIRED is off
+ * Invalid credentials are rejected, never treated as anonymous.
+ *
+ * Returns ['id', 'role', 'sessionId', 'rateLimit']; the ID names the caller in
+ * job ownership and rate limits.
+ */
+function authenticate(): array {
+    $header = $_SERVER['HTTP_AUTHORIZATION'] ?? '';
+
+    if ($header === '') {
+        if (AUTH_REQUIRED) {
+            sendError('Authentication required', 401);
+        }
+
+        return [
+            'id' => 'ip:' . substr(hash('sha256', getClientIp()), 0, 16),
+            'role' => 'anonymous',
+            'sessionId' => null,
+            'rateLimit' => RATE_LIMIT_MAX
+        ];
+    }
+
+    $principal = preg_match('/^Bearer\s+(\S+)$/', $header, $matches) ? resolveCredential($matches[1]) : null;
+    if ($principal === null) {
+        sendError('Invalid credentials', 401);
+    }
+
+    return $principal;
+}
+
+/**
+ * Caller named by a bearer credential, or null if it is unknown or revoked
+ */
+function resolveCredential(string $credential): ?array {
+    if (preg_match(SESSION_CREDENTIAL_PATTERN, $credential, $matches)) {
+        $meta = loadSessionMeta($matches[1]);
+        $sessionRole = $meta !== null ? getSessionRole($meta, $matches[2]) : null;
+
+        if ($sessionRole === null) {
+            return null;
+        }
+
+        return [
+            'id' => 'session:' . $matches[1] . ':' . $sessionRole,
+            'role' => $sessionRole === 'editor' ? 'candidate' : 'interviewer',
+            'sessionId' => $matches[1],
+            'rateLimit' => RATE_LIMIT_MAX
+        ];
+    }
+
+    if (ADMIN_API_KEY !== '' && hash_equals(ADMIN_API_KEY, $credential)) {
+        return ['id' => 'key:admin', 'role' => 'admin', 'sessionId' => null, 'rateLimit' => RATE_LIMIT_MAX];
+    }
+
+    if (!preg_match(API_KEY_PATTERN, $credential)) {
+        return null;
+    }
+
+    // Keys are stored by hash only
+    $key = getRedis()->get('apikey:' . hash('sha256', $credential));
+    $key = $key ? json_decode($key, true) : null;
+
+    if (!is_array($key)) {
+        return null;
+    }
+
+    return [
+        'id' => 'key:' . $key['id'],
+        'role' => $key['role'],
+        'sessionId' => null,
+        'rateLimit' => $key['rateLimit']
+    ];
+}
+
+/**
+ * Stop with 403 unless the caller has one of the given roles ('anonymous' included)
+ */
+function requireRole(array $principal, array $roles, string $message = 'Not allowed for this role'): void {
+    if (!in_array($principal['role'], $roles, true)) {
+        sendError($message, 403);
+    }
+}
+
+/**
+ * Record who submitted a job, and the live session it ran in, for canAccessJob()
+ */
+function setJobOwner(string $jobId, array $principal, ?string $sessionId): void {
+    getRedis()->setex('job:owner:' . $jobId, JOB_OWNER_TTL, json_encode([
+        'principal' => $principal['id'],
+        'sessionId' => $sessionId
+    ]));
+}
+
+/**
+ * Whether the caller may read or cancel a job: its submitter, an interviewer
+ * of the session it ran in (by observe token, or the key that created the
+ * session), or an admin
+ */
+function canAccessJob(array $principal, string $jobId): bool {
+    if ($principal['role'] === 'admin') {
+        return true;
+    }
+
+    $owner = getRedis()->get('job:owner:' . $jobId);
+    $owner = $owner ? json_decode($owner, true) : null;
+
+    if (!is_array($owner)) {
+        return false;
+    }
+
+    if ($owner['principal'] === $principal['id']) {
+        return true;
+    }
+
+    $sessionId = $owner['sessionId'] ?? null;
+    if ($sessionId === null || $principal['role'] !== 'interviewer') {
+        return false;
+    }
+
+    if ($principal['sessionId'] === $sessionId) {
+        return true;
+    }
+
+    $meta = loadSessionMeta($sessionId);
+
+    return $meta !== null && ($meta['createdBy'] ?? null) === $principal['id'];
+}
+
+/**
+ * Tenant a job is scheduled under: its live session, or else the caller
+ * Workers share capacity fairly between tenants (workers/queue.js).
+ */
+function getJobTenant(?string $sessionId, array $principal): string {
+    if ($sessionId !== null && loadSessionMeta($sessionId) !== null) {
+        return 'session:' . $sessionId;
+    }
+
+    return $principal['id'];
+}
+
+/**
+ * Validate and normalize the program of an execution request: language, code
+ * or files, stdin, tests and compare, compileOptions, cache and problemId
+ * Invalid requests end with sendError(); $label prefixes the message (batch items).
+ */
+function parseJobRequest(mixed $input, string $label = ''): array {
+    if (!is_array($input)) {
+        sendError($label . 'Invalid request: must be an object');
+    }
+
+    $language = $input['language'] ?? null;
+    $code = $input['code'] ?? null;
+    $files = $input['files'] ?? null;
+    $stdin = $input['stdin'] ?? '';
+    $tests = $input['tests'] ?? null;
+    $compare = null;
+    $useCache = $input['cache'] ?? true;
+    $compileOptions = $input['compileOptions'] ?? [];
+    $problemId = $input['problemId'] ?? null;
+
+    if (!$language || (!$code && $files === null)) {
+        sendError($label . 'Missing required fields: language and code (or files)');
+    }
+
+    // Validate language
+    if (!isValidLanguage($language)) {
+        sendError($label . 'Unsupported language: ' . $language);
+    }
+
+    if ($files !== null) {
+        // Multi-file project - file contents are passed through untouched
+        $filesError = validateProjectFiles($files, $language);
+        if ($filesError !== null) {
+            sendError($label . $filesError);
+        }
+
+        $code = null;
+    } else {
+        // Sanitize code - only trim, don't modify content
+        $code = trim($code);
+
+        if (empty($code)) {
+            sendError($label . 'Code cannot be empty');
+        }
+
+        // Check code length (max 64KB)
+        if (strlen($code) > MAX_CODE_SIZE) {
+            sendError($label . 'Code exceeds maximum length of 64KB');
+        }
+    }
+
+    // Validate stdin - passed to the program verbatim
+    if (!is_string($stdin)) {
+        sendError($label . 'Invalid stdin: must be a string');
+    }
+
+    if (strlen($stdin) > MAX_STDIN_SIZE) {
+        sendError($label . 'Stdin exceeds maximum length of 64KB');
+    }
+
+    // cache: false for programs whose output changes between runs (random numbers, clocks)
+    if (!is_bool($useCache)) {
+        sendError($label . 'Invalid cache option: must be a boolean');
+    }
+
+    // Compiler settings are picked from the language's allow-list, never passed as raw flags
+    $optionsError = validateCompileOptions($compileOptions, $language);
+    if ($optionsError !== null) {
+        sendError($label . $optionsError);
+    }
+
+    // Validate test cases - each case is run against the same compiled program
+    if ($tests !== null) {
+        if (!is_array($tests) || empty($tests) || !array_is_list($tests)) {
+            sendError($label . 'Invalid tests: must be a non-empty array');
+        }
+
+        if (count($tests) > MAX_TEST_CASES) {
+            sendError($label . 'Too many test cases. Maximum ' . MAX_TEST_CASES . ' per execution.');
+        }
+
+        $maxTimeout = LANGUAGE_CONFIG[$language]['timeout'];
+
+        foreach ($tests as $i => $test) {
+            $caseStdin = $test['stdin'] ?? '';
+            $expected = $test['expectedOutput'] ?? null;
+            $timeout = $test['timeout'] ?? null;
+
+            if (!is_string($caseStdin) || strlen($caseStdin) > MAX_STDIN_SIZE) {
+                sendError($label . "Invalid stdin for test case $i");
+            }
+
+            if (!is_string($expected) || strlen($expected) > MAX_STDIN_SIZE) {
+                sendError($label . "Invalid expectedOutput for test case $i");
+            }
+
+            if ($timeout !== null && (!is_numeric($timeout) || $timeout <= 0 || $timeout > $maxTimeout)) {
+                sendError($label . "Invalid timeout for test case $i: must be between 0 and $maxTimeout seconds");
+            }
+
+            $tests[$i] = [
+                'stdin' => $caseStdin,
+                'expectedOutput' => $expected,
+                'timeout' => $timeout !== null ? (float) $timeout : null
+            ];
+        }
+
+        $compareInput = $input['compare'] ?? [];
+        if (!is_array($compareInput)) {
+            sendError($label . 'Invalid compare options');
+        }
+
+        $compare = [
+            'ignoreWhitespace' => (bool) ($compareInput['ignoreWhitespace'] ?? false),
+            'ignoreTrailingNewline' => (bool) ($compareInput['ignoreTrailingNewline'] ?? true)
+        ];
+    }
+
+    // Submissions to a problem are graded against its hidden tests, which stay on the server
+    if ($problemId !== null) {
+        if (!is_string($problemId) || !preg_match(PROBLEM_ID_PATTERN, $problemId)) {
+            sendError($label . 'Invalid problem ID');
+        }
+
+        if ($tests !== null) {
+            sendError($label . 'A problem submission cannot include tests');
+        }
+
+        $problem = loadProblem($problemId);
+        if ($problem === null) {
+            sendError($label . 'Problem not found', 404);
+        }
+
+        if (!isset($problem['starter'][$language])) {
+            sendError($label . 'Problem ' . $problemId . ' cannot be solved in ' . LANGUAGE_CONFIG[$language]['name']);
+        }
+
+        $tests = $problem['hidden'];
+        $compare = $problem['compare'];
+    }
+
+    return [
+        'language' => $language,
+        'code' => $code,
+        'files' => $files,
+        'stdin' => $stdin,
+        'tests' => $tests,
+        'compare' => $compare,
+        'compileOptions' => $compileOptions,
+        'cache' => $useCache,
+        'problemId' => $problemId
+    ];
+}
+
+/**
+ * Cached result of a parsed request: its compile error, or the whole result
+ * of a plain run; null if it has to run
  */
-function getCacheKey(string $language, string $code): string {
-    return 'cache:' . hash('sha256', $language . ':' . $code);
+function getCachedResult(array $request): ?array {
+    if (!$request['cache']) {
+        return null;
+    }
+
+    $redis = getRedis();
+    $scope = getCacheScope($request['language'], $request['compileOptions']);
+    $cachedResult = null;
+
+    // Compile errors apply to any run, results only to plain runs
+    if ($scope !== null) {
+        $source = $request['files'] !== null ? serializeFiles($request['files']) : $request['code'];
+        $cachedResult = $redis->get(getCompileErrorKey($request['language'], $scope, $source));
+
+        if (!$cachedResult && $request['tests'] === null) {
+            $cachedResult = $redis->get(getCacheKey($request['language'], $scope, $source, $request['stdin']));
+        }
+    }
+
+    if ($request['tests'] === null) {
+        // Hit/miss counts per language, exported by the worker's /metrics
+        $redis->hincrby('metrics:cache', $request['language'] . ':' . ($cachedResult ? 'hit' : 'miss'), 1);
+    }
+
+    return $cachedResult ? json_decode($cachedResult, true) : null;
 }
 
 /**
- * Check rate limit for IP
+ * Job data for the worker from a parsed request
+ * Job IDs are unguessable; results are also scoped to their owner.
+ */
+function createJob(array $request, string $tenant, string $priority, string $clientIp): array {
+    return [
+        'id' => 'job_' . bin2hex(random_bytes(16)),
+        'language' => $request['language'],
+        'code' => $request['code'],
+        'files' => $request['files'],
+        'stdin' => $request['stdin'],
+        'tests' => $request['tests'],
+        'compare' => $request['compare'],
+        'problemId' => $request['problemId'],
+        'hiddenTests' => $request['problemId'] !== null, // the worker strips inputs and outputs from the result
+        'compileOptions' => (object) $request['compileOptions'],
+        'tenant' => $tenant,
+        'priority' => $priority,
+        'cache' => $request['cache'],
+        'createdAt' => time(),
+        'queuedAt' => (int) round(microtime(true) * 1000), // ms, for queue wait metrics
+        'clientIp' => hash('sha256', $clientIp) // Store hashed IP for debugging
+    ];
+}
+
+/**
+ * Record a new job's owner and show it as pending before a worker can pick it up
+ */
+function registerJob(array $job, array $principal, ?string $sessionId): void {
+    setJobOwner($job['id'], $principal, $sessionId);
+
+    getRedis()->setex('job:status:' . $job['id'], JOB_QUEUE_TTL, json_encode([
+        'status' => 'pending',
+        'createdAt' => time(),
+        'tenant' => $job['tenant'],
+        'priority' => $job['priority']
+    ]));
+}
+
+/**
+ * Queue a job on its tenant's list for its priority and wake an idle worker
+ */
+function enqueueJob(array $job): void {
+    $redis = getRedis();
+    $prefix = 'queue:' . QUEUE_NAME;
+
+    $redis->lpush($prefix . ':' . $job['priority'] . ':' . $job['tenant'], [json_encode($job)]);
+    // A tenant new to the ready set waits behind those already in it
+    $redis->executeRaw(['ZADD', $prefix . ':ready:' . $job['priority'], 'NX', (string) round(microtime(true) * 1000), $job['tenant']]);
+    $redis->lpush($prefix . ':notify', ['1']);
+    $redis->ltrim($prefix . ':notify', 0, QUEUE_NOTIFY_LIMIT - 1);
+}
+
+/**
+ * Show a session run's progress to everyone in the session (workers/session-server.js)
+ * Workers publish the runs they execute; this covers results served from the cache.
+ */
+function publishSessionRun(array $session, string $jobId, string $event, $data): void {
+    getRedis()->publish('session:runs:' . $session['id'], json_encode([
+        'jobId' => $jobId,
+        'clientId' => $session['clientId'],
+        'event' => $event,
+        'data' => $data
+    ], JSON_UNESCAPED_UNICODE));
+}
+
+/**
+ * Queue position (1 = next) and estimated wait in ms of a pending job, or
+ * null once a worker has claimed it
+ *
+ * Higher priority bands run first. Tenants in the same band take turns, so
+ * each gets as many of its jobs in ahead as this job's place in its own list.
+ */
+function getQueuePosition(string $jobId, array $status): ?array {
+    $tenant = $status['tenant'] ?? null;
+    $priority = $status['priority'] ?? null;
+
+    if (!is_string($tenant) || !in_array($priority, JOB_PRIORITIES, true)) {
+        return null;
+    }
+
+    $redis = getRedis();
+    $prefix = 'queue:' . QUEUE_NAME;
+
+    // Workers take jobs from the tail of the list
+    $waiting = array_reverse($redis->lrange($prefix . ':' . $priority . ':' . $tenant, 0, -1));
+    $index = null;
+    foreach ($waiting as $i => $entry) {
+        if ((json_decode($entry, true)['id'] ?? null) === $jobId) {
+            $index = $i;
+            break;
+        }
+    }
+
+    if ($index === null) {
+        return null;
+    }
+
+    $ahead = $index;
+    foreach (JOB_PRIORITIES as $band) {
+        foreach ($redis->zrange($prefix . ':ready:' . $band, 0, -1) as $other) {
+            if ($band === $priority && $other === $tenant) {
+                continue;
+            }
+
+            $length = (int) $redis->llen($prefix . ':' . $band . ':' . $other);
+            $ahead += $band === $priority ? min($length, $index + 1) : $length;
+        }
+
+        if ($band === $priority) {
+            break;
+        }
+    }
+
+    $durations = $redis->lrange($prefix . ':durations', 0, -1);
+    $average = $durations ? array_sum(array_map('intval', $durations)) / count($durations) : DEFAULT_JOB_DURATION;
+
+    $capacity = 0;
+    foreach ($redis->hgetall($prefix . ':workers') as $worker) {
+        $info = json_decode($worker, true);
+        if (is_array($info) && time() - (int) ($info['seenAt'] ?? 0) <= WORKER_STALE_AFTER) {
+            $capacity += (int) ($info['concurrency'] ?? 0);
+        }
+    }
+
+    // Running jobs and those ahead start in waves of the combined worker concurrency
+    $running = (int) $redis->llen($prefix . ':processing');
+    $waves = intdiv($running + $ahead, max(1, $capacity));
+
+    return [
+        'position' => $ahead + 1,
+        'estimatedWait' => (int) round($waves * $average)
+    ];
+}
+
+/**
+ * Check the caller's rate limit (per API key, session token or anonymous IP)
+ * A batch costs one request per item.
  * Returns true if within limit, false if exceeded
  */
-function checkRateLimit(string $ip): bool {
+function checkRateLimit(array $principal, int $cost = 1): bool {
     $redis = getRedis();
-    $key = 'ratelimit:' . hash('sha256', $ip);
+    $key = 'ratelimit:' . hash('sha256', $principal['id']);
 
     $current = (int) $redis->get($key);
 
-    if ($current >= RATE_LIMIT_MAX) {
+    if ($current + $cost > $principal['rateLimit']) {
         return false;
     }
 
-    $redis->incr($key);
+    $redis->incrby($key, $cost);
 
     if ($current === 0) {
         $redis->expire($key, RATE_LIMIT_WINDOW);
@@ -171,17 +914,29 @@ function isValidLanguage(string $language): bool {
 
 /**
  * Get client IP address
+ * X-Forwarded-For is client-controlled, so it is only read when the request
+ * comes from a trusted proxy, and then from the right: the last address that
+ * is not one of our proxies is the one the proxy saw.
  */
 function getClientIp(): string {
-    var_dump($_SERVER);
-    
-    return $_SERVER['HTTP_X_FORWARDED_FOR']
-        ?? $_SERVER['HTTP_X_REAL_IP']
-        ?? $_SERVER['REMOTE_ADDR']
-        ?? '127.0.0.1';
+    $ip = $_SERVER['REMOTE_ADDR'] ?? '127.0.0.1';
 
+    if (!in_array($ip, TRUSTED_PROXIES, true) || empty($_SERVER['HTTP_X_FORWARDED_FOR'])) {
+        return $ip;
+    }
+
+    $forwarded = array_reverse(array_map('trim', explode(',', $_SERVER['HTTP_X_FORWARDED_FOR'])));
+    foreach ($forwarded as $hop) {
+        if (filter_var($hop, FILTER_VALIDATE_IP) === false) {
+            break;
+        }
+        $ip = $hop;
+        if (!in_array($hop, TRUSTED_PROXIES, true)) {
+            break;
+        }
+    }
 
-    
+    return $ip;
 }
 
 /**
@@ -191,8 +946,8 @@ function sendJson(array $data, int $statusCode = 200): void {
     http_response_code($statusCode);
     header('Content-Type: application/json');
     header('Access-Control-Allow-Origin: *');
-    header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
-    header('Access-Control-Allow-Headers: Content-Type');
+    header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type, Authorization');
 
     echo json_encode($data, JSON_UNESCAPED_UNICODE);
     exit;
@@ -208,8 +963,8 @@ function sendError(string $message, int $statusCode = 400): void {
 // Handle preflight requests
 if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
     header('Access-Control-Allow-Origin: *');
-    header('Access-Control-Allow-Methods: GET, POST, OPTIONS');
-    header('Access-Control-Allow-Headers: Content-Type');
+    header('Access-Control-Allow-Methods: GET, POST, DELETE, OPTIONS');
+    header('Access-Control-Allow-Headers: Content-Type, Authorization');
     http_response_code(204);
     exit;
 }
@@ -9,6 +9,8 @@ if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     sendError('Method not allowed', 405);
 }
 
+$principal = authenticate();
+
 // Parse JSON body
 $input = json_decode(file_get_contents('php://input'), true);
 
@@ -16,75 +18,87 @@ if (!$input) {
     sendError('Invalid JSON body');
 }
 
-// Validate required fields
-$language = $input['language'] ?? null;
-$code = $input['code'] ?? null;
+// Validate the program, its input and tests (shared with batch items)
+$request = parseJobRequest($input);
+
+$priority = $input['priority'] ?? 'normal';
+$sessionId = $input['sessionId'] ?? null;
 
-if (!$language || !$code) {
-    sendError('Missing required fields: language and code');
+// Validate scheduling hints - jobs of a live session share its fair share of workers
+if (!is_string($priority) || !in_array($priority, JOB_PRIORITIES, true)) {
+    sendError('Invalid priority: must be one of ' . implode(', ', JOB_PRIORITIES));
 }
 
-// Validate language
-if (!isValidLanguage($language)) {
-    sendError('Unsupported language: ' . $language);
+if ($sessionId !== null && (!is_string($sessionId) || !preg_match(SESSION_ID_PATTERN, $sessionId))) {
+    sendError('Invalid session ID');
 }
 
-// Sanitize code - only trim, don't modify content
-$code = trim($code);
+// Session tokens only run code in their own session
+if ($principal['sessionId'] !== null) {
+    if ($sessionId !== null && $sessionId !== $principal['sessionId']) {
+        sendError('Session token does not belong to this session', 403);
+    }
+
+    $sessionId = $principal['sessionId'];
+} elseif ($sessionId !== null) {
+    // Otherwise only the key that created the session may run code in it
+    $sessionMeta = loadSessionMeta($sessionId);
 
-if (empty($code)) {
-    sendError('Code cannot be empty');
+    if ($sessionMeta !== null && ($sessionMeta['createdBy'] ?? null) !== $principal['id'] && $principal['role'] !== 'admin') {
+        sendError('Not a participant of this session', 403);
+    }
 }
 
-// Check code length (max 64KB)
-if (strlen($code) > 65536) {
-    sendError('Code exceeds maximum length of 64KB');
+// Runs by the session's editors are shown live to the rest of the session.
+// sessionClientId names the submitter's connection, whose page shows the run itself.
+$sessionClientId = $input['sessionClientId'] ?? null;
+
+if ($sessionClientId !== null && (!is_string($sessionClientId) || !preg_match(SESSION_CLIENT_ID_PATTERN, $sessionClientId))) {
+    sendError('Invalid session client ID');
 }
 
+$runSession = $principal['sessionId'] !== null && $principal['role'] === 'candidate'
+    ? ['id' => $principal['sessionId'], 'clientId' => $sessionClientId]
+    : null;
+
 // Check rate limit
 $clientIp = getClientIp();
-if (!checkRateLimit($clientIp)) {
-    sendError('Rate limit exceeded. Maximum ' . RATE_LIMIT_MAX . ' executions per minute.', 429);
+if (!checkRateLimit($principal)) {
+    sendError('Rate limit exceeded. Maximum ' . $principal['rateLimit'] . ' executions per minute.', 429);
 }
 
 try {
-    $redis = getRedis();
-
-    // Check cache first
-    $cacheKey = getCacheKey($language, $code);
-    $cachedResult = $redis->get($cacheKey);
+    // Check cache first: compile errors apply to any run, results only to plain runs
+    $cachedResult = getCachedResult($request);
 
     if ($cachedResult) {
-        $result = json_decode($cachedResult, true);
+        $jobId = 'cached_' . uniqid('', true);
+
+        if ($runSession !== null) {
+            publishSessionRun($runSession, $jobId, 'result', $cachedResult + ['cached' => true]);
+        }
+
         sendJson([
             'success' => true,
-            'jobId' => 'cached_' . uniqid('', true),
+            'jobId' => $jobId,
             'status' => 'completed',
             'cached' => true,
-            'result' => $result
+            'result' => $cachedResult
         ]);
     }
 
-    // Generate job ID
-    $jobId = uniqid('job_', true);
-
-    // Create job data
-    $jobData = [
-        'id' => $jobId,
-        'language' => $language,
-        'code' => $code,
-        'createdAt' => time(),
-        'clientIp' => hash('sha256', $clientIp) // Store hashed IP for debugging
-    ];
-
-    // Push to simple Redis queue
-    $redis->lpush('queue:' . QUEUE_NAME, json_encode($jobData));
-
-    // Set initial job status
-    $redis->setex('job:status:' . $jobId, JOB_RESULT_TTL, json_encode([
-        'status' => 'pending',
-        'createdAt' => time()
-    ]));
+    $jobData = createJob($request, getJobTenant($sessionId, $principal), $priority, $clientIp);
+    $jobId = $jobData['id'];
+
+    // Only the submitter and the interviewers of its session (if it exists) may read the result
+    $jobSession = $sessionId !== null && $jobData['tenant'] === 'session:' . $sessionId ? $sessionId : null;
+    registerJob($jobData, $principal, $jobSession);
+
+    if ($runSession !== null) {
+        $jobData['session'] = $runSession; // the worker publishes the run to the session
+    }
+
+    enqueueJob($jobData);
 
     sendJson([
         'success' => true,
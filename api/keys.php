@@ -0,0 +1,109 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// Admins manage API keys: POST creates one, GET lists them, DELETE ?id= revokes one
+$method = $_SERVER['REQUEST_METHOD'];
+
+if ($method !== 'POST' && $method !== 'GET' && $method !== 'DELETE') {
+    sendError('Method not allowed', 405);
+}
+
+$principal = authenticate();
+requireRole($principal, ['admin'], 'Only admins can manage API keys');
+
+try {
+    $redis = getRedis();
+
+    if ($method === 'GET') {
+        // Index: key ID -> hash of the key
+        $hashes = $redis->hgetall('apikeys');
+        $keys = [];
+
+        foreach ($hashes as $hash) {
+            $key = $redis->get('apikey:' . $hash);
+            if ($key) {
+                $keys[] = json_decode($key, true);
+            }
+        }
+
+        usort($keys, fn($a, $b) => $a['createdAt'] <=> $b['createdAt']);
+
+        sendJson([
+            'success' => true,
+            'keys' => $keys
+        ]);
+    }
+
+    if ($method === 'DELETE') {
+        $keyId = $_GET['id'] ?? '';
+
+        if (!is_string($keyId) || !preg_match(API_KEY_ID_PATTERN, $keyId)) {
+            sendError('Invalid key ID');
+        }
+
+        $hash = $redis->hget('apikeys', $keyId);
+        if (!$hash) {
+            sendError('Key not found', 404);
+        }
+
+        // Takes effect on the key's next request
+        $redis->del('apikey:' . $hash);
+        $redis->hdel('apikeys', [$keyId]);
+
+        sendJson([
+            'success' => true,
+            'id' => $keyId
+        ]);
+    }
+
+    // Parse JSON body
+    $input = json_decode(file_get_contents('php://input'), true);
+
+    if (!$input) {
+        sendError('Invalid JSON body');
+    }
+
+    $name = $input['name'] ?? null;
+    $role = $input['role'] ?? null;
+    $rateLimit = $input['rateLimit'] ?? RATE_LIMIT_MAX;
+
+    if (!is_string($name) || trim($name) === '' || strlen($name) > 100) {
+        sendError('Invalid name: must be 1 to 100 characters');
+    }
+
+    if (!is_string($role) || !in_array($role, API_ROLES, true)) {
+        sendError('Invalid role: must be one of ' . implode(', ', API_ROLES));
+    }
+
+    if (!is_int($rateLimit) || $rateLimit < 1 || $rateLimit > MAX_KEY_RATE_LIMIT) {
+        sendError('Invalid rateLimit: must be between 1 and ' . MAX_KEY_RATE_LIMIT . ' requests per ' . RATE_LIMIT_WINDOW . ' seconds');
+    }
+
+    $secret = 'jot_' . bin2hex(random_bytes(20));
+    $hash = hash('sha256', $secret);
+
+    $key = [
+        'id' => 'key_' . bin2hex(random_bytes(4)),
+        'name' => trim($name),
+        'role' => $role,
+        'rateLimit' => $rateLimit,
+        'createdBy' => $principal['id'],
+        'createdAt' => time()
+    ];
+
+    // Only the hash is stored; the key itself is shown once, in this response
+    $redis->set('apikey:' . $hash, json_encode($key, JSON_UNESCAPED_UNICODE));
+    $redis->hset('apikeys', $key['id'], $hash);
+
+    sendJson([
+        'success' => true,
+        'key' => $secret
+    ] + $key);
+
+} catch (\Exception $e) {
+    error_log('Keys error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
@@ -16,10 +16,14 @@ foreach (LANGUAGE_CONFIG as $id => $config) {
         'id' => $id,
         'name' => $config['name'],
         'extension' => $config['extension'],
+        'sourceFile' => getSourceFilename($id),
         'timeout' => $config['timeout'],
-        'memoryLimit' => formatBytes($config['memory_limit']),
-        'compiled' => $config['compile'],
-        'helloWorld' => $config['hello_world']
+        'memoryLimit' => formatBytes($config['memoryLimit']),
+        'compiled' => !empty($config['compile']),
+        'compileOptions' => (object) getCompileOptionDefinitions($id),
+        'repl' => isset($config['repl']),
+        'monaco' => $config['monaco'] ?? 'plaintext',
+        'helloWorld' => $config['helloWorld'] ?? ''
     ];
 }
 
@@ -0,0 +1,69 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/config.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+/**
+ * Public view of a problem: everything except the hidden tests, of which only the count is shown
+ */
+function publicProblem(array $problem): array {
+    return [
+        'id' => $problem['id'],
+        'title' => $problem['title'],
+        'difficulty' => $problem['difficulty'],
+        'statement' => $problem['statement'],
+        'starter' => $problem['starter'],
+        'samples' => array_map(fn($test) => [
+            'stdin' => $test['stdin'],
+            'expectedOutput' => $test['expectedOutput']
+        ], $problem['samples']),
+        'hiddenTests' => count($problem['hidden']),
+        'compare' => $problem['compare']
+    ];
+}
+
+// GET ?id= returns one problem, without an ID the list
+if (isset($_GET['id'])) {
+    $problemId = $_GET['id'];
+
+    // Validate problem ID format (prevent path traversal)
+    if (!is_string($problemId) || !preg_match(PROBLEM_ID_PATTERN, $problemId)) {
+        sendError('Invalid problem ID');
+    }
+
+    $problem = loadProblem($problemId);
+    if ($problem === null) {
+        sendError('Problem not found', 404);
+    }
+
+    sendJson([
+        'success' => true,
+        'problem' => publicProblem($problem)
+    ]);
+}
+
+$problems = [];
+
+foreach (listProblemIds() as $problemId) {
+    $problem = loadProblem($problemId);
+    if ($problem === null) {
+        continue;
+    }
+
+    $problems[] = [
+        'id' => $problem['id'],
+        'title' => $problem['title'],
+        'difficulty' => $problem['difficulty'],
+        'languages' => array_keys($problem['starter'])
+    ];
+}
+
+sendJson([
+    'success' => true,
+    'problems' => $problems
+]);
@@ -0,0 +1,119 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// POST creates a session, GET checks a session link before joining
+$method = $_SERVER['REQUEST_METHOD'];
+
+if ($method !== 'POST' && $method !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+try {
+    $redis = getRedis();
+
+    if ($method === 'GET') {
+        $sessionId = $_GET['sessionId'] ?? '';
+        $token = $_GET['token'] ?? '';
+
+        // Validate session ID format (prevent injection)
+        if (!is_string($sessionId) || !preg_match(SESSION_ID_PATTERN, $sessionId) || !is_string($token)) {
+            sendError('Invalid session link');
+        }
+
+        $meta = loadSessionMeta($sessionId);
+        if ($meta === null) {
+            sendError('Session not found or expired', 404);
+        }
+
+        $role = getSessionRole($meta, $token);
+        if ($role === null) {
+            sendError('Invalid session token', 403);
+        }
+
+        sendJson([
+            'success' => true,
+            'sessionId' => $sessionId,
+            'role' => $role,
+            'wsUrl' => SESSION_WS_URL
+        ]);
+    }
+
+    // Interviewers create sessions; candidates join them through links
+    $principal = authenticate();
+    requireRole($principal, ['anonymous', 'interviewer', 'admin'], 'Only interviewers can create sessions');
+
+    // Parse JSON body
+    $input = json_decode(file_get_contents('php://input'), true);
+
+    if (!$input) {
+        sendError('Invalid JSON body');
+    }
+
+    $language = $input['language'] ?? null;
+    $files = $input['files'] ?? null;
+
+    if (!$language || $files === null) {
+        sendError('Missing required fields: language and files');
+    }
+
+    if (!isValidLanguage($language)) {
+        sendError('Unsupported language: ' . $language);
+    }
+
+    $filesError = validateProjectFiles($files, $language);
+    if ($filesError !== null) {
+        sendError($filesError);
+    }
+
+    if (!checkRateLimit($principal)) {
+        sendError('Rate limit exceeded. Maximum ' . $principal['rateLimit'] . ' requests per minute.', 429);
+    }
+
+    $sessionId = 'sess_' . bin2hex(random_bytes(8));
+
+    // Separate links for editing (candidate) and read-only observing
+    $meta = [
+        'id' => $sessionId,
+        'editToken' => bin2hex(random_bytes(16)),
+        'observeToken' => bin2hex(random_bytes(16)),
+        'createdBy' => $principal['id'], // may read the session's job results (canAccessJob)
+        'createdAt' => time()
+    ];
+
+    // Initial shared document; versions count committed edits
+    $state = [
+        'version' => 0,
+        'language' => $language,
+        'files' => $files,
+        'run' => null
+    ];
+
+    $redis->setex('session:' . $sessionId, SESSION_TTL, json_encode($meta));
+    $redis->setex('session:state:' . $sessionId, SESSION_TTL, json_encode($state, JSON_UNESCAPED_UNICODE));
+
+    // The replay timeline starts from the initial project; the sync service appends to it
+    $timelineKey = 'session:timeline:' . $sessionId;
+    $redis->rpush($timelineKey, [json_encode([
+        't' => (int) round(microtime(true) * 1000),
+        'k' => 'snapshot',
+        'v' => 0,
+        'language' => $language,
+        'files' => $files
+    ], JSON_UNESCAPED_UNICODE)]);
+    $redis->expire($timelineKey, SESSION_TTL);
+
+    sendJson([
+        'success' => true,
+        'sessionId' => $sessionId,
+        'editToken' => $meta['editToken'],
+        'observeToken' => $meta['observeToken'],
+        'wsUrl' => SESSION_WS_URL
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Session error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
@@ -0,0 +1,129 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// POST saves a snippet, GET loads one by its short ID
+$method = $_SERVER['REQUEST_METHOD'];
+
+if ($method !== 'POST' && $method !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+try {
+    $redis = getRedis();
+
+    if ($method === 'GET') {
+        $snippetId = $_GET['id'] ?? '';
+
+        // Validate snippet ID format (prevent injection)
+        if (!is_string($snippetId) || !preg_match(SNIPPET_ID_PATTERN, $snippetId)) {
+            sendError('Invalid snippet ID');
+        }
+
+        $snippet = $redis->get('snippet:' . $snippetId);
+        if (!$snippet) {
+            sendError('Snippet not found or expired', 404);
+        }
+
+        sendJson([
+            'success' => true,
+            'snippet' => json_decode($snippet, true)
+        ]);
+    }
+
+    // Parse JSON body
+    $input = json_decode(file_get_contents('php://input'), true);
+
+    if (!$input) {
+        sendError('Invalid JSON body');
+    }
+
+    $language = $input['language'] ?? null;
+    $code = $input['code'] ?? null;
+    $files = $input['files'] ?? null;
+    $stdin = $input['stdin'] ?? '';
+    $compileOptions = $input['compileOptions'] ?? [];
+    $result = $input['result'] ?? null;
+
+    if (!$language || (!$code && $files === null)) {
+        sendError('Missing required fields: language and code (or files)');
+    }
+
+    if (!isValidLanguage($language)) {
+        sendError('Unsupported language: ' . $language);
+    }
+
+    // A single file is stored as a project with just the entry file
+    if ($files === null) {
+        $files = is_string($code) ? [getSourceFilename($language) => $code] : null;
+    }
+
+    $filesError = validateProjectFiles($files, $language);
+    if ($filesError !== null) {
+        sendError($filesError);
+    }
+
+    if (!is_string($stdin) || strlen($stdin) > MAX_STDIN_SIZE) {
+        sendError('Invalid stdin: must be a string of at most 64KB');
+    }
+
+    $optionsError = validateCompileOptions($compileOptions, $language);
+    if ($optionsError !== null) {
+        sendError($optionsError);
+    }
+
+    // The last result is shown again when the link is opened
+    if ($result !== null) {
+        if (!is_array($result) || array_is_list($result)) {
+            sendError('Invalid result: must be an object');
+        }
+
+        $result = array_intersect_key($result, array_flip(SNIPPET_RESULT_FIELDS));
+        if (strlen(json_encode($result)) > MAX_SNIPPET_RESULT_SIZE) {
+            sendError('Result exceeds maximum size of 256KB');
+        }
+    }
+
+    $principal = authenticate();
+    if (!checkRateLimit($principal)) {
+        sendError('Rate limit exceeded. Maximum ' . $principal['rateLimit'] . ' requests per minute.', 429);
+    }
+
+    $snippet = json_encode([
+        'language' => $language,
+        'files' => $files,
+        'stdin' => $stdin,
+        'compileOptions' => (object) $compileOptions,
+        'result' => $result,
+        'createdAt' => time()
+    ], JSON_UNESCAPED_UNICODE);
+
+    // Short IDs may collide; SET NX never overwrites another snippet
+    $snippetId = null;
+    for ($attempt = 0; $attempt < 5 && $snippetId === null; $attempt++) {
+        $candidate = '';
+        for ($i = 0; $i < 8; $i++) {
+            $candidate .= SNIPPET_ID_ALPHABET[random_int(0, strlen(SNIPPET_ID_ALPHABET) - 1)];
+        }
+
+        if ($redis->set('snippet:' . $candidate, $snippet, 'EX', SNIPPET_TTL, 'NX')) {
+            $snippetId = $candidate;
+        }
+    }
+
+    if ($snippetId === null) {
+        throw new \RuntimeException('No free snippet ID');
+    }
+
+    sendJson([
+        'success' => true,
+        'id' => $snippetId,
+        'expiresAt' => time() + SNIPPET_TTL
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Snippet error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
@@ -9,6 +9,8 @@ if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
     sendError('Method not allowed', 405);
 }
 
+$principal = authenticate();
+
 // Get job ID from query parameter
 $jobId = $_GET['jobId'] ?? null;
 
@@ -24,6 +26,11 @@ if (!preg_match('/^(job_|cached_)[a-zA-Z0-9._]+$/', $jobId)) {
 try {
     $redis = getRedis();
 
+    // Other callers' jobs are reported as missing
+    if (!canAccessJob($principal, $jobId)) {
+        sendError('Job not found', 404);
+    }
+
     // Check for job result
     $resultKey = 'job:result:' . $jobId;
     $resultData = $redis->get($resultKey);
@@ -33,7 +40,7 @@ try {
         sendJson([
             'success' => true,
             'jobId' => $jobId,
-            'status' => 'completed',
+            'status' => !empty($result['cancelled']) ? 'cancelled' : 'completed',
             'result' => $result
         ]);
     }
@@ -44,12 +51,22 @@ try {
 
     if ($statusData) {
         $status = json_decode($statusData, true);
-        sendJson([
+        $response = [
             'success' => true,
             'jobId' => $jobId,
             'status' => $status['status'] ?? 'pending',
             'createdAt' => $status['createdAt'] ?? null
-        ]);
+        ];
+
+        if ($response['status'] === 'pending') {
+            $queue = getQueuePosition($jobId, $status);
+            if ($queue !== null) {
+                $response['queuePosition'] = $queue['position'];
+                $response['estimatedWait'] = $queue['estimatedWait'];
+            }
+        }
+
+        sendJson($response);
     }
 
     // Job not found
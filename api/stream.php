@@ -0,0 +1,120 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$principal = authenticate();
+
+// Get job ID from query parameter
+$jobId = $_GET['jobId'] ?? null;
+
+if (!$jobId) {
+    sendError('Missing required parameter: jobId');
+}
+
+// Validate job ID format (prevent injection)
+if (!preg_match('/^job_[a-zA-Z0-9._]+$/', $jobId)) {
+    sendError('Invalid job ID format');
+}
+
+// Resume from the last delivered stream entry on reconnect
+$lastId = $_SERVER['HTTP_LAST_EVENT_ID'] ?? ($_GET['lastEventId'] ?? '0');
+if (!preg_match('/^\d+(-\d+)?$/', $lastId)) {
+    $lastId = '0';
+}
+
+try {
+    $redis = getRedis();
+
+    $outputKey = 'job:output:' . $jobId;
+    $resultKey = 'job:result:' . $jobId;
+
+    if (!canAccessJob($principal, $jobId)
+        || (!$redis->exists($outputKey) && !$redis->exists($resultKey) && !$redis->exists('job:status:' . $jobId))) {
+        sendError('Job not found', 404);
+    }
+} catch (\Exception $e) {
+    error_log('Stream error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
+
+// Server-Sent Events headers
+header('Content-Type: text/event-stream');
+header('Cache-Control: no-cache');
+header('X-Accel-Buffering: no'); // Disable nginx buffering
+header('Access-Control-Allow-Origin: *');
+
+while (ob_get_level() > 0) {
+    ob_end_flush();
+}
+
+set_time_limit(STREAM_MAX_DURATION + 10);
+
+/**
+ * Write a single SSE event
+ */
+function sendEvent(string $event, array $data, ?string $id = null): void {
+    if ($id !== null) {
+        echo "id: $id\n";
+    }
+    echo "event: $event\n";
+    echo 'data: ' . json_encode($data, JSON_UNESCAPED_UNICODE) . "\n\n";
+    flush();
+}
+
+$deadline = time() + STREAM_MAX_DURATION;
+
+try {
+    while (time() < $deadline && !connection_aborted()) {
+        // XREAD reply: [[key, [[id, [field, value, ...]], ...]]] or null on timeout
+        $reply = $redis->executeRaw(['XREAD', 'COUNT', '100', 'BLOCK', '1000', 'STREAMS', $outputKey, $lastId]);
+
+        if (!is_array($reply)) {
+            // While the job is queued, report its place in the queue
+            $statusData = $redis->get('job:status:' . $jobId);
+            $status = $statusData ? json_decode($statusData, true) : null;
+            $queue = is_array($status) && ($status['status'] ?? '') === 'pending'
+                ? getQueuePosition($jobId, $status)
+                : null;
+
+            if ($queue !== null) {
+                sendEvent('queue', $queue);
+            } else {
+                // Keep the connection alive through proxies
+                echo ": keepalive\n\n";
+                flush();
+            }
+            continue;
+        }
+
+        foreach ($reply[0][1] as [$entryId, $fields]) {
+            $lastId = $entryId;
+
+            $entry = [];
+            for ($i = 0; $i + 1 < count($fields); $i += 2) {
+                $entry[$fields[$i]] = $fields[$i + 1];
+            }
+
+            if (($entry['type'] ?? '') === 'end') {
+                $resultData = $redis->get($resultKey);
+                sendEvent('result', $resultData ? json_decode($resultData, true) : [], $entryId);
+                exit;
+            }
+
+            sendEvent($entry['type'] ?? 'stdout', ['data' => $entry['data'] ?? ''], $entryId);
+        }
+    }
+
+    // Stream window elapsed - the client falls back to polling status.php
+    sendEvent('timeout', ['lastEventId' => $lastId]);
+
+} catch (\Exception $e) {
+    error_log('Stream error: ' . $e->getMessage());
+    sendEvent('error', ['error' => 'Internal server error']);
+}
@@ -0,0 +1,98 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// Only accept POST requests
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    sendError('Method not allowed', 405);
+}
+
+$principal = authenticate();
+
+// Parse JSON body
+$input = json_decode(file_get_contents('php://input'), true);
+
+if (!$input) {
+    sendError('Invalid JSON body');
+}
+
+$language = $input['language'] ?? null;
+$code = $input['code'] ?? null;
+$files = $input['files'] ?? null;
+$compileOptions = $input['compileOptions'] ?? [];
+$repl = $input['repl'] ?? false;
+
+if (!$language || (!$code && $files === null)) {
+    sendError('Missing required fields: language and code (or files)');
+}
+
+if (!isValidLanguage($language)) {
+    sendError('Unsupported language: ' . $language);
+}
+
+if ($files !== null) {
+    $filesError = validateProjectFiles($files, $language);
+    if ($filesError !== null) {
+        sendError($filesError);
+    }
+
+    $code = null;
+} else {
+    $code = trim($code);
+
+    if (empty($code)) {
+        sendError('Code cannot be empty');
+    }
+
+    if (strlen($code) > MAX_CODE_SIZE) {
+        sendError('Code exceeds maximum length of 64KB');
+    }
+}
+
+$optionsError = validateCompileOptions($compileOptions, $language);
+if ($optionsError !== null) {
+    sendError($optionsError);
+}
+
+// repl: true starts the language's interactive interpreter with the project loaded
+if (!is_bool($repl)) {
+    sendError('Invalid repl option: must be a boolean');
+}
+
+if ($repl && !isset(LANGUAGE_CONFIG[$language]['repl'])) {
+    sendError('No REPL available for ' . LANGUAGE_CONFIG[$language]['name']);
+}
+
+$clientIp = getClientIp();
+if (!checkRateLimit($principal)) {
+    sendError('Rate limit exceeded. Maximum ' . $principal['rateLimit'] . ' requests per minute.', 429);
+}
+
+try {
+    $redis = getRedis();
+
+    // One-time ticket: the terminal service deletes it when the WebSocket connects
+    $ticket = bin2hex(random_bytes(16));
+
+    $redis->setex('terminal:ticket:' . $ticket, TERMINAL_TICKET_TTL, json_encode([
+        'language' => $language,
+        'code' => $code,
+        'files' => $files,
+        'compileOptions' => (object) $compileOptions,
+        'repl' => $repl,
+        'clientIp' => hash('sha256', $clientIp)
+    ], JSON_UNESCAPED_UNICODE));
+
+    sendJson([
+        'success' => true,
+        'ticket' => $ticket,
+        'expiresIn' => TERMINAL_TICKET_TTL,
+        'wsUrl' => TERMINAL_WS_URL
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Terminal error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
@@ -0,0 +1,46 @@
+<?php
+declare(strict_types=1);
+
+require_once __DIR__ . '/../vendor/autoload.php';
+require_once __DIR__ . '/config.php';
+
+// Only accept GET requests
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    sendError('Method not allowed', 405);
+}
+
+$sessionId = $_GET['sessionId'] ?? '';
+$token = $_GET['token'] ?? '';
+
+// Validate session ID format (prevent injection)
+if (!is_string($sessionId) || !preg_match(SESSION_ID_PATTERN, $sessionId) || !is_string($token)) {
+    sendError('Invalid session link');
+}
+
+try {
+    $meta = loadSessionMeta($sessionId);
+    if ($meta === null) {
+        sendError('Session not found or expired', 404);
+    }
+
+    // Any participant link can open the replay
+    if (getSessionRole($meta, $token) === null) {
+        sendError('Invalid session token', 403);
+    }
+
+    $entries = array_map(
+        fn(string $entry) => json_decode($entry, true),
+        getRedis()->lrange('session:timeline:' . $sessionId, 0, -1)
+    );
+
+    sendJson([
+        'success' => true,
+        'sessionId' => $sessionId,
+        'createdAt' => $meta['createdAt'],
+        'entries' => $entries
+    ]);
+
+} catch (\Exception $e) {
+    error_log('Timeline error: ' . $e->getMessage());
+    sendError('Internal server error', 500);
+}
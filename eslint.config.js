@@ -0,0 +1,52 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+
+// Names the page scripts define for each other (see the <script> order in public/*.html)
+// and the libraries loaded from the CDN
+const pageGlobals = {
+    ApiClient: 'readonly',
+    SessionClient: 'readonly',
+    TerminalClient: 'readonly',
+    transformOps: 'readonly',
+    applyOps: 'readonly',
+    encodeOps: 'readonly',
+    decodeOps: 'readonly',
+    renderMarkdown: 'readonly',
+    monaco: 'readonly',
+    Terminal: 'readonly',
+    FitAddon: 'readonly'
+};
+
+// replay.js has its own frames and currentFrame
+const { frames, currentFrame, ...browser } = globals.browser;
+
+module.exports = [
+    {
+        ignores: ['**/node_modules/**', 'vendor/**', 'sandbox/**']
+    },
+    js.configs.recommended,
+    {
+        files: ['**/*.js'],
+        languageOptions: {
+            ecmaVersion: 2022,
+            sourceType: 'commonjs',
+            globals: { ...globals.node }
+        },
+        rules: {
+            'no-unused-vars': ['error', { args: 'none', caughtErrors: 'none', ignoreRestSiblings: true }],
+            // runInSandbox awaits its setup inside the promise that wraps nsjail
+            'no-async-promise-executor': 'off'
+        }
+    },
+    {
+        files: ['public/js/**/*.js'],
+        languageOptions: {
+            sourceType: 'script',
+            globals: { ...browser, ...pageGlobals, module: 'writable', require: 'readonly' }
+        },
+        rules: {
+            // Each script defines its own page globals
+            'no-redeclare': ['error', { builtinGlobals: false }]
+        }
+    }
+];
@@ -1,24 +1,108 @@
 /**
  * Jotform Code Executor API Client
+ * Runs in browsers and in Node.js 18+ (see sdk/ for the Node package).
  */
 class ApiClient {
-    constructor(baseUrl = '') {
-        this.baseUrl = baseUrl || window.location.origin;
+    /**
+     * @param {string} baseUrl - API origin (default: the page's origin; required outside a browser)
+     * @param {Object} credentials - { apiKey }, or { sessionId, token } of a live session (default: anonymous)
+     * @param {Object} options - Options
+     * @param {number} options.timeout - Time limit per HTTP request in ms, until the response starts (default: none)
+     * @param {Function} options.fetch - fetch implementation (default: the global fetch)
+     */
+    constructor(baseUrl = '', credentials = null, options = {}) {
+        this.baseUrl = (baseUrl || (typeof window !== 'undefined' ? window.location.origin : '')).replace(/\/+$/, '');
+        if (!this.baseUrl) {
+            throw new Error('ApiClient needs a base URL outside a browser');
+        }
+
+        this.timeout = options.timeout || 0;
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+        this.setCredentials(credentials);
+    }
+
+    /**
+     * Credentials sent with every request from now on; null for anonymous
+     * A session's edit token acts as a candidate, its observe token as an interviewer.
+     */
+    setCredentials(credentials) {
+        if (!credentials) {
+            this.credential = null;
+        } else {
+            this.credential = credentials.apiKey || `${credentials.sessionId}:${credentials.token}`;
+        }
+    }
+
+    /**
+     * Request headers with the Authorization header added
+     */
+    headers(headers = {}) {
+        return this.credential ? { ...headers, 'Authorization': `Bearer ${this.credential}` } : headers;
+    }
+
+    /**
+     * fetch with the client's credentials and timeout
+     * init.signal aborts the request until the response starts; streamOutput()
+     * watches it while reading the stream.
+     */
+    async fetch(url, init = {}) {
+        const { signal, headers, ...rest } = init;
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        let timer = null;
+
+        if (signal) {
+            if (signal.aborted) {
+                controller.abort(signal.reason);
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        }
+
+        if (this.timeout) {
+            timer = setTimeout(() => controller.abort(new Error(`Request timed out after ${this.timeout}ms`)), this.timeout);
+        }
+
+        try {
+            return await this.fetchImpl(url, { ...rest, headers: this.headers(headers), signal: controller.signal });
+        } catch (err) {
+            // Report why the request was aborted rather than a generic AbortError
+            throw controller.signal.aborted && controller.signal.reason instanceof Error ? controller.signal.reason : err;
+        } finally {
+            // Pollers reuse one signal for many requests; leave no listener behind
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
     }
 
     /**
      * Execute code
      * @param {string} language - Programming language
-     * @param {string} code - Source code to execute
+     * @param {string} code - Source code to execute (ignored when options.files is set)
+     * @param {Object} options - Options
+     * @param {Object<string, string>} options.files - Multi-file project: { path: content }
+     * @param {string} options.stdin - Standard input for the program (default: '')
+     * @param {Array<Object>} options.tests - Test cases: { stdin, expectedOutput, timeout }
+     * @param {Object} options.compare - Output comparison: { ignoreWhitespace, ignoreTrailingNewline }
+     * @param {string} options.priority - 'high', 'normal' or 'low' (default: 'normal')
+     * @param {string} options.sessionId - Live session the run belongs to, for fair scheduling
+     * @param {string} options.sessionClientId - The submitter's session connection, which the session skips when showing the run
+     * @param {boolean} options.cache - false to always run, for non-deterministic programs (default: true)
+     * @param {Object<string, string>} options.compileOptions - Compiler settings from the language's compileOptions: { name: value }
+     * @param {string} options.problemId - Submit to this problem: graded against its hidden tests (replaces tests)
+     * @param {AbortSignal} options.signal - Aborts the request
      * @returns {Promise<Object>} - Response with jobId or cached result
      */
-    async execute(language, code) {
-        const response = await fetch(`${this.baseUrl}/api/execute.php`, {
+    async execute(language, code, options = {}) {
+        const { files, stdin = '', tests, compare, priority, sessionId, sessionClientId, cache = true, compileOptions, problemId, signal } = options;
+
+        const response = await this.fetch(`${this.baseUrl}/api/execute.php`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
             },
-            body: JSON.stringify({ language, code }),
+            body: JSON.stringify({ language, code, files, stdin, tests, compare, priority, sessionId, sessionClientId, cache, compileOptions, problemId }),
+            signal
         });
 
         const data = await response.json();
@@ -33,10 +117,14 @@ class ApiClient {
     /**
      * Get job status/result
      * @param {string} jobId - Job ID to check
+     * @param {Object} options - Options
+     * @param {AbortSignal} options.signal - Aborts the request
      * @returns {Promise<Object>} - Job status and result
      */
-    async getStatus(jobId) {
-        const response = await fetch(`${this.baseUrl}/api/status.php?jobId=${encodeURIComponent(jobId)}`);
+    async getStatus(jobId, options = {}) {
+        const response = await this.fetch(`${this.baseUrl}/api/status.php?jobId=${encodeURIComponent(jobId)}`, {
+            signal: options.signal
+        });
 
         const data = await response.json();
 
@@ -47,12 +135,35 @@ class ApiClient {
         return data;
     }
 
+    /**
+     * Cancel a queued or running job
+     * @param {string} jobId - Job ID to cancel
+     * @returns {Promise<Object>} - Cancellation status
+     */
+    async cancel(jobId) {
+        const response = await this.fetch(`${this.baseUrl}/api/cancel.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ jobId }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to cancel job');
+        }
+
+        return data;
+    }
+
     /**
      * Get supported languages
      * @returns {Promise<Object>} - Languages configuration
      */
     async getLanguages() {
-        const response = await fetch(`${this.baseUrl}/api/languages.php`);
+        const response = await this.fetch(`${this.baseUrl}/api/languages.php`);
 
         const data = await response.json();
 
@@ -64,60 +175,319 @@ class ApiClient {
     }
 
     /**
-     * Execute code and poll for result
+     * Create a collaborative session seeded with the current project
      * @param {string} language - Programming language
-     * @param {string} code - Source code
+     * @param {Object<string, string>} files - Project files: { path: content }
+     * @returns {Promise<Object>} - { sessionId, editToken, observeToken, wsUrl }
+     */
+    async createSession(language, files) {
+        const response = await this.fetch(`${this.baseUrl}/api/session.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ language, files }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create session');
+        }
+
+        return data;
+    }
+
+    /**
+     * Check a session link and get the role its token grants
+     * @param {string} sessionId - Session ID
+     * @param {string} token - Edit or observe token
+     * @returns {Promise<Object>} - { sessionId, role, wsUrl }
+     */
+    async getSession(sessionId, token) {
+        const response = await this.fetch(
+            `${this.baseUrl}/api/session.php?sessionId=${encodeURIComponent(sessionId)}&token=${encodeURIComponent(token)}`
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to join session');
+        }
+
+        return data;
+    }
+
+    /**
+     * Get the recorded timeline of a session for replay
+     * @param {string} sessionId - Session ID
+     * @param {string} token - Edit or observe token
+     * @returns {Promise<Object>} - { sessionId, createdAt, entries }
+     */
+    async getTimeline(sessionId, token) {
+        const response = await this.fetch(
+            `${this.baseUrl}/api/timeline.php?sessionId=${encodeURIComponent(sessionId)}&token=${encodeURIComponent(token)}`
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load session timeline');
+        }
+
+        return data;
+    }
+
+    /**
+     * Request an interactive terminal for a program or the language's REPL
+     * @param {string} language - Programming language
+     * @param {string} code - Source code (entry file)
+     * @param {Object} options - Options
+     * @param {Object<string, string>} options.files - Multi-file project: { path: content } (replaces code)
+     * @param {Object<string, string>} options.compileOptions - Compiler settings: { name: value }
+     * @param {boolean} options.repl - Start the interactive interpreter instead of running the program
+     * @returns {Promise<Object>} - { ticket, expiresIn, wsUrl } for TerminalClient
+     */
+    async createTerminal(language, code, options = {}) {
+        const { files, compileOptions, repl = false } = options;
+
+        const response = await this.fetch(`${this.baseUrl}/api/terminal.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ language, code, files, compileOptions, repl }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to open terminal');
+        }
+
+        return data;
+    }
+
+    /**
+     * List the problem bank
+     * @returns {Promise<Array<Object>>} - [{ id, title, difficulty, languages }]
+     */
+    async listProblems() {
+        const response = await this.fetch(`${this.baseUrl}/api/problems.php`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load problems');
+        }
+
+        return data.problems;
+    }
+
+    /**
+     * Get a problem with its statement, starter code and sample tests
+     * Hidden tests are only counted; submissions are graded against them on the server.
+     * @param {string} problemId - Problem ID
+     * @returns {Promise<Object>} - { id, title, difficulty, statement, starter, samples, hiddenTests, compare }
+     */
+    async getProblem(problemId) {
+        const response = await this.fetch(`${this.baseUrl}/api/problems.php?id=${encodeURIComponent(problemId)}`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load problem');
+        }
+
+        return data.problem;
+    }
+
+    /**
+     * Save a snippet for a permalink
+     * @param {Object} snippet - { language, files, stdin, compileOptions, result }
+     * @returns {Promise<Object>} - { id, expiresAt }
+     */
+    async createSnippet(snippet) {
+        const response = await this.fetch(`${this.baseUrl}/api/snippet.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(snippet),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to save snippet');
+        }
+
+        return data;
+    }
+
+    /**
+     * Load a saved snippet
+     * @param {string} snippetId - Snippet ID from the permalink
+     * @returns {Promise<Object>} - { language, files, stdin, compileOptions, result, createdAt }
+     */
+    async getSnippet(snippetId) {
+        const response = await this.fetch(`${this.baseUrl}/api/snippet.php?id=${encodeURIComponent(snippetId)}`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load snippet');
+        }
+
+        return data.snippet;
+    }
+
+    /**
+     * Stream live output events for a job (Server-Sent Events over fetch)
+     * Yields { type: 'stdout' | 'stderr', data } chunks, then a final
+     * { type: 'result', result } once the job completes. While the job is
+     * queued, { type: 'queue', position, estimatedWait } reports its place.
+     * @param {string} jobId - Job ID to stream
+     * @param {Object} options - Options
+     * @param {string} options.lastEventId - Resume after this event (default: start)
+     * @param {AbortSignal} options.signal - Closes the stream
+     * @returns {AsyncGenerator<Object>} - Output events
+     */
+    async *streamOutput(jobId, options = {}) {
+        let lastEventId = options.lastEventId || '0';
+
+        const response = await this.fetch(
+            `${this.baseUrl}/api/stream.php?jobId=${encodeURIComponent(jobId)}&lastEventId=${encodeURIComponent(lastEventId)}`,
+            { headers: { 'Accept': 'text/event-stream' }, signal: options.signal }
+        );
+
+        if (!response.ok || !response.body) {
+            throw new Error('Failed to open output stream');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const { signal } = options;
+        const onAbort = () => reader.cancel(signal.reason).catch(() => {});
+        let buffer = '';
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (signal?.aborted) throw signal.reason;
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+
+                // Events are separated by a blank line
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const rawEvent = buffer.slice(0, boundary);
+                    buffer = buffer.slice(boundary + 2);
+
+                    const event = this.parseSseEvent(rawEvent);
+                    if (!event) continue;
+
+                    if (event.id) lastEventId = event.id;
+
+                    if (event.type === 'result') {
+                        yield { type: 'result', result: event.data };
+                        return;
+                    }
+
+                    if (event.type === 'stdout' || event.type === 'stderr') {
+                        yield { type: event.type, data: event.data.data, id: lastEventId };
+                    } else if (event.type === 'queue') {
+                        yield { type: 'queue', position: event.data.position, estimatedWait: event.data.estimatedWait };
+                    } else if (event.type === 'timeout' || event.type === 'error') {
+                        throw new Error(event.data.error || 'Output stream closed before completion');
+                    }
+                }
+            }
+        } finally {
+            signal?.removeEventListener('abort', onAbort);
+            reader.cancel().catch(() => {});
+        }
+
+        throw new Error('Output stream closed before completion');
+    }
+
+    /**
+     * Parse a single SSE event block into { id, type, data }
+     */
+    parseSseEvent(rawEvent) {
+        const event = { id: null, type: 'message', data: '' };
+
+        rawEvent.split('\n').forEach(line => {
+            if (line.startsWith(':')) return; // comment / keepalive
+            const sep = line.indexOf(':');
+            const field = sep === -1 ? line : line.slice(0, sep);
+            const value = sep === -1 ? '' : line.slice(sep + 1).replace(/^ /, '');
+
+            if (field === 'id') event.id = value;
+            else if (field === 'event') event.type = value;
+            else if (field === 'data') event.data += value;
+        });
+
+        if (!event.data) return null;
+
+        try {
+            event.data = JSON.parse(event.data);
+        } catch (err) {
+            return null;
+        }
+
+        return event;
+    }
+
+    /**
+     * Poll status until the job completes
+     * @param {string} jobId - Job ID to wait for
      * @param {Object} options - Options
      * @param {number} options.pollInterval - Polling interval in ms (default: 500)
      * @param {number} options.maxAttempts - Max polling attempts (default: 120)
      * @param {Function} options.onStatus - Status callback
+     * @param {AbortSignal} options.signal - Stops waiting (the job keeps running; see cancel())
      * @returns {Promise<Object>} - Execution result
      */
-    async executeAndWait(language, code, options = {}) {
+    async waitForResult(jobId, options = {}) {
         const {
             pollInterval = 500,
             maxAttempts = 120,
-            onStatus = () => {}
+            onStatus = () => {},
+            signal
         } = options;
 
-        // Submit execution request
-        const submitResult = await this.execute(language, code);
-
-        // If cached, return immediately
-        if (submitResult.cached && submitResult.result) {
-            onStatus({ status: 'completed', cached: true });
-            return {
-                ...submitResult.result,
-                cached: true
-            };
-        }
-
-        const { jobId } = submitResult;
-        onStatus({ status: 'queued', jobId });
-
-        // Poll for result
         let attempts = 0;
 
         while (attempts < maxAttempts) {
-            await this.sleep(pollInterval);
+            await this.sleep(pollInterval, signal);
             attempts++;
 
             try {
-                const statusResult = await this.getStatus(jobId);
+                const statusResult = await this.getStatus(jobId, { signal });
 
-                if (statusResult.status === 'completed' && statusResult.result) {
-                    onStatus({ status: 'completed', jobId });
+                if (statusResult.result) {
+                    onStatus({ status: statusResult.status, jobId });
                     return {
                         ...statusResult.result,
                         cached: false
                     };
                 }
 
-                onStatus({ status: statusResult.status, jobId, attempt: attempts });
+                onStatus({
+                    status: statusResult.status,
+                    jobId,
+                    attempt: attempts,
+                    position: statusResult.queuePosition,
+                    estimatedWait: statusResult.estimatedWait
+                });
 
             } catch (err) {
                 // Continue polling on transient errors
-                if (attempts >= maxAttempts) {
+                if (attempts >= maxAttempts || signal?.aborted) {
                     throw err;
                 }
             }
@@ -127,10 +497,208 @@ class ApiClient {
     }
 
     /**
-     * Sleep helper
+     * Execute code and wait for the result
+     * With options.onOutput, output is streamed live and polling is only
+     * used as a fallback when the stream is unavailable.
+     * @param {string} language - Programming language
+     * @param {string} code - Source code
+     * @param {Object} options - Options
+     * @param {Object<string, string>} options.files - Multi-file project: { path: content }
+     * @param {string} options.stdin - Standard input for the program (default: '')
+     * @param {Array<Object>} options.tests - Test cases to grade the program against
+     * @param {Object} options.compare - Output comparison options for test cases
+     * @param {string} options.priority - 'high', 'normal' or 'low' (default: 'normal')
+     * @param {string} options.sessionId - Live session the run belongs to
+     * @param {string} options.sessionClientId - The submitter's session connection
+     * @param {boolean} options.cache - false to skip cached results (default: true)
+     * @param {Object<string, string>} options.compileOptions - Compiler settings: { name: value }
+     * @param {string} options.problemId - Submit to this problem (graded against its hidden tests)
+     * @param {number} options.pollInterval - Polling interval in ms (default: 500)
+     * @param {number} options.maxAttempts - Max polling attempts (default: 120)
+     * @param {Function} options.onStatus - Status callback; queued jobs report position and estimatedWait (ms)
+     * @param {Function} options.onOutput - Live output callback: (stream, chunk)
+     * @param {AbortSignal} options.signal - Stops submitting or waiting (the job keeps running; see cancel())
+     * @returns {Promise<Object>} - Execution result
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async executeAndWait(language, code, options = {}) {
+        const {
+            files,
+            stdin = '',
+            tests,
+            compare,
+            priority,
+            sessionId,
+            sessionClientId,
+            cache,
+            compileOptions,
+            problemId,
+            onStatus = () => {},
+            onOutput = null,
+            signal
+        } = options;
+
+        // Submit execution request
+        const submitResult = await this.execute(language, code, {
+            files, stdin, tests, compare, priority, sessionId, sessionClientId, cache, compileOptions, problemId, signal
+        });
+
+        // If cached, return immediately
+        if (submitResult.cached && submitResult.result) {
+            onStatus({ status: 'completed', cached: true });
+            return {
+                ...submitResult.result,
+                cached: true
+            };
+        }
+
+        const { jobId } = submitResult;
+        onStatus({ status: 'queued', jobId });
+
+        if (onOutput) {
+            try {
+                for await (const event of this.streamOutput(jobId, { signal })) {
+                    if (event.type === 'result') {
+                        onStatus({ status: event.result.cancelled ? 'cancelled' : 'completed', jobId });
+                        return {
+                            ...event.result,
+                            cached: false
+                        };
+                    }
+                    if (event.type === 'queue') {
+                        onStatus({ status: 'queued', jobId, position: event.position, estimatedWait: event.estimatedWait });
+                        continue;
+                    }
+                    onOutput(event.type, event.data);
+                }
+            } catch (err) {
+                // Fall back to polling for the final result
+                if (signal?.aborted) {
+                    throw err;
+                }
+            }
+        }
+
+        return this.waitForResult(jobId, options);
+    }
+
+    /**
+     * Submit several programs as one batch
+     * @param {Array<Object>} items - Programs: { language, code, files, stdin, tests, compare, compileOptions, cache, problemId }
+     * @param {Object} options - Options
+     * @param {string} options.priority - Scheduling priority: high, normal or low (default: normal)
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<Object>} - { batchId, status, total, cached, jobIds }
+     */
+    async submitBatch(items, options = {}) {
+        const { priority, signal } = options;
+
+        const response = await this.fetch(`${this.baseUrl}/api/batch.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ items, priority }),
+            signal
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Batch submission failed');
+        }
+
+        return data;
+    }
+
+    /**
+     * Get batch progress and the results completed since the last call
+     * @param {string} batchId - Batch ID
+     * @param {Object} options - Options
+     * @param {number} options.after - Completed results already read: the previous response's next (default: 0)
+     * @param {AbortSignal} options.signal - Aborts the request
+     * @returns {Promise<Object>} - { status, total, completed, processing, queued, items, next }
+     */
+    async getBatch(batchId, options = {}) {
+        const { after = 0, signal } = options;
+
+        const response = await this.fetch(
+            `${this.baseUrl}/api/batch.php?batchId=${encodeURIComponent(batchId)}&after=${after}`,
+            { signal }
+        );
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to get batch status');
+        }
+
+        return data;
+    }
+
+    /**
+     * Run a batch and wait until every item has a result
+     * @param {Array<Object>} items - Programs, as for submitBatch()
+     * @param {Object} options - Options
+     * @param {string} options.priority - Scheduling priority (default: normal)
+     * @param {number} options.pollInterval - Polling interval in ms (default: 1000)
+     * @param {Function} options.onResult - Called as each item completes: (index, result, jobId)
+     * @param {Function} options.onStatus - Progress callback: { batchId, status, total, completed, processing, queued }
+     * @param {AbortSignal} options.signal - Stops submitting or waiting (the jobs keep running; see cancel())
+     * @returns {Promise<Array<Object>>} - Results in item order
+     */
+    async executeBatch(items, options = {}) {
+        const {
+            priority,
+            pollInterval = 1000,
+            onResult = () => {},
+            onStatus = () => {},
+            signal
+        } = options;
+
+        const { batchId, total } = await this.submitBatch(items, { priority, signal });
+        const results = new Array(total).fill(null);
+        let after = 0;
+
+        while (true) {
+            const batch = await this.getBatch(batchId, { after, signal });
+
+            batch.items.forEach(item => {
+                results[item.index] = item.result;
+                onResult(item.index, item.result, item.jobId);
+            });
+            after = batch.next;
+
+            const { status, completed, processing, queued } = batch;
+            onStatus({ batchId, status, total, completed, processing, queued });
+
+            if (status === 'completed' && after >= total) {
+                return results;
+            }
+
+            await this.sleep(pollInterval, signal);
+        }
+    }
+
+    /**
+     * Sleep helper; rejects early when signal aborts
+     */
+    sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 }
 
@@ -8,19 +8,83 @@ let editor = null;
 let apiClient = null;
 let currentLanguage = 'python';
 let isExecuting = false;
+let currentJobId = null;
 let languages = {};
 
-// Monaco language mapping
-const MONACO_LANGUAGE_MAP = {
-    python: 'python',
-    c: 'c',
-    cpp: 'cpp',
-    java: 'java',
-    go: 'go',
-    rust: 'rust',
-    php: 'php'
+// Human-readable explanations of how a run ended
+const TERMINATION_LABELS = {
+    exited: 'Exited normally',
+    signaled: 'Killed by a signal',
+    killed: 'Killed by SIGKILL - not by the memory or time limit',
+    timeout: 'Time limit exceeded - the program ran longer than allowed',
+    memory_limit: 'Memory limit exceeded - the program tried to use more memory than allowed',
+    output_limit: 'Output limit exceeded - the program printed more than 64KB',
+    sandbox_violation: 'Blocked by the sandbox - the program made a forbidden system call',
+    cancelled: 'Cancelled',
+    idle: 'Terminal closed - no input for too long'
 };
 
+// Common fatal signals and what usually causes them
+const SIGNAL_DESCRIPTIONS = {
+    SIGSEGV: 'segmentation fault - invalid memory access',
+    SIGABRT: 'aborted - failed assertion or uncaught exception',
+    SIGFPE: 'arithmetic error - e.g. division by zero',
+    SIGBUS: 'bus error - misaligned or invalid memory access',
+    SIGILL: 'illegal instruction',
+    SIGKILL: 'killed',
+    SIGPIPE: 'broken pipe'
+};
+
+// Compiler settings changed in the settings popover: language -> { option: value }
+const compileOptionSelections = {};
+
+// Autosaved projects in localStorage, one per language
+const DRAFT_KEY_PREFIX = 'jot-ide:draft:';
+const LAST_LANGUAGE_KEY = 'jot-ide:language';
+const DRAFT_SAVE_DELAY = 500; // ms after the last edit
+let draftTimer = null;
+
+// Snippet the page was opened from (permalink), and the last result shown
+let openedSnippet = null;
+let lastResult = null;
+
+// Problem being solved (null when coding freely), and the problem bank
+let currentProblem = null;
+let problems = [];
+
+// Project files: path -> Monaco model (entry file always present)
+const projectFiles = new Map();
+let activeFile = null;
+
+// Allowed project file paths (must match api/config.php)
+const FILE_PATH_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*){0,4}$/;
+const RESERVED_FILES = ['output', 'nsjail.cfg'];
+const MAX_PROJECT_FILES = 32;
+
+// Owner of compiler/runtime error markers in Monaco models
+const DIAGNOSTICS_OWNER = 'diagnostics';
+
+// Human-readable test verdicts
+const VERDICT_LABELS = {
+    accepted: 'Accepted',
+    wrong_answer: 'Wrong Answer',
+    time_limit: 'Time Limit Exceeded',
+    runtime_error: 'Runtime Error'
+};
+
+// Interactive terminal: connection (null when closed) and its xterm.js view
+let terminal = null;
+let terminalView = null;
+let terminalFit = null;
+
+// Collaborative session (null when editing alone)
+let session = null;
+// Set while applying edits from other participants, so they are not sent back
+let applyingRemote = false;
+// Other participants' cursors: clientId -> { name, path, selection }
+const remoteCursors = new Map();
+let remoteCursorDecorations = null;
+
 /**
  * Initialize the application
  */
@@ -31,12 +95,22 @@ async function init() {
     try {
         const response = await apiClient.getLanguages();
         languages = response.languages;
+
+        // Continue with the language used last
+        const lastLanguage = lastUsedLanguage();
+        if (lastLanguage && languages[lastLanguage]) {
+            currentLanguage = lastLanguage;
+        }
         populateLanguageSelector();
+        renderCompileOptions();
+        updateTerminalButtons();
     } catch (err) {
         console.error('Failed to load languages:', err);
         showError('Failed to load language configuration');
     }
 
+    await loadProblems();
+
     // Initialize Monaco Editor
     require.config({
         paths: {
@@ -46,8 +120,7 @@ async function init() {
 
     require(['vs/editor/editor.main'], function() {
         editor = monaco.editor.create(document.getElementById('editor'), {
-            value: languages[currentLanguage]?.helloWorld || '# Write your code here',
-            language: MONACO_LANGUAGE_MAP[currentLanguage] || 'plaintext',
+            model: null,
             theme: 'vs-dark',
             fontSize: 14,
             fontFamily: "'Fira Code', 'Monaco', 'Consolas', monospace",
@@ -63,17 +136,64 @@ async function init() {
             padding: { top: 16, bottom: 16 }
         });
 
-        // Update filename display
-        updateFilename();
+        // Start with the autosaved project, or a single entry file
+        const draft = loadDraft(currentLanguage);
+        if (draft) {
+            loadProject(draft.files);
+        } else {
+            resetProject(starterCode(currentLanguage) || '# Write your code here');
+        }
 
         // Keyboard shortcut: Ctrl/Cmd + Enter to run
         editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, runCode);
+
+        remoteCursorDecorations = editor.createDecorationsCollection();
+        editor.onDidChangeCursorSelection(event => {
+            if (session && activeFile) {
+                session.sendCursor(activeFile, event.selection);
+            }
+        });
+
+        // Opened through a session link, a snippet permalink or a problem link
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('session') && params.has('token')) {
+            joinSession(params.get('session'), params.get('token'));
+        } else if (params.has('snippet')) {
+            openSnippet(params.get('snippet'));
+        } else if (params.has('problem')) {
+            openProblem(params.get('problem'));
+        }
     });
 
     // Event listeners
     document.getElementById('language-select').addEventListener('change', onLanguageChange);
+    document.getElementById('problem-select').addEventListener('change', onProblemChange);
     document.getElementById('run-btn').addEventListener('click', runCode);
+    document.getElementById('run-tests-btn').addEventListener('click', runTests);
+    document.getElementById('submit-btn').addEventListener('click', submitSolution);
+    document.getElementById('terminal-btn').addEventListener('click', () => toggleTerminal(false));
+    document.getElementById('repl-btn').addEventListener('click', () => toggleTerminal(true));
+    document.getElementById('stop-btn').addEventListener('click', stopExecution);
+    document.getElementById('overlay-stop-btn').addEventListener('click', stopExecution);
     document.getElementById('clear-btn').addEventListener('click', clearOutput);
+    document.getElementById('add-test-btn').addEventListener('click', () => addTestCase());
+    document.getElementById('add-file-btn').addEventListener('click', addFile);
+    document.getElementById('share-btn').addEventListener('click', shareSession);
+    document.getElementById('snippet-btn').addEventListener('click', saveSnippet);
+    window.addEventListener('beforeunload', flushDraft);
+    document.getElementById('compile-options-btn').addEventListener('click', toggleCompileOptions);
+    document.addEventListener('click', (event) => {
+        if (!event.target.closest('.compile-options')) closeCompileOptions();
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeCompileOptions();
+    });
+    document.querySelectorAll('[data-copy]').forEach(button => {
+        button.addEventListener('click', () => copyLink(button));
+    });
+
+    // Start with one empty test case
+    addTestCase();
 
     // Tab switching
     document.querySelectorAll('.output-tab').forEach(tab => {
@@ -107,207 +227,1603 @@ function populateLanguageSelector() {
  * Handle language change
  */
 function onLanguageChange(event) {
+    flushDraft();
     currentLanguage = event.target.value;
-    const config = languages[currentLanguage];
+    renderCompileOptions();
+    updateTerminalButtons();
 
     if (editor) {
-        // Update Monaco language
-        monaco.editor.setModelLanguage(
-            editor.getModel(),
-            MONACO_LANGUAGE_MAP[currentLanguage] || 'plaintext'
-        );
-
-        // Set hello world code
-        if (config?.helloWorld) {
-            editor.setValue(config.helloWorld);
+        // Switch to the language's autosaved project, or its starter file
+        const draft = session ? null : loadDraft(currentLanguage);
+        if (draft) {
+            loadProject(draft.files);
+        } else {
+            resetProject(starterCode(currentLanguage));
         }
-
-        updateFilename();
+        shareEdit([{ kind: 'reset', language: currentLanguage, files: collectProjectFiles() }]);
+        saveDraft();
     }
 }
 
 /**
- * Update filename in editor header
+ * Fill the problem selector from the problem bank
  */
-function updateFilename() {
-    const config = languages[currentLanguage];
-    const filename = config ? `main.${config.extension}` : 'main.txt';
-    document.getElementById('editor-filename').textContent = filename;
+async function loadProblems() {
+    try {
+        problems = await apiClient.listProblems();
+    } catch (err) {
+        console.error('Failed to load problems:', err);
+        return;
+    }
+
+    const select = document.getElementById('problem-select');
+    problems.forEach(problem => {
+        const option = document.createElement('option');
+        option.value = problem.id;
+        option.textContent = `${problem.title} (${problem.difficulty})`;
+        select.appendChild(option);
+    });
 }
 
 /**
- * Run the code
+ * Handle problem change
  */
-async function runCode() {
-    if (isExecuting || !editor) return;
+function onProblemChange(event) {
+    if (event.target.value) {
+        openProblem(event.target.value);
+    } else {
+        closeProblem();
+    }
+}
 
-    const code = editor.getValue().trim();
-    if (!code) {
-        showError('Please enter some code to run');
+/**
+ * Switch to a problem: show its statement, load its starter code (or the draft
+ * kept for it) and replace the test cases with its samples
+ */
+async function openProblem(problemId) {
+    if (!editor) return;
+    if (session) {
+        showError('Problems cannot be opened during a live session');
+        updateProblemMode();
         return;
     }
 
-    isExecuting = true;
-    setLoading(true);
-    clearOutput();
-    updateStatus('running', 'Executing...');
-
+    let problem;
     try {
-        const result = await apiClient.executeAndWait(currentLanguage, code, {
-            pollInterval: 500,
-            maxAttempts: 120,
-            onStatus: (status) => {
-                if (status.status === 'queued') {
-                    updateStatus('running', 'Queued...');
-                } else if (status.status === 'processing') {
-                    updateStatus('running', 'Processing...');
-                }
-            }
-        });
-
-        displayResult(result);
-
+        problem = await apiClient.getProblem(problemId);
     } catch (err) {
         showError(err.message);
-        updateStatus('error', 'Failed');
-    } finally {
-        isExecuting = false;
-        setLoading(false);
+        updateProblemMode();
+        return;
+    }
+
+    flushDraft();
+    currentProblem = problem;
+    openedSnippet = null;
+
+    // Keep the current language if the problem accepts it
+    if (!Object.prototype.hasOwnProperty.call(problem.starter, currentLanguage)) {
+        setLanguage(Object.keys(problem.starter)[0]);
+    }
+    updateProblemMode();
+
+    const draft = loadDraft(currentLanguage);
+    if (draft) {
+        loadProject(draft.files);
+    } else {
+        resetProject(starterCode(currentLanguage));
     }
+
+    // Samples run as ordinary tests; hidden tests only on Submit
+    document.getElementById('test-cases').replaceChildren();
+    problem.samples.forEach(test => addTestCase(test.stdin, test.expectedOutput));
+    document.getElementById('compare-whitespace').checked = problem.compare.ignoreWhitespace;
+    document.getElementById('compare-trailing-newline').checked = problem.compare.ignoreTrailingNewline;
+
+    clearOutput();
+    window.history.replaceState(null, '', problemLink(problem.id));
 }
 
 /**
- * Display execution result
+ * Leave the problem and continue coding freely
  */
-function displayResult(result) {
-    const stdoutEl = document.getElementById('output-stdout');
-    const stderrEl = document.getElementById('output-stderr');
+function closeProblem() {
+    if (!currentProblem || session) return;
 
-    // Display stdout
-    if (result.stdout) {
-        stdoutEl.textContent = result.stdout;
-        stdoutEl.classList.remove('output-content--empty');
-    } else {
-        stdoutEl.textContent = 'No output';
-        stdoutEl.classList.add('output-content--empty');
-    }
+    flushDraft();
+    currentProblem = null;
+    updateProblemMode();
 
-    // Display stderr
-    if (result.stderr) {
-        stderrEl.textContent = result.stderr;
-        stderrEl.classList.remove('output-content--empty');
-        stderrEl.classList.add('output-content--error');
+    const draft = loadDraft(currentLanguage);
+    if (draft) {
+        loadProject(draft.files);
     } else {
-        stderrEl.textContent = 'No errors';
-        stderrEl.classList.add('output-content--empty');
-        stderrEl.classList.remove('output-content--error');
+        resetProject(starterCode(currentLanguage));
     }
 
-    // Update status
-    const statusType = result.exitCode === 0 ? 'success' : 'error';
-    let statusText = `Exit code: ${result.exitCode}`;
+    document.getElementById('test-cases').replaceChildren();
+    addTestCase();
+    clearOutput();
+    window.history.replaceState(null, '', window.location.pathname);
+}
 
-    if (result.executionTime) {
-        statusText += ` | ${result.executionTime}ms`;
-    }
+/**
+ * Show the open problem's statement and the Submit button, and disable the
+ * languages the problem has no starter code for
+ */
+function updateProblemMode() {
+    const problem = currentProblem;
 
-    if (result.cached) {
-        statusText += ' | Cached';
-        showCacheBadge();
+    document.getElementById('problem-select').value = problem ? problem.id : '';
+    document.getElementById('problem-panel').style.display = problem ? '' : 'none';
+    document.getElementById('submit-btn').style.display = problem ? '' : 'none';
+    document.getElementById('run-tests-btn-label').textContent = problem ? 'Run Samples' : 'Run Tests';
+    document.querySelectorAll('#language-select option').forEach(option => {
+        option.disabled = problem !== null && !Object.prototype.hasOwnProperty.call(problem.starter, option.value);
+    });
+
+    if (!problem) return;
+
+    const difficulty = document.getElementById('problem-difficulty');
+    difficulty.className = `problem-panel__difficulty problem-panel__difficulty--${problem.difficulty}`;
+    difficulty.textContent = problem.difficulty;
+    document.getElementById('problem-hidden-tests').textContent =
+        `${problem.hiddenTests} hidden test${problem.hiddenTests === 1 ? '' : 's'} graded on Submit`;
+    document.getElementById('problem-statement').replaceChildren(renderMarkdown(problem.statement));
+}
+
+/**
+ * Code a new project starts with: the problem's starter code, or the language's hello world
+ */
+function starterCode(language) {
+    return currentProblem?.starter[language] ?? languages[language]?.helloWorld ?? '';
+}
+
+/**
+ * Link that opens a problem
+ */
+function problemLink(problemId) {
+    const params = new URLSearchParams({ problem: problemId });
+    return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+/**
+ * Switch the language without touching the project (used for remote changes)
+ */
+function setLanguage(language) {
+    currentLanguage = language;
+    document.getElementById('language-select').value = language;
+    renderCompileOptions();
+    updateTerminalButtons();
+}
+
+/**
+ * Fill the compiler settings popover with the current language's options
+ * The button is hidden for languages without any.
+ */
+function renderCompileOptions() {
+    const button = document.getElementById('compile-options-btn');
+    const popover = document.getElementById('compile-options-popover');
+    const options = languages[currentLanguage]?.compileOptions || {};
+    const selected = compileOptionSelections[currentLanguage] || {};
+
+    closeCompileOptions();
+    popover.replaceChildren();
+    button.style.display = Object.keys(options).length > 0 ? '' : 'none';
+    button.classList.toggle('compile-options__button--changed', Object.keys(selected).length > 0);
+
+    Object.entries(options).forEach(([name, option]) => {
+        const field = document.createElement('label');
+        field.className = 'compile-options__field';
+
+        const label = document.createElement('span');
+        label.className = 'compile-options__label';
+        label.textContent = option.label;
+
+        const select = document.createElement('select');
+        select.className = 'compile-options__select';
+        option.choices.forEach(choice => {
+            const item = document.createElement('option');
+            item.value = choice.value;
+            item.textContent = choice.args.length > 0 ? `${choice.value} (${choice.args.join(' ')})` : choice.value;
+            select.appendChild(item);
+        });
+        select.value = selected[name] || option.default;
+        select.addEventListener('change', () => setCompileOption(name, select.value));
+
+        field.append(label, select);
+        popover.appendChild(field);
+    });
+}
+
+/**
+ * Remember a compiler setting for the current language (defaults are not sent)
+ */
+function setCompileOption(name, value) {
+    const selected = { ...compileOptionSelections[currentLanguage] };
+
+    if (value === languages[currentLanguage].compileOptions[name].default) {
+        delete selected[name];
     } else {
-        hideCacheBadge();
+        selected[name] = value;
     }
 
-    if (result.compileError) {
-        statusText = 'Compilation failed';
-        switchTab('stderr');
-    }
+    compileOptionSelections[currentLanguage] = selected;
+    document.getElementById('compile-options-btn')
+        .classList.toggle('compile-options__button--changed', Object.keys(selected).length > 0);
+}
 
-    updateStatus(statusType, statusText);
+/**
+ * Show or hide the compiler settings popover
+ */
+function toggleCompileOptions() {
+    const popover = document.getElementById('compile-options-popover');
+    const open = popover.style.display === 'none';
+
+    popover.style.display = open ? '' : 'none';
+    document.getElementById('compile-options-btn').setAttribute('aria-expanded', String(open));
 }
 
 /**
- * Show error message
+ * Hide the compiler settings popover
  */
-function showError(message) {
-    const stderrEl = document.getElementById('output-stderr');
-    stderrEl.textContent = message;
-    stderrEl.classList.add('output-content--error');
-    stderrEl.classList.remove('output-content--empty');
-    switchTab('stderr');
-    updateStatus('error', 'Error');
+function closeCompileOptions() {
+    document.getElementById('compile-options-popover').style.display = 'none';
+    document.getElementById('compile-options-btn').setAttribute('aria-expanded', 'false');
 }
 
 /**
- * Clear output panels
+ * Entry file name for the current language (e.g. main.py, Main.java)
  */
-function clearOutput() {
-    const stdoutEl = document.getElementById('output-stdout');
-    const stderrEl = document.getElementById('output-stderr');
+function entryFilename() {
+    const config = languages[currentLanguage];
+    if (!config) return 'main.txt';
+    return config.sourceFile || `main.${config.extension}`;
+}
 
-    stdoutEl.textContent = 'Output will appear here...';
-    stdoutEl.classList.add('output-content--empty');
+/**
+ * Monaco language id for a project file
+ */
+function languageForFile(filePath) {
+    const ext = filePath.includes('.') ? filePath.split('.').pop() : '';
 
-    stderrEl.textContent = 'Errors will appear here...';
-    stderrEl.classList.add('output-content--empty');
-    stderrEl.classList.remove('output-content--error');
+    if (ext === languages[currentLanguage]?.extension) {
+        return languages[currentLanguage].monaco || 'plaintext';
+    }
 
-    hideCacheBadge();
-    updateStatus('idle', 'Ready');
-    switchTab('stdout');
+    const match = monaco.languages.getLanguages()
+        .find(lang => (lang.extensions || []).includes(`.${ext}`));
+    return match ? match.id : 'plaintext';
 }
 
 /**
- * Switch output tab
+ * Discard all files and start over with just the entry file
  */
-function switchTab(tabName) {
-    document.querySelectorAll('.output-tab').forEach(tab => {
-        tab.classList.toggle('output-tab--active', tab.dataset.tab === tabName);
-    });
+function resetProject(content) {
+    loadProject({ [entryFilename()]: content });
+}
 
-    document.querySelectorAll('.output-content').forEach(content => {
-        content.style.display = content.id === `output-${tabName}` ? 'block' : 'none';
+/**
+ * Replace the project with the given files: { path: content }
+ */
+function loadProject(files) {
+    projectFiles.forEach(model => model.dispose());
+    projectFiles.clear();
+
+    const entry = entryFilename();
+    createFileModel(entry, files[entry] || '');
+    Object.keys(files)
+        .filter(filePath => filePath !== entry)
+        .forEach(filePath => createFileModel(filePath, files[filePath]));
+
+    openFile(entry);
+}
+
+/**
+ * Create the Monaco model for a project file
+ */
+function createFileModel(filePath, content) {
+    const model = monaco.editor.createModel(content, languageForFile(filePath), monaco.Uri.file(filePath));
+
+    // Edits are shared as character offsets - line endings must be identical everywhere
+    model.setEOL(monaco.editor.EndOfLineSequence.LF);
+    model.onDidChangeContent(event => {
+        onLocalEdit(filePath, event);
+        scheduleDraftSave();
     });
+
+    projectFiles.set(filePath, model);
+    return model;
 }
 
 /**
- * Update status bar
+ * Show a project file in the editor
  */
-function updateStatus(type, text) {
-    const indicator = document.getElementById('status-indicator');
-    const textEl = document.getElementById('status-text');
+function openFile(filePath) {
+    const model = projectFiles.get(filePath);
+    if (!model) return;
 
-    indicator.className = 'status-bar__indicator';
-    if (type === 'success') indicator.classList.add('status-bar__indicator--success');
-    else if (type === 'error') indicator.classList.add('status-bar__indicator--error');
-    else if (type === 'running') indicator.classList.add('status-bar__indicator--running');
+    activeFile = filePath;
+    editor.setModel(model);
+    renderFileTabs();
+    renderRemoteCursors();
+}
 
-    textEl.textContent = text;
+/**
+ * Prompt for a new file name and add it to the project
+ */
+function addFile() {
+    if (!editor) return;
+
+    if (projectFiles.size >= MAX_PROJECT_FILES) {
+        showError(`Projects are limited to ${MAX_PROJECT_FILES} files`);
+        return;
+    }
+
+    const filePath = (window.prompt('New file name (e.g. utils.' + (languages[currentLanguage]?.extension || 'txt') + ')') || '').trim();
+    if (!filePath) return;
+
+    if (!FILE_PATH_PATTERN.test(filePath) || RESERVED_FILES.includes(filePath)) {
+        showError(`Invalid file name: ${filePath}`);
+        return;
+    }
+
+    if (projectFiles.has(filePath)) {
+        openFile(filePath);
+        return;
+    }
+
+    createFileModel(filePath, '');
+    shareEdit([{ kind: 'add', path: filePath }]);
+    scheduleDraftSave();
+    openFile(filePath);
 }
 
 /**
- * Set loading state
+ * Remove a file from the project (the entry file cannot be removed)
  */
-function setLoading(loading) {
-    const overlay = document.getElementById('loading-overlay');
-    const runBtn = document.getElementById('run-btn');
+function removeFile(filePath) {
+    if (filePath === entryFilename()) return;
 
-    overlay.classList.toggle('loading-overlay--visible', loading);
-    runBtn.disabled = loading;
+    const model = projectFiles.get(filePath);
+    if (!model) return;
+
+    projectFiles.delete(filePath);
+    if (activeFile === filePath) {
+        openFile(entryFilename());
+    }
+    model.dispose();
+    shareEdit([{ kind: 'remove', path: filePath }]);
+    scheduleDraftSave();
+    renderFileTabs();
 }
 
 /**
- * Show cache badge
+ * Render the file tab strip in the editor header
  */
-function showCacheBadge() {
-    document.getElementById('cache-badge').style.display = 'inline-flex';
+function renderFileTabs() {
+    const container = document.getElementById('file-tabs');
+    container.replaceChildren();
+
+    const entry = entryFilename();
+
+    projectFiles.forEach((model, filePath) => {
+        const tab = document.createElement('div');
+        tab.className = 'file-tab';
+        tab.classList.toggle('file-tab--active', filePath === activeFile);
+        tab.addEventListener('click', () => openFile(filePath));
+
+        const name = document.createElement('span');
+        name.className = 'file-tab__name';
+        name.textContent = filePath;
+        tab.appendChild(name);
+
+        if (filePath !== entry && !isObserver()) {
+            const close = document.createElement('button');
+            close.className = 'file-tab__close';
+            close.title = 'Remove file';
+            close.textContent = '\u00d7';
+            close.addEventListener('click', (event) => {
+                event.stopPropagation();
+                removeFile(filePath);
+            });
+            tab.appendChild(close);
+        }
+
+        container.appendChild(tab);
+    });
 }
 
 /**
- * Hide cache badge
+ * Contents of every project file: { path: content }
  */
-function hideCacheBadge() {
-    document.getElementById('cache-badge').style.display = 'none';
+function collectProjectFiles() {
+    const files = {};
+    projectFiles.forEach((model, filePath) => {
+        files[filePath] = model.getValue();
+    });
+    return files;
+}
+
+/**
+ * Save the project to localStorage shortly after the last edit
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(saveDraft, DRAFT_SAVE_DELAY);
+}
+
+/**
+ * Save a pending draft right away (before switching language or leaving the page)
+ */
+function flushDraft() {
+    if (draftTimer) {
+        clearTimeout(draftTimer);
+        saveDraft();
+    }
+}
+
+/**
+ * localStorage key of a language's draft; each problem keeps drafts of its own
+ */
+function draftKey(language) {
+    return DRAFT_KEY_PREFIX + (currentProblem ? `${currentProblem.id}:` : '') + language;
+}
+
+/**
+ * Autosave the project of the current language
+ * Live sessions are not saved: their project lives on the server.
+ */
+function saveDraft() {
+    draftTimer = null;
+    if (!editor || session) return;
+
+    const draft = { files: collectProjectFiles(), savedAt: Date.now() };
+    // Reloading a permalink keeps the edits made to it
+    if (openedSnippet && openedSnippet.language === currentLanguage) {
+        draft.snippet = openedSnippet.id;
+    }
+
+    try {
+        localStorage.setItem(draftKey(currentLanguage), JSON.stringify(draft));
+        localStorage.setItem(LAST_LANGUAGE_KEY, currentLanguage);
+    } catch (err) {
+        // Storage full or disabled (private browsing) - keep editing without autosave
+        console.warn('Autosave failed:', err);
+    }
+}
+
+/**
+ * Language of the most recent autosave, or null
+ */
+function lastUsedLanguage() {
+    try {
+        return localStorage.getItem(LAST_LANGUAGE_KEY);
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Autosaved project of a language, or null if there is none (or it is unusable)
+ */
+function loadDraft(language) {
+    let draft;
+    try {
+        draft = JSON.parse(localStorage.getItem(draftKey(language)));
+    } catch (err) {
+        return null;
+    }
+
+    const entry = languages[language]?.sourceFile;
+    const files = draft && draft.files;
+    if (!files || typeof files !== 'object' || typeof files[entry] !== 'string'
+        || !Object.values(files).every(content => typeof content === 'string')) {
+        return null;
+    }
+
+    return draft;
+}
+
+/**
+ * Run the code
+ */
+async function runCode() {
+    const stdin = document.getElementById('output-stdin').value;
+    await startExecution({ stdin });
+}
+
+/**
+ * Run the code against every test case
+ */
+async function runTests() {
+    const tests = collectTestCases();
+    if (tests.length === 0) {
+        showError('Please add at least one test case');
+        return;
+    }
+
+    await startExecution({
+        tests,
+        compare: {
+            ignoreWhitespace: document.getElementById('compare-whitespace').checked,
+            ignoreTrailingNewline: document.getElementById('compare-trailing-newline').checked
+        }
+    });
+}
+
+/**
+ * Grade the solution against the open problem's hidden tests
+ */
+async function submitSolution() {
+    if (!currentProblem) return;
+
+    await startExecution({ problemId: currentProblem.id });
+}
+
+/**
+ * Submit the editor contents and display the result
+ */
+async function startExecution(options) {
+    if (isExecuting || terminal || !editor || isObserver()) return;
+
+    const files = collectProjectFiles();
+    const code = files[entryFilename()].trim();
+    if (!code) {
+        showError('Please enter some code to run');
+        return;
+    }
+
+    // Single-file programs are sent as plain code
+    if (projectFiles.size > 1) {
+        options = { ...options, files };
+    }
+
+    isExecuting = true;
+    setLoading(true);
+    clearOutput();
+    updateStatus('running', 'Executing...');
+
+    try {
+        const result = await apiClient.executeAndWait(currentLanguage, code, {
+            ...options,
+            sessionId: session ? session.sessionId : undefined,
+            sessionClientId: session ? session.clientId : undefined,
+            cache: document.getElementById('use-cache').checked,
+            compileOptions: compileOptionSelections[currentLanguage],
+            pollInterval: 500,
+            maxAttempts: 120,
+            onStatus: (status) => {
+                if (status.jobId) {
+                    currentJobId = status.jobId;
+                }
+
+                if (status.status === 'queued' || status.status === 'pending') {
+                    updateStatus('running', describeQueue(status));
+                } else if (status.status === 'processing') {
+                    updateStatus('running', 'Processing...');
+                }
+            },
+            onOutput: (stream, chunk) => appendOutput(stream, chunk)
+        });
+
+        displayResult(result);
+
+    } catch (err) {
+        showError(err.message);
+        updateStatus('error', 'Failed');
+    } finally {
+        isExecuting = false;
+        currentJobId = null;
+        setLoading(false);
+    }
+}
+
+/**
+ * Open the program (or the language's REPL) in the Terminal tab, or close the open terminal
+ */
+async function toggleTerminal(repl) {
+    if (terminal) {
+        terminal.close();
+        return;
+    }
+    if (isExecuting || !editor || isObserver()) return;
+
+    const files = collectProjectFiles();
+    const code = files[entryFilename()].trim();
+    if (!code) {
+        showError('Please enter some code to run');
+        return;
+    }
+
+    clearOutput();
+    const view = openTerminalView();
+    switchTab('terminal');
+    updateStatus('running', 'Opening terminal...');
+
+    const client = new TerminalClient(null, {
+        onStatus: (phase) => {
+            updateStatus('running', phase === 'compiling' ? 'Compiling...' : 'Terminal running');
+            if (phase === 'running') view.focus();
+        },
+        onOutput: (data) => view.write(data),
+        onCompileError: (result) => displayResult(result),
+        onExit: (result) => {
+            const ended = result.termination === 'exited' ? `Exited with code ${result.exitCode}` : describeTermination(result);
+            view.write(`\r\n\x1b[2m[${ended}]\x1b[0m\r\n`);
+            updateStatus(result.termination === 'exited' && result.exitCode === 0 ? 'success' : 'error', ended);
+        },
+        onError: showError,
+        onClose: () => {
+            terminal = null;
+            updateTerminalButtons();
+        }
+    });
+
+    try {
+        const { ticket, wsUrl } = await apiClient.createTerminal(currentLanguage, code, {
+            files: projectFiles.size > 1 ? files : undefined,
+            compileOptions: compileOptionSelections[currentLanguage],
+            repl
+        });
+        client.wsUrl = wsUrl || client.wsUrl;
+        terminal = client;
+        updateTerminalButtons();
+        await client.connect(ticket, view.cols, view.rows);
+    } catch (err) {
+        terminal = null;
+        updateTerminalButtons();
+        showError(err.message);
+    }
+}
+
+/**
+ * The terminal view in the Terminal tab, cleared for a new program
+ * Created on first use; keystrokes and size changes go to the open terminal.
+ */
+function openTerminalView() {
+    if (!terminalView) {
+        terminalView = new Terminal({
+            fontFamily: "'Fira Code', 'Monaco', 'Consolas', monospace",
+            fontSize: 14,
+            cursorBlink: true,
+            theme: { background: '#1e1e1e' }
+        });
+        terminalFit = new FitAddon.FitAddon();
+        terminalView.loadAddon(terminalFit);
+        terminalView.open(document.getElementById('output-terminal'));
+
+        terminalView.onData(data => terminal?.write(data));
+        terminalView.onResize(({ cols, rows }) => terminal?.resize(cols, rows));
+        window.addEventListener('resize', () => {
+            if (document.getElementById('output-terminal').style.display !== 'none') terminalFit.fit();
+        });
+    }
+
+    terminalView.reset();
+    return terminalView;
+}
+
+/**
+ * Show the REPL button for languages that have one; while a terminal is open,
+ * the Terminal button closes it and the other run buttons are disabled
+ */
+function updateTerminalButtons() {
+    const open = terminal !== null;
+
+    document.getElementById('terminal-btn-label').textContent = open ? 'Close Terminal' : 'Terminal';
+    document.getElementById('repl-btn').style.display = languages[currentLanguage]?.repl ? '' : 'none';
+    ['repl-btn', 'run-btn', 'run-tests-btn', 'submit-btn'].forEach(id => {
+        document.getElementById(id).disabled = open || isObserver();
+    });
+}
+
+/**
+ * Status text for a queued job, e.g. "3rd in queue (~4s)"
+ */
+function describeQueue(status) {
+    if (!status.position) return 'Queued...';
+
+    const n = status.position;
+    const suffix = (n % 100 >= 11 && n % 100 <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    const wait = status.estimatedWait ? ` (~${Math.ceil(status.estimatedWait / 1000)}s)` : '';
+
+    return `${n}${suffix} in queue${wait}`;
+}
+
+/**
+ * Cancel the running job (kills the sandboxed process)
+ */
+async function stopExecution() {
+    if (!isExecuting || !currentJobId) return;
+
+    updateStatus('running', 'Stopping...');
+
+    try {
+        await apiClient.cancel(currentJobId);
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+/**
+ * Append a live output chunk to the Output or Errors panel
+ */
+function appendOutput(stream, chunk) {
+    const el = document.getElementById(`output-${stream}`);
+    if (!el || !chunk) return;
+
+    // Replace the placeholder on the first chunk
+    if (el.classList.contains('output-content--empty')) {
+        el.textContent = '';
+        el.classList.remove('output-content--empty');
+    }
+
+    if (stream === 'stderr') {
+        el.classList.add('output-content--error');
+    }
+
+    el.textContent += chunk;
+    el.scrollTop = el.scrollHeight;
+
+    // Output is visible now - stop covering it with the overlay
+    document.getElementById('loading-overlay').classList.remove('loading-overlay--visible');
+    updateStatus('running', 'Running...');
+}
+
+/**
+ * Add an editable test case row
+ */
+function addTestCase(stdin = '', expectedOutput = '') {
+    const container = document.getElementById('test-cases');
+
+    const row = document.createElement('div');
+    row.className = 'test-case';
+
+    const label = document.createElement('span');
+    label.className = 'test-case__label';
+
+    const stdinField = document.createElement('textarea');
+    stdinField.className = 'test-case__field test-case__stdin';
+    stdinField.placeholder = 'Input';
+    stdinField.spellcheck = false;
+    stdinField.value = stdin;
+
+    const expectedField = document.createElement('textarea');
+    expectedField.className = 'test-case__field test-case__expected';
+    expectedField.placeholder = 'Expected output';
+    expectedField.spellcheck = false;
+    expectedField.value = expectedOutput;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'test-case__remove';
+    removeBtn.title = 'Remove test case';
+    removeBtn.textContent = '\u00d7';
+    removeBtn.addEventListener('click', () => {
+        row.remove();
+        renumberTestCases();
+    });
+
+    row.append(label, stdinField, expectedField, removeBtn);
+    container.appendChild(row);
+    renumberTestCases();
+}
+
+/**
+ * Keep test case labels in sync after add/remove
+ */
+function renumberTestCases() {
+    document.querySelectorAll('#test-cases .test-case__label').forEach((label, i) => {
+        label.textContent = `#${i + 1}`;
+    });
+}
+
+/**
+ * Read test cases from the Tests tab
+ */
+function collectTestCases() {
+    return Array.from(document.querySelectorAll('#test-cases .test-case')).map(row => ({
+        stdin: row.querySelector('.test-case__stdin').value,
+        expectedOutput: row.querySelector('.test-case__expected').value
+    }));
+}
+
+/**
+ * Display execution result
+ */
+function displayResult(result) {
+    lastResult = result;
+    const stdoutEl = document.getElementById('output-stdout');
+    const stderrEl = document.getElementById('output-stderr');
+
+    // Display stdout
+    if (result.stdout) {
+        stdoutEl.textContent = result.stdout;
+        stdoutEl.classList.remove('output-content--empty');
+    } else {
+        stdoutEl.textContent = 'No output';
+        stdoutEl.classList.add('output-content--empty');
+    }
+
+    // Display stderr
+    if (result.stderr) {
+        stderrEl.textContent = result.stderr;
+        stderrEl.classList.remove('output-content--empty');
+        stderrEl.classList.add('output-content--error');
+    } else {
+        stderrEl.textContent = 'No errors';
+        stderrEl.classList.add('output-content--empty');
+        stderrEl.classList.remove('output-content--error');
+    }
+
+    renderDiagnostics(result.diagnostics || []);
+
+    // Update status
+    let statusType = result.exitCode === 0 ? 'success' : 'error';
+    let statusText = `Exit code: ${result.exitCode}`;
+
+    if (result.executionTime) {
+        statusText += ` | ${result.executionTime}ms`;
+    }
+
+    if (result.cached) {
+        statusText += ' | Cached';
+        showCacheBadge();
+    } else {
+        hideCacheBadge();
+    }
+
+    renderStats(result);
+
+    if (result.tests) {
+        renderTestResults(result.tests);
+        statusType = result.passed === result.total ? 'success' : 'error';
+        statusText = result.tests.some(test => test.hidden)
+            ? `Submission: ${result.passed}/${result.total} hidden tests passed`
+            : `Tests: ${result.passed}/${result.total} passed`;
+        if (result.executionTime) {
+            statusText += ` | ${result.executionTime}ms`;
+        }
+        switchTab('tests');
+    }
+
+    if (result.compileError) {
+        statusText = 'Compilation failed';
+        switchTab('stderr');
+    }
+
+    if (result.termination && result.termination !== 'exited' && !result.tests) {
+        statusText = describeTermination(result);
+        statusType = 'error';
+        if (result.termination !== 'cancelled') {
+            switchTab('stderr');
+        }
+    }
+
+    updateStatus(statusType, statusText);
+}
+
+/**
+ * Underline compiler errors and tracebacks in the editor and list them, clickable,
+ * above the raw error output
+ */
+function renderDiagnostics(diagnostics) {
+    projectFiles.forEach((model, filePath) => {
+        const markers = diagnostics
+            .filter(d => d.file === filePath && d.line <= model.getLineCount())
+            .map(d => diagnosticMarker(model, d));
+        monaco.editor.setModelMarkers(model, DIAGNOSTICS_OWNER, markers);
+    });
+
+    if (diagnostics.length === 0) return;
+
+    const list = document.createElement('div');
+    list.className = 'diagnostics';
+
+    diagnostics.forEach(d => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = `diagnostics__item diagnostics__item--${d.severity}`;
+        item.textContent = `${d.file}:${d.line}${d.column ? `:${d.column}` : ''} ${d.message}`;
+        item.addEventListener('click', () => revealDiagnostic(d));
+        list.appendChild(item);
+    });
+
+    document.getElementById('output-stderr').prepend(list);
+}
+
+/**
+ * Monaco marker for a diagnostic: the word at its column, or the whole line
+ * when the tool gave no column
+ */
+function diagnosticMarker(model, diagnostic) {
+    const severities = {
+        error: monaco.MarkerSeverity.Error,
+        warning: monaco.MarkerSeverity.Warning,
+        info: monaco.MarkerSeverity.Info
+    };
+    const line = diagnostic.line;
+    let startColumn = model.getLineFirstNonWhitespaceColumn(line) || 1;
+    let endColumn = model.getLineMaxColumn(line);
+
+    if (diagnostic.column) {
+        startColumn = Math.min(diagnostic.column, endColumn);
+        const word = model.getWordAtPosition({ lineNumber: line, column: startColumn });
+        endColumn = word ? word.endColumn : Math.min(startColumn + 1, endColumn);
+    }
+
+    return {
+        severity: severities[diagnostic.severity] || severities.error,
+        message: diagnostic.message,
+        startLineNumber: line,
+        startColumn,
+        endLineNumber: line,
+        endColumn
+    };
+}
+
+/**
+ * Open the file of a diagnostic and move the cursor to it
+ */
+function revealDiagnostic(diagnostic) {
+    if (!projectFiles.has(diagnostic.file)) return;
+
+    openFile(diagnostic.file);
+    const position = { lineNumber: diagnostic.line, column: diagnostic.column || 1 };
+    editor.setPosition(position);
+    editor.revealLineInCenter(position.lineNumber);
+    editor.focus();
+}
+
+/**
+ * Remove diagnostic markers from every project file
+ */
+function clearDiagnostics() {
+    projectFiles.forEach(model => monaco.editor.setModelMarkers(model, DIAGNOSTICS_OWNER, []));
+}
+
+/**
+ * Human-readable explanation of a result's termination reason
+ */
+function describeTermination(result) {
+    if (result.termination === 'signaled' && result.signal) {
+        const description = SIGNAL_DESCRIPTIONS[result.signal];
+        return `Killed by ${result.signal}` + (description ? ` (${description})` : '');
+    }
+
+    return TERMINATION_LABELS[result.termination] || result.termination;
+}
+
+/**
+ * Render resource usage into the Stats tab
+ */
+function renderStats(result) {
+    const statsEl = document.getElementById('output-stats');
+    const stats = result.stats;
+
+    if (!stats) {
+        statsEl.textContent = result.cached ? 'Cached result - no resource usage recorded' : 'No resource usage recorded';
+        statsEl.classList.add('output-content--empty');
+        return;
+    }
+
+    const rows = [
+        ['Compile time', stats.compileTime !== undefined
+            ? formatDuration(stats.compileTime) + (stats.compileCached ? ' (cached build)' : '')
+            : null],
+        ['Run time (wall)', stats.runTime !== undefined ? formatDuration(stats.runTime) : null],
+        ['CPU user', stats.cpuUser !== undefined ? formatDuration(stats.cpuUser) : null],
+        ['CPU system', stats.cpuSystem !== undefined ? formatDuration(stats.cpuSystem) : null],
+        ['Peak memory (RSS)', stats.peakMemory !== undefined ? formatBytes(stats.peakMemory) : null],
+        ['Termination', result.termination ? describeTermination(result) : null],
+        ['Killed by signal', result.signal || null],
+        ['Total (incl. queue)', result.executionTime ? formatDuration(result.executionTime) : null]
+    ];
+
+    const table = document.createElement('table');
+    table.className = 'stats-table';
+
+    rows.filter(([, value]) => value !== null).forEach(([label, value]) => {
+        const row = document.createElement('tr');
+        const th = document.createElement('th');
+        const td = document.createElement('td');
+        th.textContent = label;
+        td.textContent = value;
+        row.append(th, td);
+        table.appendChild(row);
+    });
+
+    statsEl.replaceChildren(table);
+    statsEl.classList.remove('output-content--empty');
+}
+
+/**
+ * Format milliseconds for display
+ */
+function formatDuration(ms) {
+    return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms}ms`;
+}
+
+/**
+ * Format bytes for display
+ */
+function formatBytes(bytes) {
+    if (bytes >= 1048576) return `${(bytes / 1048576).toFixed(1)}MB`;
+    if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+    return `${bytes}B`;
+}
+
+/**
+ * Render per-case verdicts with a diff for failures (hidden tests report the verdict only)
+ */
+function renderTestResults(tests) {
+    const container = document.getElementById('test-results');
+    container.replaceChildren();
+
+    tests.forEach((test, i) => {
+        const item = document.createElement('div');
+        item.className = 'test-result';
+
+        const header = document.createElement('div');
+        header.className = 'test-result__header';
+
+        const verdict = document.createElement('span');
+        verdict.className = test.verdict === 'accepted'
+            ? 'test-result__verdict--accepted'
+            : 'test-result__verdict--failed';
+        verdict.textContent = `#${i + 1} ${VERDICT_LABELS[test.verdict] || test.verdict}`;
+
+        const time = document.createElement('span');
+        time.className = 'test-result__time';
+        time.textContent = `${test.time}ms`;
+
+        header.append(verdict, time);
+        item.appendChild(header);
+
+        if (test.verdict === 'wrong_answer' && !test.hidden) {
+            item.appendChild(renderDiff(test.expectedOutput, test.stdout));
+        } else if (test.verdict !== 'accepted' && test.stderr) {
+            const stderr = document.createElement('div');
+            stderr.className = 'test-diff__line output-content--error';
+            stderr.textContent = test.stderr;
+            item.appendChild(stderr);
+        }
+
+        container.appendChild(item);
+    });
+}
+
+/**
+ * Line-by-line expected/actual diff, highlighting mismatched lines
+ */
+function renderDiff(expected, actual) {
+    const expectedLines = expected.replace(/\n$/, '').split('\n');
+    const actualLines = actual.replace(/\n$/, '').split('\n');
+    const lineCount = Math.max(expectedLines.length, actualLines.length);
+
+    const diff = document.createElement('div');
+    diff.className = 'test-diff';
+
+    [['Expected', expectedLines], ['Actual', actualLines]].forEach(([title, lines]) => {
+        const column = document.createElement('div');
+
+        const heading = document.createElement('div');
+        heading.className = 'test-diff__title';
+        heading.textContent = title;
+        column.appendChild(heading);
+
+        for (let i = 0; i < lineCount; i++) {
+            const line = document.createElement('div');
+            line.className = 'test-diff__line';
+            if (expectedLines[i] !== actualLines[i]) {
+                line.classList.add('test-diff__line--mismatch');
+            }
+            line.textContent = lines[i] ?? '';
+            column.appendChild(line);
+        }
+
+        diff.appendChild(column);
+    });
+
+    return diff;
+}
+
+/**
+ * Show error message
+ */
+function showError(message) {
+    const stderrEl = document.getElementById('output-stderr');
+    stderrEl.textContent = message;
+    stderrEl.classList.add('output-content--error');
+    stderrEl.classList.remove('output-content--empty');
+    switchTab('stderr');
+    updateStatus('error', 'Error');
+}
+
+/**
+ * Clear output panels
+ */
+function clearOutput() {
+    const stdoutEl = document.getElementById('output-stdout');
+    const stderrEl = document.getElementById('output-stderr');
+
+    stdoutEl.textContent = 'Output will appear here...';
+    stdoutEl.classList.add('output-content--empty');
+
+    stderrEl.textContent = 'Errors will appear here...';
+    stderrEl.classList.add('output-content--empty');
+    stderrEl.classList.remove('output-content--error');
+
+    document.getElementById('test-results').replaceChildren();
+    clearDiagnostics();
+    lastResult = null;
+
+    const statsEl = document.getElementById('output-stats');
+    statsEl.textContent = 'Resource usage will appear here...';
+    statsEl.classList.add('output-content--empty');
+
+    hideCacheBadge();
+    updateStatus('idle', 'Ready');
+    switchTab('stdout');
+}
+
+/**
+ * Switch output tab
+ */
+function switchTab(tabName) {
+    document.querySelectorAll('.output-tab').forEach(tab => {
+        tab.classList.toggle('output-tab--active', tab.dataset.tab === tabName);
+    });
+
+    document.querySelectorAll('.output-content').forEach(content => {
+        content.style.display = content.id === `output-${tabName}` ? 'block' : 'none';
+    });
+
+    // xterm.js can only measure itself while visible
+    if (tabName === 'terminal' && terminalFit) {
+        terminalFit.fit();
+    }
+}
+
+/**
+ * Update status bar
+ */
+function updateStatus(type, text) {
+    const indicator = document.getElementById('status-indicator');
+    const textEl = document.getElementById('status-text');
+
+    indicator.className = 'status-bar__indicator';
+    if (type === 'success') indicator.classList.add('status-bar__indicator--success');
+    else if (type === 'error') indicator.classList.add('status-bar__indicator--error');
+    else if (type === 'running') indicator.classList.add('status-bar__indicator--running');
+
+    textEl.textContent = text;
+}
+
+/**
+ * Set loading state
+ */
+function setLoading(loading) {
+    const overlay = document.getElementById('loading-overlay');
+    const runBtn = document.getElementById('run-btn');
+    const runTestsBtn = document.getElementById('run-tests-btn');
+    const submitBtn = document.getElementById('submit-btn');
+    const stopBtn = document.getElementById('stop-btn');
+
+    overlay.classList.toggle('loading-overlay--visible', loading);
+    runBtn.disabled = loading;
+    runTestsBtn.disabled = loading;
+    submitBtn.disabled = loading;
+    stopBtn.style.display = loading ? 'inline-flex' : 'none';
+}
+
+/**
+ * Show cache badge
+ */
+function showCacheBadge() {
+    document.getElementById('cache-badge').style.display = 'inline-flex';
+}
+
+/**
+ * Hide cache badge
+ */
+function hideCacheBadge() {
+    document.getElementById('cache-badge').style.display = 'none';
+}
+
+/**
+ * Save the project, stdin and last result as a snippet and show its permalink
+ */
+async function saveSnippet() {
+    if (!editor) return;
+
+    const button = document.getElementById('snippet-btn');
+    button.disabled = true;
+
+    try {
+        const saved = await apiClient.createSnippet({
+            language: currentLanguage,
+            files: collectProjectFiles(),
+            stdin: document.getElementById('output-stdin').value,
+            compileOptions: compileOptionSelections[currentLanguage],
+            result: lastResult
+        });
+
+        document.getElementById('snippet-link').value = snippetLink(saved.id);
+        document.getElementById('snippet-expiry').textContent =
+            `Expires ${new Date(saved.expiresAt * 1000).toLocaleDateString()}`;
+        document.getElementById('snippet-panel').style.display = 'flex';
+    } catch (err) {
+        showError(err.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Load a snippet from a permalink; edits made to it since are restored from the draft
+ */
+async function openSnippet(snippetId) {
+    try {
+        const snippet = await apiClient.getSnippet(snippetId);
+        if (!languages[snippet.language]) {
+            throw new Error(`Unsupported language: ${snippet.language}`);
+        }
+
+        flushDraft();
+        openedSnippet = { id: snippetId, language: snippet.language };
+        compileOptionSelections[snippet.language] = snippet.compileOptions || {};
+        setLanguage(snippet.language);
+
+        const draft = loadDraft(snippet.language);
+        loadProject(draft && draft.snippet === snippetId ? draft.files : snippet.files);
+        document.getElementById('output-stdin').value = snippet.stdin || '';
+
+        if (snippet.result) {
+            displayResult(snippet.result);
+        }
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+/**
+ * Link that opens a saved snippet
+ */
+function snippetLink(snippetId) {
+    const params = new URLSearchParams({ snippet: snippetId });
+    return `${window.location.origin}${window.location.pathname}?${params}`;
+}
+
+/**
+ * Create a session from the current project and show its links
+ */
+async function shareSession() {
+    if (!editor) return;
+
+    const panel = document.getElementById('session-panel');
+    if (session) {
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+        return;
+    }
+
+    const name = (window.prompt('Your name for this session') || '').trim();
+
+    try {
+        const created = await apiClient.createSession(currentLanguage, collectProjectFiles());
+        await connectSession(created.sessionId, created.editToken, name, created.wsUrl);
+
+        // Reloading the page rejoins the session
+        window.history.replaceState(null, '', sessionLink(created.sessionId, created.editToken));
+
+        document.getElementById('session-edit-link').value = sessionLink(created.sessionId, created.editToken);
+        document.getElementById('session-observe-link').value = sessionLink(created.sessionId, created.observeToken);
+        document.getElementById('session-replay-link').value = sessionLink(created.sessionId, created.observeToken, 'replay.html');
+        panel.style.display = 'flex';
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+/**
+ * Join the session from a shared link
+ */
+async function joinSession(sessionId, token) {
+    try {
+        const info = await apiClient.getSession(sessionId, token);
+        const name = (window.prompt(info.role === 'observer' ? 'Your name (observer)' : 'Your name') || '').trim();
+
+        await connectSession(sessionId, token, name, info.wsUrl);
+
+        // Only the creator hands out links
+        document.getElementById('share-btn').disabled = true;
+    } catch (err) {
+        showError(err.message);
+    }
+}
+
+/**
+ * Connect to the sync service; resolves once the shared project is loaded
+ */
+async function connectSession(sessionId, token, name, wsUrl) {
+    session = new SessionClient(wsUrl, {
+        onInit: loadSessionState,
+        onRemoteOps: applyRemoteOps,
+        onCursor: updateRemoteCursor,
+        onPresence: renderPeers,
+        onRun: showRemoteRun,
+        onError: showError,
+        onClose: onSessionClosed
+    });
+
+    try {
+        await session.connect(sessionId, token, name);
+    } catch (err) {
+        session = null;
+        throw err;
+    }
+
+    // Runs belong to the session from now on, so its interviewers can read their results
+    apiClient.setCredentials({ sessionId, token });
+}
+
+/**
+ * Link that joins a session with the given token (or opens another page for it)
+ */
+function sessionLink(sessionId, token, page = null) {
+    const params = new URLSearchParams({ session: sessionId, token });
+    const path = page ? window.location.pathname.replace(/[^/]*$/, page) : window.location.pathname;
+    return `${window.location.origin}${path}?${params}`;
+}
+
+/**
+ * Copy a session or snippet link to the clipboard
+ */
+function copyLink(button) {
+    const input = document.getElementById(button.dataset.copy);
+    input.select();
+    navigator.clipboard?.writeText(input.value);
+
+    button.textContent = 'Copied';
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+}
+
+/**
+ * Whether this page joined a session as a read-only observer
+ */
+function isObserver() {
+    return session !== null && session.role === 'observer';
+}
+
+/**
+ * Send local edits to the session
+ */
+function shareEdit(ops) {
+    if (session && !applyingRemote && !isObserver()) {
+        session.submit(ops);
+    }
+}
+
+/**
+ * Turn a Monaco content change into session operations
+ */
+function onLocalEdit(filePath, event) {
+    const ops = [];
+
+    // Changes are relative to the text before the edit - apply them from the end backwards
+    [...event.changes]
+        .sort((a, b) => b.rangeOffset - a.rangeOffset)
+        .forEach(change => {
+            if (change.rangeLength > 0) {
+                ops.push({ kind: 'delete', path: filePath, offset: change.rangeOffset, length: change.rangeLength });
+            }
+            if (change.text) {
+                ops.push({ kind: 'insert', path: filePath, offset: change.rangeOffset, text: change.text });
+            }
+        });
+
+    shareEdit(ops);
+}
+
+/**
+ * Apply edits made by other participants
+ */
+function applyRemoteOps(ops) {
+    applyingRemote = true;
+
+    try {
+        ops.forEach(op => {
+            const model = projectFiles.get(op.path);
+
+            switch (op.kind) {
+                case 'insert':
+                case 'delete': {
+                    if (!model) break;
+                    const start = model.getPositionAt(op.offset);
+                    const end = op.kind === 'delete' ? model.getPositionAt(op.offset + op.length) : start;
+                    model.applyEdits([{
+                        range: monaco.Range.fromPositions(start, end),
+                        text: op.kind === 'insert' ? op.text : ''
+                    }]);
+                    break;
+                }
+                case 'add':
+                    if (!model) createFileModel(op.path, '');
+                    break;
+                case 'remove':
+                    removeFile(op.path);
+                    break;
+                case 'reset':
+                    setLanguage(op.language);
+                    loadProject(op.files);
+                    break;
+            }
+        });
+    } finally {
+        applyingRemote = false;
+    }
+
+    renderFileTabs();
+    renderRemoteCursors();
+}
+
+/**
+ * Load the shared project when joining (or resyncing)
+ */
+function loadSessionState(state, info) {
+    setLanguage(state.language);
+    loadProject(state.files);
+
+    remoteCursors.clear();
+    setObserverMode(info.role === 'observer');
+    renderPeers(info.peers);
+
+    // Show the latest run to late joiners
+    const run = state.run;
+    if (run) {
+        clearOutput();
+        if (run.error) {
+            showError(run.error);
+        } else if (run.result) {
+            displayResult(run.result);
+        } else {
+            appendOutput('stdout', run.stdout);
+            appendOutput('stderr', run.stderr);
+            updateStatus('running', `${run.by} is running the code...`);
+        }
+    }
+}
+
+/**
+ * Make the editor read-only and disable everything that changes the project
+ */
+function setObserverMode(observer) {
+    editor.updateOptions({ readOnly: observer });
+
+    ['language-select', 'problem-select', 'run-btn', 'run-tests-btn', 'submit-btn', 'terminal-btn', 'repl-btn', 'add-file-btn'].forEach(id => {
+        document.getElementById(id).disabled = observer;
+    });
+
+    renderFileTabs();
+}
+
+/**
+ * Mirror a run started by another participant
+ */
+function showRemoteRun(message) {
+    switch (message.event) {
+        case 'start':
+            clearOutput();
+            updateStatus('running', `${message.name} is running the code...`);
+            break;
+        case 'stdout':
+        case 'stderr':
+            appendOutput(message.event, message.data);
+            break;
+        case 'result':
+            displayResult(message.data);
+            break;
+        case 'error':
+            showError(message.data);
+            break;
+    }
+}
+
+/**
+ * Show who is in the session
+ */
+function renderPeers(peers) {
+    const container = document.getElementById('session-peers');
+    container.replaceChildren('Live: ');
+
+    peers.forEach((peer, i) => {
+        const name = document.createElement('span');
+        name.className = 'session-peers__name';
+        if (peer.clientId !== session?.clientId) {
+            name.classList.add(`remote-color-${remoteColorIndex(peer.clientId)}`);
+        }
+        if (peer.role === 'observer') {
+            name.classList.add('session-peers__name--observer');
+            name.title = 'Observer (read-only)';
+        }
+        name.textContent = peer.clientId === session?.clientId ? `${peer.name} (you)` : peer.name;
+
+        container.append(i > 0 ? ', ' : '', name);
+    });
+
+    container.style.display = 'inline';
+
+    // Forget cursors of participants who left
+    remoteCursors.forEach((cursor, clientId) => {
+        if (!peers.some(peer => peer.clientId === clientId)) {
+            remoteCursors.delete(clientId);
+        }
+    });
+    renderRemoteCursors();
+}
+
+/**
+ * Record another participant's cursor
+ */
+function updateRemoteCursor(message) {
+    remoteCursors.set(message.clientId, {
+        name: message.name,
+        path: message.path,
+        selection: message.selection
+    });
+    renderRemoteCursors();
+}
+
+/**
+ * Draw other participants' cursors and selections in the open file
+ */
+function renderRemoteCursors() {
+    if (!remoteCursorDecorations) return;
+
+    const decorations = [];
+
+    remoteCursors.forEach((cursor, clientId) => {
+        if (cursor.path !== activeFile) return;
+
+        const color = `remote-color-${remoteColorIndex(clientId)}`;
+        const { startLineNumber, startColumn, endLineNumber, endColumn } = cursor.selection;
+
+        if (startLineNumber !== endLineNumber || startColumn !== endColumn) {
+            decorations.push({
+                range: new monaco.Range(startLineNumber, startColumn, endLineNumber, endColumn),
+                options: { className: `remote-selection ${color}` }
+            });
+        }
+
+        decorations.push({
+            range: new monaco.Range(endLineNumber, endColumn, endLineNumber, endColumn),
+            options: {
+                beforeContentClassName: `remote-cursor ${color}`,
+                hoverMessage: { value: cursor.name }
+            }
+        });
+    });
+
+    remoteCursorDecorations.set(decorations);
+}
+
+/**
+ * Stable color slot for a participant
+ */
+function remoteColorIndex(clientId) {
+    return parseInt(clientId.slice(0, 4), 16) % 4;
+}
+
+/**
+ * Connection to the sync service was lost
+ */
+function onSessionClosed() {
+    session = null;
+    remoteCursors.clear();
+    renderRemoteCursors();
+
+    document.getElementById('session-peers').textContent = 'Disconnected from session - reload to rejoin';
+    updateStatus('error', 'Session disconnected');
 }
 
 // Initialize on DOM ready
@@ -0,0 +1,119 @@
+/**
+ * Markdown renderer for problem statements
+ * Builds DOM nodes, never HTML strings, so a statement cannot inject markup.
+ * Supports #-headings, paragraphs, ``` code blocks, - and 1. lists,
+ * `code`, **bold** and *italic*.
+ */
+
+const MARKDOWN_INLINE_PATTERN = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*\s][^*]*\*)/;
+const MARKDOWN_HEADING_PATTERN = /^(#{1,4})\s+(.*)$/;
+const MARKDOWN_BULLET_PATTERN = /^\s*[-*]\s+(.*)$/;
+const MARKDOWN_NUMBERED_PATTERN = /^\s*\d+\.\s+(.*)$/;
+
+/**
+ * Text with inline code, bold and italic spans
+ */
+function renderMarkdownInline(text) {
+    const fragment = document.createDocumentFragment();
+
+    text.split(MARKDOWN_INLINE_PATTERN).forEach((part, i) => {
+        // Odd parts are the matched spans
+        if (i % 2 === 0) {
+            if (part) fragment.appendChild(document.createTextNode(part));
+            return;
+        }
+
+        let element;
+        if (part.startsWith('`')) {
+            element = document.createElement('code');
+            element.textContent = part.slice(1, -1);
+        } else if (part.startsWith('**')) {
+            element = document.createElement('strong');
+            element.appendChild(renderMarkdownInline(part.slice(2, -2)));
+        } else {
+            element = document.createElement('em');
+            element.appendChild(renderMarkdownInline(part.slice(1, -1)));
+        }
+        fragment.appendChild(element);
+    });
+
+    return fragment;
+}
+
+/**
+ * DOM fragment for a Markdown document
+ */
+function renderMarkdown(markdown) {
+    const fragment = document.createDocumentFragment();
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    let paragraph = [];
+    let list = null;
+
+    const endParagraph = () => {
+        if (paragraph.length > 0) {
+            const p = document.createElement('p');
+            p.appendChild(renderMarkdownInline(paragraph.join(' ')));
+            fragment.appendChild(p);
+            paragraph = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const bullet = line.match(MARKDOWN_BULLET_PATTERN);
+        const numbered = line.match(MARKDOWN_NUMBERED_PATTERN);
+
+        if (line.startsWith('```')) {
+            endParagraph();
+            list = null;
+
+            const code = [];
+            for (i++; i < lines.length && !lines[i].startsWith('```'); i++) {
+                code.push(lines[i]);
+            }
+
+            const pre = document.createElement('pre');
+            const element = document.createElement('code');
+            element.textContent = code.join('\n');
+            pre.appendChild(element);
+            fragment.appendChild(pre);
+        } else if (MARKDOWN_HEADING_PATTERN.test(line)) {
+            endParagraph();
+            list = null;
+
+            const [, hashes, text] = line.match(MARKDOWN_HEADING_PATTERN);
+            const heading = document.createElement(`h${hashes.length + 2}`);
+            heading.appendChild(renderMarkdownInline(text));
+            fragment.appendChild(heading);
+        } else if (bullet || numbered) {
+            endParagraph();
+
+            const tag = bullet ? 'UL' : 'OL';
+            if (!list || list.tagName !== tag) {
+                list = document.createElement(tag.toLowerCase());
+                fragment.appendChild(list);
+            }
+
+            const item = document.createElement('li');
+            item.appendChild(renderMarkdownInline((bullet || numbered)[1]));
+            list.appendChild(item);
+        } else if (line.trim() === '') {
+            endParagraph();
+            list = null;
+        } else if (list && /^\s/.test(line)) {
+            // Indented continuation of the last list item
+            list.lastChild.appendChild(renderMarkdownInline(` ${line.trim()}`));
+        } else {
+            list = null;
+            paragraph.push(line.trim());
+        }
+    }
+
+    endParagraph();
+    return fragment;
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { renderMarkdown };
+}
@@ -0,0 +1,437 @@
+/**
+ * Jotform Session Replay
+ * Steps through a session timeline recorded by workers/session-server.js
+ */
+
+// Global state
+let editor = null;
+let apiClient = null;
+let languages = {};
+
+// Slider positions: the initial snapshot, then one frame per committed edit batch
+const frames = [];
+// Runs in order: { frame, t, by, result, error }
+const runs = [];
+let currentFrame = 0;
+let currentLanguage = null;
+let activeFile = null;
+let playTimer = null;
+let editDecorations = null;
+
+// Project state every CHECKPOINT_INTERVAL frames, so scrubbing never replays the whole session
+const CHECKPOINT_INTERVAL = 100;
+const checkpoints = new Map();
+
+// Longest pause between two edits during playback (ms)
+const MAX_PLAYBACK_GAP = 1500;
+
+// Replay models: path -> Monaco model
+const fileModels = new Map();
+
+/**
+ * Initialize the replay page
+ */
+async function init() {
+    apiClient = new ApiClient();
+    const params = new URLSearchParams(window.location.search);
+
+    try {
+        const [languageResponse, timeline] = await Promise.all([
+            apiClient.getLanguages(),
+            apiClient.getTimeline(params.get('session') || '', params.get('token') || '')
+        ]);
+        languages = languageResponse.languages;
+        buildTimeline(timeline.entries);
+    } catch (err) {
+        updateStatus('error', err.message);
+        return;
+    }
+
+    require.config({
+        paths: {
+            'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.44.0/min/vs'
+        }
+    });
+
+    require(['vs/editor/editor.main'], function() {
+        editor = monaco.editor.create(document.getElementById('editor'), {
+            model: null,
+            readOnly: true,
+            theme: 'vs-dark',
+            fontSize: 14,
+            fontFamily: "'Fira Code', 'Monaco', 'Consolas', monospace",
+            fontLigatures: true,
+            minimap: { enabled: true },
+            lineNumbers: 'on',
+            scrollBeyondLastLine: false,
+            automaticLayout: true,
+            wordWrap: 'on',
+            padding: { top: 16, bottom: 16 }
+        });
+        editDecorations = editor.createDecorationsCollection();
+
+        const slider = document.getElementById('timeline-slider');
+        slider.max = String(frames.length - 1);
+        slider.disabled = false;
+        document.getElementById('play-btn').disabled = false;
+
+        renderRuns();
+        showFrame(0);
+        updateStatus('idle', `${frames.length - 1} edits, ${runs.length} runs`);
+    });
+
+    // Event listeners
+    document.getElementById('timeline-slider').addEventListener('input', (event) => {
+        stopPlayback();
+        showFrame(parseInt(event.target.value, 10));
+    });
+    document.getElementById('play-btn').addEventListener('click', togglePlayback);
+    document.addEventListener('keydown', (event) => {
+        if (!editor || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+        if (event.key === 'ArrowRight') showFrame(Math.min(currentFrame + 1, frames.length - 1));
+        if (event.key === 'ArrowLeft') showFrame(Math.max(currentFrame - 1, 0));
+    });
+
+    // Tab switching
+    document.querySelectorAll('.output-tab').forEach(tab => {
+        tab.addEventListener('click', () => switchTab(tab.dataset.tab));
+    });
+}
+
+/**
+ * Split timeline entries into frames and runs, checkpointing the project as we go
+ */
+function buildTimeline(entries) {
+    let state = null;
+
+    entries.forEach(entry => {
+        if (entry.k === 'snapshot' && state === null) {
+            state = { language: entry.language, files: entry.files };
+            frames.push({ t: entry.t, by: null, ops: [] });
+        } else if (entry.k === 'edit' && state !== null) {
+            const ops = decodeOps(entry.ops);
+            state = applyOps(state, ops);
+            frames.push({ t: entry.t, by: entry.by, ops });
+        } else if (entry.k === 'run') {
+            runs.push({ frame: Math.max(frames.length - 1, 0), t: entry.t, by: entry.by, job: entry.job, result: null, error: null });
+        } else if (entry.k === 'result') {
+            // Pair with its job's run (older timelines: the latest unfinished run by the same participant)
+            const run = runs.slice().reverse().find(r => (entry.job ? r.job === entry.job : r.by === entry.by) && !r.result && !r.error);
+            if (run) {
+                run.result = entry.result || null;
+                run.error = entry.error || null;
+            }
+        }
+
+        if ((entry.k === 'snapshot' || entry.k === 'edit') && (frames.length - 1) % CHECKPOINT_INTERVAL === 0) {
+            checkpoints.set(frames.length - 1, state);
+        }
+    });
+
+    if (frames.length === 0) {
+        throw new Error('Nothing was recorded for this session');
+    }
+}
+
+/**
+ * Project state after a given frame
+ */
+function stateAt(frame) {
+    const base = Math.floor(frame / CHECKPOINT_INTERVAL) * CHECKPOINT_INTERVAL;
+    let state = checkpoints.get(base);
+
+    for (let i = base + 1; i <= frame; i++) {
+        state = applyOps(state, frames[i].ops);
+    }
+
+    return state;
+}
+
+/**
+ * Show the project as it was at a frame
+ */
+function showFrame(frame) {
+    currentFrame = frame;
+    const state = stateAt(frame);
+    const ops = frames[frame].ops;
+
+    // A language change replaces every file
+    if (state.language !== currentLanguage) {
+        fileModels.forEach(model => model.dispose());
+        fileModels.clear();
+        currentLanguage = state.language;
+    }
+
+    fileModels.forEach((model, filePath) => {
+        if (!(filePath in state.files)) {
+            model.dispose();
+            fileModels.delete(filePath);
+        }
+    });
+
+    Object.entries(state.files).forEach(([filePath, content]) => {
+        const model = fileModels.get(filePath);
+        if (!model) {
+            fileModels.set(filePath, monaco.editor.createModel(content, languageForFile(filePath), monaco.Uri.file(filePath)));
+        } else if (model.getValue() !== content) {
+            model.setValue(content);
+        }
+    });
+
+    // Follow the file this frame edited
+    const lastOp = ops[ops.length - 1];
+    if (lastOp && lastOp.path && fileModels.has(lastOp.path)) {
+        activeFile = lastOp.path;
+    } else if (!fileModels.has(activeFile)) {
+        activeFile = fileModels.keys().next().value;
+    }
+
+    openFile(activeFile);
+    highlightEdit(lastOp);
+
+    document.getElementById('timeline-slider').value = String(frame);
+    document.getElementById('replay-time').textContent =
+        `${formatElapsed(frames[frame].t - frames[0].t)} / ${formatElapsed(frames[frames.length - 1].t - frames[0].t)}`;
+    document.getElementById('replay-author').textContent =
+        frame === 0 ? 'Starting code' : `Edit ${frame} by ${frames[frame].by}`;
+
+    showLatestRun(frame);
+}
+
+/**
+ * Monaco language id for a replayed file
+ */
+function languageForFile(filePath) {
+    const config = languages[currentLanguage];
+    const ext = filePath.includes('.') ? filePath.split('.').pop() : '';
+
+    if (config && ext === config.extension) {
+        return config.monaco || 'plaintext';
+    }
+
+    const match = monaco.languages.getLanguages()
+        .find(lang => (lang.extensions || []).includes(`.${ext}`));
+    return match ? match.id : 'plaintext';
+}
+
+/**
+ * Show a file and its tab
+ */
+function openFile(filePath) {
+    const model = fileModels.get(filePath);
+    if (!model) return;
+
+    activeFile = filePath;
+    if (editor.getModel() !== model) {
+        editor.setModel(model);
+    }
+
+    const container = document.getElementById('file-tabs');
+    container.replaceChildren();
+
+    fileModels.forEach((fileModel, path) => {
+        const tab = document.createElement('div');
+        tab.className = 'file-tab';
+        tab.classList.toggle('file-tab--active', path === activeFile);
+        tab.textContent = path;
+        tab.addEventListener('click', () => openFile(path));
+        container.appendChild(tab);
+    });
+}
+
+/**
+ * Mark the text inserted by the current frame
+ */
+function highlightEdit(op) {
+    if (!op || op.path !== activeFile || (op.kind !== 'insert' && op.kind !== 'delete')) {
+        editDecorations.clear();
+        return;
+    }
+
+    const model = fileModels.get(activeFile);
+    const start = model.getPositionAt(op.offset);
+    const end = op.kind === 'insert' ? model.getPositionAt(op.offset + op.text.length) : start;
+
+    editDecorations.set([{
+        range: monaco.Range.fromPositions(start, end),
+        options: op.kind === 'insert'
+            ? { className: 'replay-edit' }
+            : { beforeContentClassName: 'replay-delete' }
+    }]);
+    editor.revealPositionInCenterIfOutsideViewport(end);
+}
+
+/**
+ * List runs and mark them on the scrubber
+ */
+function renderRuns() {
+    const list = document.getElementById('output-runs');
+    const markers = document.getElementById('run-markers');
+    list.replaceChildren();
+    markers.replaceChildren();
+
+    if (runs.length === 0) {
+        list.textContent = 'No code was run in this session';
+        return;
+    }
+
+    list.classList.remove('output-content--empty');
+    const lastFrame = Math.max(frames.length - 1, 1);
+
+    runs.forEach((run, i) => {
+        const passed = runSucceeded(run);
+
+        const item = document.createElement('button');
+        item.className = 'replay-run';
+        item.addEventListener('click', () => {
+            stopPlayback();
+            showFrame(run.frame);
+            switchTab(run.result?.stderr || run.error ? 'stderr' : 'stdout');
+        });
+
+        const title = document.createElement('span');
+        title.className = passed ? 'test-result__verdict--accepted' : 'test-result__verdict--failed';
+        title.textContent = `#${i + 1} ${describeRun(run)}`;
+
+        const meta = document.createElement('span');
+        meta.className = 'test-result__time';
+        meta.textContent = `${formatElapsed(run.t - frames[0].t)} by ${run.by}`;
+
+        item.append(title, meta);
+        list.appendChild(item);
+
+        const marker = document.createElement('button');
+        marker.className = `replay-marker ${passed ? 'replay-marker--success' : 'replay-marker--error'}`;
+        marker.style.left = `${(run.frame / lastFrame) * 100}%`;
+        marker.title = `Run #${i + 1}: ${describeRun(run)}`;
+        marker.addEventListener('click', () => item.click());
+        markers.appendChild(marker);
+    });
+}
+
+/**
+ * Show output of the latest run made at or before a frame
+ */
+function showLatestRun(frame) {
+    const run = runs.filter(r => r.frame <= frame).pop();
+    const stdoutEl = document.getElementById('output-stdout');
+    const stderrEl = document.getElementById('output-stderr');
+
+    if (!run) {
+        stdoutEl.textContent = 'No run at this point';
+        stderrEl.textContent = 'No run at this point';
+        stdoutEl.classList.add('output-content--empty');
+        stderrEl.classList.add('output-content--empty');
+        stderrEl.classList.remove('output-content--error');
+        return;
+    }
+
+    const stdout = run.result?.stdout || '';
+    const stderr = run.error || run.result?.stderr || '';
+
+    stdoutEl.textContent = stdout || 'No output';
+    stdoutEl.classList.toggle('output-content--empty', !stdout);
+    stderrEl.textContent = stderr || 'No errors';
+    stderrEl.classList.toggle('output-content--empty', !stderr);
+    stderrEl.classList.toggle('output-content--error', Boolean(stderr));
+}
+
+/**
+ * One-line summary of a run's outcome
+ */
+function describeRun(run) {
+    const result = run.result;
+
+    if (run.error) return `Failed: ${run.error}`;
+    if (!result) return 'No result recorded';
+    if (result.compileError) return 'Compilation failed';
+    if (result.total) return `Tests: ${result.passed}/${result.total} passed`;
+
+    let text = `Exit code: ${result.exitCode}`;
+    if (result.termination && result.termination !== 'exited') {
+        text += ` (${result.termination.replace('_', ' ')})`;
+    }
+    return text;
+}
+
+function runSucceeded(run) {
+    const result = run.result;
+    if (!result || run.error || result.compileError) return false;
+    return result.total ? result.passed === result.total : result.exitCode === 0;
+}
+
+/**
+ * Play/pause, moving through frames at their recorded pace times the chosen speed
+ */
+function togglePlayback() {
+    if (playTimer) {
+        stopPlayback();
+        return;
+    }
+
+    if (currentFrame >= frames.length - 1) {
+        showFrame(0);
+    }
+
+    document.getElementById('play-label').textContent = 'Pause';
+    scheduleNextFrame();
+}
+
+function scheduleNextFrame() {
+    if (currentFrame >= frames.length - 1) {
+        stopPlayback();
+        return;
+    }
+
+    const speed = parseInt(document.getElementById('speed-select').value, 10);
+    const gap = (frames[currentFrame + 1].t - frames[currentFrame].t) / speed;
+
+    playTimer = setTimeout(() => {
+        showFrame(currentFrame + 1);
+        scheduleNextFrame();
+    }, Math.min(gap, MAX_PLAYBACK_GAP));
+}
+
+function stopPlayback() {
+    clearTimeout(playTimer);
+    playTimer = null;
+    document.getElementById('play-label').textContent = 'Play';
+}
+
+/**
+ * Format elapsed milliseconds as m:ss
+ */
+function formatElapsed(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Switch output tab
+ */
+function switchTab(tabName) {
+    document.querySelectorAll('.output-tab').forEach(tab => {
+        tab.classList.toggle('output-tab--active', tab.dataset.tab === tabName);
+    });
+
+    document.querySelectorAll('.output-content').forEach(content => {
+        content.style.display = content.id === `output-${tabName}` ? 'block' : 'none';
+    });
+}
+
+/**
+ * Update status bar
+ */
+function updateStatus(type, text) {
+    const indicator = document.getElementById('status-indicator');
+    const textEl = document.getElementById('status-text');
+
+    indicator.className = 'status-bar__indicator';
+    if (type === 'success') indicator.classList.add('status-bar__indicator--success');
+    else if (type === 'error') indicator.classList.add('status-bar__indicator--error');
+
+    textEl.textContent = text;
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', init);
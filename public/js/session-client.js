@@ -0,0 +1,179 @@
+/**
+ * Collaborative session client
+ * Keeps a local project in sync with workers/session-server.js over WebSocket.
+ * Local edits are sent one batch at a time; remote edits are transformed
+ * against anything not yet acknowledged (see session-ot.js).
+ */
+class SessionClient {
+    /**
+     * @param {string} wsUrl - Sync service URL (default: same origin, path /session)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onInit - (state, info) full snapshot: { language, files, run }, { role, clientId, peers }
+     * @param {Function} handlers.onRemoteOps - (ops) edits by other participants, ready to apply locally
+     * @param {Function} handlers.onCursor - (message) another participant's cursor
+     * @param {Function} handlers.onPresence - (peers) participant list changed
+     * @param {Function} handlers.onRun - (message) run started/output/result by another participant
+     * @param {Function} handlers.onError - (message) error reported by the server
+     * @param {Function} handlers.onClose - () connection lost
+     */
+    constructor(wsUrl, handlers = {}) {
+        this.wsUrl = wsUrl || `${window.location.origin.replace(/^http/, 'ws')}/session`;
+        this.handlers = handlers;
+        this.socket = null;
+        this.sessionId = null;
+        this.clientId = null;
+        this.role = null;
+        this.version = 0;
+        this.sent = null;      // ops awaiting acknowledgement
+        this.pending = [];     // ops made while waiting
+    }
+
+    /**
+     * Connect and wait for the initial snapshot
+     * @param {string} sessionId - Session ID
+     * @param {string} token - Edit or observe token
+     * @param {string} name - Display name shown to other participants
+     * @returns {Promise<Object>} - { role, clientId }
+     */
+    connect(sessionId, token, name) {
+        const params = new URLSearchParams({ sessionId, token, name });
+        this.sessionId = sessionId;
+
+        return new Promise((resolve, reject) => {
+            let initialized = false;
+            this.socket = new WebSocket(`${this.wsUrl}?${params}`);
+
+            this.socket.addEventListener('message', (event) => {
+                const message = JSON.parse(event.data);
+                this.handleMessage(message);
+
+                if (message.type === 'init' && !initialized) {
+                    initialized = true;
+                    resolve({ role: this.role, clientId: this.clientId });
+                }
+            });
+
+            this.socket.addEventListener('close', () => {
+                if (!initialized) {
+                    reject(new Error('Could not connect to session'));
+                    return;
+                }
+                this.handlers.onClose?.();
+            });
+        });
+    }
+
+    /**
+     * Dispatch a server message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'init':
+                this.clientId = message.clientId;
+                this.role = message.role;
+                this.version = message.version;
+                this.sent = null;
+                this.pending = [];
+                this.handlers.onInit?.(message.state, message);
+                break;
+
+            case 'ops':
+                this.version = message.version;
+                if (message.clientId === this.clientId) {
+                    this.acknowledge();
+                } else {
+                    this.receive(message.ops);
+                }
+                break;
+
+            case 'cursor':
+                this.handlers.onCursor?.(message);
+                break;
+
+            case 'presence':
+                this.handlers.onPresence?.(message.peers);
+                break;
+
+            case 'run':
+                this.handlers.onRun?.(message);
+                break;
+
+            case 'error':
+                this.handlers.onError?.(message.error);
+                break;
+        }
+    }
+
+    /**
+     * Queue local edits for the server
+     * @param {Array<Object>} ops - Operations in session-ot.js format
+     */
+    submit(ops) {
+        if (ops.length === 0) return;
+
+        if (this.sent) {
+            this.pending = this.pending.concat(ops);
+        } else {
+            this.sent = ops;
+            this.sendOps();
+        }
+    }
+
+    /**
+     * Our last batch was committed - send whatever piled up meanwhile
+     */
+    acknowledge() {
+        this.sent = null;
+
+        if (this.pending.length > 0) {
+            this.sent = this.pending;
+            this.pending = [];
+            this.sendOps();
+        }
+    }
+
+    /**
+     * Transform a committed remote batch past our unacknowledged edits and apply it
+     */
+    receive(ops) {
+        let remote = ops;
+
+        if (this.sent) {
+            [this.sent, remote] = transformOps(this.sent, remote);
+        }
+        if (this.pending.length > 0) {
+            [this.pending, remote] = transformOps(this.pending, remote);
+        }
+
+        this.handlers.onRemoteOps?.(remote);
+    }
+
+    sendOps() {
+        this.send({ type: 'ops', baseVersion: this.version, ops: this.sent });
+    }
+
+    /**
+     * Share the local cursor/selection
+     */
+    sendCursor(path, selection) {
+        this.send({ type: 'cursor', path, selection });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionClient;
+}
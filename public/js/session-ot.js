@@ -0,0 +1,168 @@
+/**
+ * Operational transform for collaborative sessions
+ * Shared by the browser (session-client.js) and the sync service (workers/session-server.js)
+ *
+ * A project is { language, files: { path: content } }. Operations:
+ *   { kind: 'insert', path, offset, text }
+ *   { kind: 'delete', path, offset, length }
+ *   { kind: 'add', path }             - new empty file
+ *   { kind: 'remove', path }
+ *   { kind: 'reset', language, files } - language change / full replacement
+ * Operations are sent in lists that apply one after another.
+ */
+
+/**
+ * Transform op so it applies after other; returns a list of operations
+ * When both insert at the same offset, the op with priority goes first.
+ */
+function transformOp(op, other, opHasPriority) {
+    if (other.kind === 'reset') return [];
+    if (op.kind === 'reset') return [op];
+    if (op.path !== other.path) return [op];
+    if (other.kind === 'remove') return [];
+    if (other.kind === 'add' || op.kind === 'add' || op.kind === 'remove') return [op];
+
+    if (op.kind === 'insert') {
+        let offset = op.offset;
+        if (other.kind === 'insert') {
+            if (other.offset < offset || (other.offset === offset && !opHasPriority)) {
+                offset += other.text.length;
+            }
+        } else if (offset > other.offset) {
+            // Inside a deleted range the insert collapses to where the range started
+            offset = Math.max(other.offset, offset - other.length);
+        }
+        return [{ ...op, offset }];
+    }
+
+    // op is a delete
+    if (other.kind === 'insert') {
+        const end = op.offset + op.length;
+        if (other.offset <= op.offset) {
+            return [{ ...op, offset: op.offset + other.text.length }];
+        }
+        if (other.offset >= end) {
+            return [op];
+        }
+        // The insert landed inside the deleted range - keep it, delete around it
+        return [
+            { ...op, offset: other.offset + other.text.length, length: end - other.offset },
+            { ...op, offset: op.offset, length: other.offset - op.offset }
+        ];
+    }
+
+    // Both deletes: remove only what the other delete left behind
+    const mapPoint = (point) => {
+        if (point <= other.offset) return point;
+        if (point >= other.offset + other.length) return point - other.length;
+        return other.offset;
+    };
+    const start = mapPoint(op.offset);
+    const length = mapPoint(op.offset + op.length) - start;
+
+    return length > 0 ? [{ ...op, offset: start, length }] : [];
+}
+
+/**
+ * Transform two concurrent operation lists against each other
+ * Returns [opsPrime, committedPrime]: opsPrime applies after committed and
+ * committedPrime applies after ops. Committed operations win insert ties.
+ */
+function transformOps(ops, committed) {
+    if (ops.length === 0 || committed.length === 0) {
+        return [ops, committed];
+    }
+
+    if (ops.length === 1 && committed.length === 1) {
+        return [
+            transformOp(ops[0], committed[0], false),
+            transformOp(committed[0], ops[0], true)
+        ];
+    }
+
+    if (ops.length > 1) {
+        const [first, committedAfterFirst] = transformOps([ops[0]], committed);
+        const [rest, committedAfterAll] = transformOps(ops.slice(1), committedAfterFirst);
+        return [first.concat(rest), committedAfterAll];
+    }
+
+    const [opsAfterFirst, first] = transformOps(ops, [committed[0]]);
+    const [opsAfterAll, rest] = transformOps(opsAfterFirst, committed.slice(1));
+    return [opsAfterAll, first.concat(rest)];
+}
+
+/**
+ * Apply an operation list to a project state, returning the new state
+ */
+function applyOps(state, ops) {
+    let language = state.language;
+    let files = { ...state.files };
+
+    ops.forEach(op => {
+        const content = files[op.path];
+
+        switch (op.kind) {
+            case 'insert':
+                if (content !== undefined) {
+                    files[op.path] = content.slice(0, op.offset) + op.text + content.slice(op.offset);
+                }
+                break;
+            case 'delete':
+                if (content !== undefined) {
+                    files[op.path] = content.slice(0, op.offset) + content.slice(op.offset + op.length);
+                }
+                break;
+            case 'add':
+                if (content === undefined) {
+                    files[op.path] = '';
+                }
+                break;
+            case 'remove':
+                delete files[op.path];
+                break;
+            case 'reset':
+                language = op.language;
+                files = { ...op.files };
+                break;
+        }
+    });
+
+    return { ...state, language, files };
+}
+
+/**
+ * Compact tuple form of an operation list, used by the session timeline
+ * insert: ['i', path, offset, text]   delete: ['d', path, offset, length]
+ * add: ['a', path]   remove: ['r', path]   reset: ['z', language, files]
+ */
+function encodeOps(ops) {
+    return ops.map(op => {
+        switch (op.kind) {
+            case 'insert': return ['i', op.path, op.offset, op.text];
+            case 'delete': return ['d', op.path, op.offset, op.length];
+            case 'add': return ['a', op.path];
+            case 'remove': return ['r', op.path];
+            case 'reset': return ['z', op.language, op.files];
+        }
+    });
+}
+
+/**
+ * Inverse of encodeOps()
+ */
+function decodeOps(encoded) {
+    return encoded.map(([code, a, b, c]) => {
+        switch (code) {
+            case 'i': return { kind: 'insert', path: a, offset: b, text: c };
+            case 'd': return { kind: 'delete', path: a, offset: b, length: c };
+            case 'a': return { kind: 'add', path: a };
+            case 'r': return { kind: 'remove', path: a };
+            case 'z': return { kind: 'reset', language: a, files: b };
+        }
+    });
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { transformOp, transformOps, applyOps, encodeOps, decodeOps };
+}
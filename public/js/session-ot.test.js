@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { transformOps, applyOps, encodeOps, decodeOps } = require('./session-ot');
+
+const project = (content) => ({ language: 'python', files: { 'main.py': content } });
+const insert = (offset, text, path = 'main.py') => ({ kind: 'insert', path, offset, text });
+const del = (offset, length, path = 'main.py') => ({ kind: 'delete', path, offset, length });
+
+/**
+ * Both sides of a concurrent edit: ops after committed, and committed after ops
+ */
+function converge(state, ops, committed) {
+    const [opsPrime, committedPrime] = transformOps(ops, committed);
+    const server = applyOps(applyOps(state, committed), opsPrime);
+    const client = applyOps(applyOps(state, ops), committedPrime);
+
+    assert.deepStrictEqual(client, server);
+    return server.files['main.py'];
+}
+
+test('concurrent inserts at one offset put the committed text first', () => {
+    assert.strictEqual(converge(project('ac'), [insert(1, 'X')], [insert(1, 'Y')]), 'aYXc');
+});
+
+test('an insert inside a concurrently deleted range survives', () => {
+    assert.strictEqual(converge(project('abcdef'), [insert(3, 'X')], [del(1, 4)]), 'aXf');
+    assert.strictEqual(converge(project('abcdef'), [del(1, 4)], [insert(3, 'X')]), 'aXf');
+});
+
+test('overlapping deletes remove each character once', () => {
+    assert.strictEqual(converge(project('abcdef'), [del(1, 3)], [del(2, 3)]), 'af');
+    assert.strictEqual(converge(project('abcdef'), [del(0, 6)], [del(2, 1)]), '');
+});
+
+test('edits to a file removed concurrently are dropped', () => {
+    const state = { language: 'python', files: { 'main.py': 'x', 'util.py': 'y' } };
+    const [opsPrime] = transformOps([insert(0, 'z', 'util.py')], [{ kind: 'remove', path: 'util.py' }]);
+    assert.deepStrictEqual(opsPrime, []);
+    assert.deepStrictEqual(applyOps(state, [{ kind: 'remove', path: 'util.py' }]).files, { 'main.py': 'x' });
+});
+
+test('a reset wins over concurrent edits', () => {
+    const reset = { kind: 'reset', language: 'cpp', files: { 'main.cpp': 'int main() {}' } };
+    const [opsPrime, committedPrime] = transformOps([insert(0, 'x')], [reset]);
+
+    assert.deepStrictEqual(opsPrime, []);
+    assert.deepStrictEqual(committedPrime, [reset]);
+    assert.deepStrictEqual(applyOps(project('print(1)'), [insert(0, 'x'), ...committedPrime]), { language: 'cpp', files: reset.files });
+});
+
+test('random concurrent edit lists converge', () => {
+    // Deterministic pseudo-random edits (Park-Miller generator)
+    let seed = 42;
+    const random = (n) => {
+        seed = (seed * 48271) % 2147483647;
+        return seed % n;
+    };
+    const randomOps = (length) => {
+        const ops = [];
+        const count = 1 + random(3);
+        let size = length;
+        for (let i = 0; i < count; i++) {
+            if (size > 0 && random(2) === 0) {
+                const offset = random(size);
+                const deleted = 1 + random(size - offset);
+                ops.push(del(offset, deleted));
+                size -= deleted;
+            } else {
+                const text = 'xyz'.slice(0, 1 + random(3));
+                ops.push(insert(random(size + 1), text));
+                size += text.length;
+            }
+        }
+        return ops;
+    };
+
+    for (let round = 0; round < 500; round++) {
+        const content = 'abcdefgh'.slice(0, random(9));
+        converge(project(content), randomOps(content.length), randomOps(content.length));
+    }
+});
+
+test('the timeline encoding round-trips every kind of operation', () => {
+    const ops = [
+        insert(2, 'hi'),
+        del(0, 1),
+        { kind: 'add', path: 'util.py' },
+        { kind: 'remove', path: 'util.py' },
+        { kind: 'reset', language: 'go', files: { 'main.go': 'package main' } }
+    ];
+
+    assert.deepStrictEqual(encodeOps(ops)[0], ['i', 'main.py', 2, 'hi']);
+    assert.deepStrictEqual(decodeOps(JSON.parse(JSON.stringify(encodeOps(ops)))), ops);
+});
@@ -0,0 +1,123 @@
+/**
+ * Interactive terminal client
+ * Connects to workers/terminal-server.js with a ticket from api/terminal.php
+ * and relays keystrokes and output between it and the terminal view.
+ */
+class TerminalClient {
+    /**
+     * @param {string} wsUrl - Terminal service URL (default: same origin, path /terminal)
+     * @param {Object} handlers - Callbacks
+     * @param {Function} handlers.onStatus - (phase) 'compiling' or 'running'
+     * @param {Function} handlers.onOutput - (data) terminal output, with escape sequences
+     * @param {Function} handlers.onCompileError - (result) the build failed; result as from execute
+     * @param {Function} handlers.onExit - ({ exitCode, termination, signal, duration }) the program ended
+     * @param {Function} handlers.onError - (message) error reported by the server
+     * @param {Function} handlers.onClose - () connection closed
+     */
+    constructor(wsUrl, handlers = {}) {
+        this.wsUrl = wsUrl || `${window.location.origin.replace(/^http/, 'ws')}/terminal`;
+        this.handlers = handlers;
+        this.socket = null;
+    }
+
+    /**
+     * Open the terminal
+     * @param {string} ticket - Ticket from api/terminal.php (valid once)
+     * @param {number} cols - Terminal width in characters
+     * @param {number} rows - Terminal height in lines
+     * @returns {Promise<void>} - Resolves once connected
+     */
+    connect(ticket, cols, rows) {
+        const params = new URLSearchParams({ ticket, cols, rows });
+
+        return new Promise((resolve, reject) => {
+            let opened = false;
+            this.socket = new WebSocket(`${this.wsUrl}?${params}`);
+
+            this.socket.addEventListener('open', () => {
+                opened = true;
+                resolve();
+            });
+
+            this.socket.addEventListener('message', (event) => {
+                this.handleMessage(JSON.parse(event.data));
+            });
+
+            this.socket.addEventListener('close', () => {
+                this.socket = null;
+                if (!opened) {
+                    reject(new Error('Could not connect to the terminal service'));
+                    return;
+                }
+                this.handlers.onClose?.();
+            });
+        });
+    }
+
+    /**
+     * Dispatch a server message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'status':
+                this.handlers.onStatus?.(message.phase);
+                break;
+
+            case 'output':
+                this.handlers.onOutput?.(message.data);
+                break;
+
+            case 'compile':
+                this.handlers.onCompileError?.(message.result);
+                break;
+
+            case 'exit':
+                this.handlers.onExit?.({
+                    exitCode: message.exitCode,
+                    termination: message.termination,
+                    signal: message.signal,
+                    duration: message.duration
+                });
+                break;
+
+            case 'error':
+                this.handlers.onError?.(message.error);
+                break;
+        }
+    }
+
+    /**
+     * Send keystrokes to the program
+     */
+    write(data) {
+        this.send({ type: 'input', data });
+    }
+
+    /**
+     * Tell the program the terminal size changed
+     */
+    resize(cols, rows) {
+        this.send({ type: 'resize', cols, rows });
+    }
+
+    send(message) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(JSON.stringify(message));
+        }
+    }
+
+    /**
+     * Close the connection; the server kills the program
+     */
+    close() {
+        if (this.socket) {
+            this.socket.close();
+            this.socket = null;
+        }
+    }
+}
+
+// Export for module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TerminalClient;
+}
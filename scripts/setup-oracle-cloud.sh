@@ -131,6 +131,7 @@ log_success "Composer installed"
 log_info "Setting up application directory..."
 mkdir -p "$APP_DIR"
 mkdir -p "$APP_DIR/sandbox/jobs"
+mkdir -p "$APP_DIR/sandbox/artifacts"
 mkdir -p "$APP_DIR/sandbox/root"
 
 # Step 9: Copy application files (assuming current directory has the app)
@@ -217,6 +218,7 @@ Environment=REDIS_HOST=127.0.0.1
 Environment=REDIS_PORT=6379
 Environment=WORKER_CONCURRENCY=4
 Environment=SANDBOX_JOBS=$APP_DIR/sandbox/jobs
+Environment=ARTIFACT_CACHE_DIR=$APP_DIR/sandbox/artifacts
 Environment=NSJAIL_CONFIG_DIR=$APP_DIR/config/nsjail
 Environment=NSJAIL_BIN=/usr/bin/nsjail
 
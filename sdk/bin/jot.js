@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+// jot - run programs on a code execution server from the command line
+//
+// Usage: jot run <file> [file...] [options]   (see jot --help)
+//        jot languages [--json]
+// The server is JOT_URL (or --url); requests use the API key in JOT_API_KEY, if set.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { JotClient } = require('..');
+const { version } = require('../package.json');
+
+// How long run waits for a result, in seconds, unless --timeout is given
+const DEFAULT_WAIT = 300;
+const POLL_INTERVAL = 500;
+
+// Exit codes for runs that did not exit on their own (as timeout(1) and shells report them)
+const EXIT_TIMEOUT = 124;
+const EXIT_SIGNAL_BASE = 128;
+// Usage and request errors, so they are not mistaken for the program's own exit code 1
+const EXIT_ERROR = 2;
+
+const USAGE = `Usage:
+  jot run <file> [file...] [options]   Run a program; exits with its exit code
+  jot languages [--json]               List the server's languages
+
+Options for run:
+  -l, --language <id>      Language (default: from the first file's extension)
+  -i, --stdin <file>       Standard input
+  -e, --expect <file>      Expected output; a mismatch exits with 1
+  -O, --option <name=value>
+                           Compiler setting from the language's compileOptions (repeatable)
+      --ignore-whitespace  Compare output ignoring spaces at line ends and repeated spaces
+      --no-cache           Always run, even if the same program and input ran before
+      --timeout <seconds>  Give up waiting for the result (default: ${DEFAULT_WAIT})
+      --json               Print the raw result as JSON
+
+Common options:
+      --url <url>          Server (default: $JOT_URL)
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+The first file is the entry point; other files are sent with their paths
+relative to its directory (multi-file projects).`;
+
+function parseCommandLine(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            language: { type: 'string', short: 'l' },
+            stdin: { type: 'string', short: 'i' },
+            expect: { type: 'string', short: 'e' },
+            option: { type: 'string', short: 'O', multiple: true },
+            'ignore-whitespace': { type: 'boolean' },
+            'no-cache': { type: 'boolean' },
+            timeout: { type: 'string' },
+            json: { type: 'boolean' },
+            url: { type: 'string' },
+            help: { type: 'boolean', short: 'h' },
+            version: { type: 'boolean', short: 'v' }
+        }
+    });
+
+    return { command: positionals[0], args: positionals.slice(1), values };
+}
+
+function readFile(file) {
+    try {
+        return fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new Error(`Cannot read ${file}: ${err.code === 'ENOENT' ? 'no such file' : err.message}`);
+    }
+}
+
+/**
+ * { name: value } from repeated --option name=value
+ */
+function parseCompileOptions(options = []) {
+    const compileOptions = {};
+
+    options.forEach(option => {
+        const sep = option.indexOf('=');
+        if (sep <= 0) {
+            throw new Error(`Invalid --option ${option}: expected name=value`);
+        }
+        compileOptions[option.slice(0, sep)] = option.slice(sep + 1);
+    });
+
+    return compileOptions;
+}
+
+/**
+ * Exit code for a finished run: the program's own, 128 + signal number, or 124 on timeout
+ */
+function exitCodeFor(run) {
+    if ((run.termination === 'signaled' || run.termination === 'killed') && os.constants.signals[run.signal]) {
+        return EXIT_SIGNAL_BASE + os.constants.signals[run.signal];
+    }
+    if (run.termination === 'timeout') {
+        return EXIT_TIMEOUT;
+    }
+    return run.exitCode >= 0 ? run.exitCode : 1;
+}
+
+function createClient(values) {
+    const baseUrl = values.url || process.env.JOT_URL;
+    if (!baseUrl) {
+        throw new Error('No server: set JOT_URL or pass --url');
+    }
+
+    return new JotClient({ baseUrl, apiKey: process.env.JOT_API_KEY || undefined });
+}
+
+async function runCommand(client, files, values) {
+    if (files.length === 0) {
+        throw new Error('jot run needs a file to run');
+    }
+
+    const language = values.language
+        ? (await client.getLanguages()).languages[values.language]
+        : await client.languageForFile(files[0]);
+
+    if (!language) {
+        throw new Error(values.language
+            ? `Unknown language: ${values.language} (see jot languages)`
+            : `Cannot tell the language of ${files[0]}: pass --language`);
+    }
+
+    const wait = values.timeout !== undefined ? Number(values.timeout) : DEFAULT_WAIT;
+    if (!(wait > 0)) {
+        throw new Error('Invalid --timeout: must be a number of seconds');
+    }
+
+    const request = {
+        stdin: values.stdin !== undefined ? readFile(values.stdin) : '',
+        compileOptions: parseCompileOptions(values.option),
+        cache: !values['no-cache']
+    };
+
+    const code = readFile(files[0]);
+    if (files.length > 1) {
+        // The entry file takes the name the language expects (main.cpp, Main.java, ...)
+        const root = path.dirname(files[0]);
+        request.files = { [language.sourceFile]: code };
+        files.slice(1).forEach(file => {
+            request.files[path.relative(root, file).split(path.sep).join('/')] = readFile(file);
+        });
+    }
+
+    if (values.expect !== undefined) {
+        request.tests = [{ stdin: request.stdin, expectedOutput: readFile(values.expect) }];
+        request.compare = { ignoreWhitespace: Boolean(values['ignore-whitespace']) };
+    }
+
+    // Ctrl+C stops waiting and cancels the job on the server
+    const controller = new AbortController();
+    let jobId = null;
+    let interrupted = false;
+
+    const timer = setTimeout(() => controller.abort(new Error(`No result after ${wait}s`)), wait * 1000);
+    const onInterrupt = () => {
+        interrupted = true;
+        controller.abort(new Error('Interrupted'));
+    };
+    process.once('SIGINT', onInterrupt);
+
+    let result;
+    try {
+        result = await client.executeAndWait(language.id, request.files ? null : code, {
+            ...request,
+            pollInterval: POLL_INTERVAL,
+            maxAttempts: Math.ceil(wait * 1000 / POLL_INTERVAL),
+            onStatus: status => { jobId = status.jobId || jobId; },
+            signal: controller.signal
+        });
+    } catch (err) {
+        if (jobId && controller.signal.aborted) {
+            await client.cancel(jobId).catch(() => {});
+        }
+        if (interrupted) {
+            process.exitCode = EXIT_SIGNAL_BASE + os.constants.signals.SIGINT;
+            return;
+        }
+        throw err;
+    } finally {
+        clearTimeout(timer);
+        process.removeListener('SIGINT', onInterrupt);
+    }
+
+    if (values.json) {
+        process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+    } else {
+        process.stdout.write(result.stdout || '');
+        process.stderr.write(result.stderr || '');
+    }
+
+    if (result.compileError) {
+        if (!values.json) console.error('jot: compilation failed');
+        process.exitCode = 1;
+        return;
+    }
+
+    const run = result.tests ? result.tests[0] : result;
+    let exitCode = exitCodeFor(run);
+    const timing = result.stats?.runTime !== undefined ? ` in ${result.stats.runTime}ms` : '';
+
+    if (result.tests && run.verdict !== 'accepted' && exitCode === 0) {
+        exitCode = 1;
+    }
+
+    if (!values.json) {
+        if (result.tests) {
+            console.error(`jot: ${run.verdict.replace('_', ' ')}${timing}${result.cached ? ' (cached)' : ''}`);
+            if (run.verdict === 'wrong_answer') {
+                console.error('--- expected');
+                process.stderr.write(run.expectedOutput.endsWith('\n') ? run.expectedOutput : run.expectedOutput + '\n');
+            }
+        } else {
+            console.error(`jot: exited with ${exitCode}${timing}${result.cached ? ' (cached)' : ''}`);
+        }
+    }
+
+    process.exitCode = exitCode;
+}
+
+async function languagesCommand(client, values) {
+    const { languages } = await client.getLanguages();
+
+    if (values.json) {
+        process.stdout.write(JSON.stringify(languages, null, 2) + '\n');
+        return;
+    }
+
+    if (Object.keys(languages).length === 0) {
+        console.error('No languages are available on this server');
+        return;
+    }
+
+    const rows = Object.values(languages).map(language => [
+        language.id,
+        language.name,
+        `.${language.extension}`,
+        language.compiled ? 'compiled' : 'interpreted',
+        `${language.timeout}s`,
+        language.memoryLimit
+    ]);
+    const widths = rows[0].map((_, i) => Math.max(...rows.map(row => row[i].length)));
+
+    rows.forEach(row => {
+        console.log(row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    });
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseCommandLine(process.argv.slice(2));
+    } catch (err) {
+        throw new Error(`${err.message}\n\n${USAGE}`);
+    }
+
+    const { command, args, values } = parsed;
+
+    if (values.version) {
+        console.log(version);
+        return;
+    }
+    if (values.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command === 'run') {
+        await runCommand(createClient(values), args, values);
+    } else if (command === 'languages') {
+        await languagesCommand(createClient(values), values);
+    } else {
+        throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+    }
+}
+
+main().catch((err) => {
+    console.error(`jot: ${err.message}`);
+    process.exit(EXIT_ERROR);
+});
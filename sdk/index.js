@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+
+// The browser client is the one implementation of the API; the SDK runs it under Node.
+// npm pack copies it into the package (prepack); in the repository it is read from public/js.
+const ApiClient = fs.existsSync(path.join(__dirname, 'api-client.js'))
+    ? require('./api-client')
+    : require('../public/js/api-client');
+
+// Time limit per HTTP request (ms) unless the caller picks one
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * API client for scripts, CI jobs and the jot CLI
+ */
+class JotClient extends ApiClient {
+    /**
+     * @param {Object} options - Options
+     * @param {string} options.baseUrl - API origin, e.g. https://code.example.com (required)
+     * @param {string} options.apiKey - API key (default: anonymous)
+     * @param {Object} options.session - { sessionId, token } of a live session, instead of an API key
+     * @param {number} options.timeout - Time limit per HTTP request in ms (default: 30000, 0 for none)
+     * @param {Function} options.fetch - fetch implementation (default: the global fetch)
+     */
+    constructor(options = {}) {
+        const { baseUrl, apiKey, session, timeout = DEFAULT_TIMEOUT, fetch } = options;
+
+        if (!baseUrl) {
+            throw new Error('baseUrl is required');
+        }
+
+        super(baseUrl, apiKey ? { apiKey } : session || null, { timeout, fetch });
+        this.languages = null;
+    }
+
+    /**
+     * Language for a source file, by its extension
+     * @param {string} filename - File name or path
+     * @returns {Promise<Object|null>} - Language info from getLanguages(), or null
+     */
+    async languageForFile(filename) {
+        if (!this.languages) {
+            this.languages = (await this.getLanguages()).languages;
+        }
+
+        const extension = path.extname(filename).slice(1).toLowerCase();
+        return Object.values(this.languages).find(language => language.extension === extension) || null;
+    }
+
+    /**
+     * Create an API key (admin only); the key itself is only returned here
+     * @param {string} name - Label for the key
+     * @param {string} role - candidate, interviewer or admin
+     * @param {number} rateLimit - Requests per rate limit window (default: the server's anonymous limit)
+     * @returns {Promise<Object>} - { key, id, name, role, rateLimit, createdBy, createdAt }
+     */
+    async createApiKey(name, role, rateLimit) {
+        const response = await this.fetch(`${this.baseUrl}/api/keys.php`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ name, role, rateLimit }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to create API key');
+        }
+
+        return data;
+    }
+
+    /**
+     * List API keys (admin only)
+     * @returns {Promise<Array<Object>>} - [{ id, name, role, rateLimit, createdBy, createdAt }]
+     */
+    async listApiKeys() {
+        const response = await this.fetch(`${this.baseUrl}/api/keys.php`);
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to list API keys');
+        }
+
+        return data.keys;
+    }
+
+    /**
+     * Revoke an API key (admin only)
+     * @param {string} keyId - Key ID (key_...)
+     */
+    async revokeApiKey(keyId) {
+        const response = await this.fetch(`${this.baseUrl}/api/keys.php?id=${encodeURIComponent(keyId)}`, {
+            method: 'DELETE'
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to revoke API key');
+        }
+
+        return data;
+    }
+}
+
+module.exports = { JotClient, ApiClient };
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const JOT = path.join(__dirname, 'bin', 'jot.js');
+
+let server;
+let languages = {};
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/api/languages.php') {
+            res.end(JSON.stringify({ success: true, languages }));
+        } else {
+            res.statusCode = 404;
+            res.end(JSON.stringify({ error: 'Not found' }));
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function jot(...args) {
+    const env = { ...process.env, JOT_URL: `http://127.0.0.1:${server.address().port}` };
+    delete env.JOT_API_KEY;
+
+    return new Promise((resolve) => {
+        execFile(process.execPath, [JOT, ...args], { env, timeout: 10000 }, (err, stdout, stderr) => {
+            resolve({ code: err ? err.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('languages lists one aligned row per language', async () => {
+    languages = {
+        python: { id: 'python', name: 'Python', extension: 'py', compiled: false, timeout: 10, memoryLimit: '256M' },
+        c: { id: 'c', name: 'C', extension: 'c', compiled: true, timeout: 10, memoryLimit: '512M' }
+    };
+
+    const { code, stdout } = await jot('languages');
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(stdout.trimEnd().split('\n'), [
+        'python  Python  .py  interpreted  10s  256M',
+        'c       C       .c   compiled     10s  512M'
+    ]);
+});
+
+test('languages with no languages says so instead of crashing', async () => {
+    languages = {};
+
+    const { code, stdout, stderr } = await jot('languages');
+
+    assert.strictEqual(code, 0);
+    assert.strictEqual(stdout, '');
+    assert.match(stderr, /No languages are available/);
+});
+
+test('languages --json prints the server response', async () => {
+    languages = {};
+
+    const { code, stdout } = await jot('languages', '--json');
+
+    assert.strictEqual(code, 0);
+    assert.deepStrictEqual(JSON.parse(stdout), {});
+});
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+const { getToolchainVersion } = require('./languages');
+
+// Content-addressed cache of compiler output on local disk, one directory per build
+const ARTIFACT_CACHE_DIR = process.env.ARTIFACT_CACHE_DIR || '/var/www/code-executor/sandbox/artifacts';
+const ARTIFACT_CACHE_SIZE = parseInt(process.env.ARTIFACT_CACHE_SIZE_MB || '512', 10) * 1024 * 1024;
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Builds in progress are copied to <key>.<pid>.<random>.tmp and renamed into place
+const TMP_PATTERN = /^[0-9a-f]{64}\.(\d+)\.[0-9a-f]{8}\.tmp$/;
+// A copy takes seconds; older temp dirs were left by a crash even if their PID is reused
+const TMP_MAX_AGE = 600000;
+
+// Size in bytes of builds seen on disk, by key; builds never change once stored
+const sizes = new Map();
+let indexReady = null;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Whether builds are cached at all (ARTIFACT_CACHE_SIZE_MB=0 turns it off)
+ */
+function isEnabled() {
+    return ARTIFACT_CACHE_SIZE > 0;
+}
+
+/**
+ * Cache key for a build: language, compiler version, compile args and
+ * environment, and the hash of every project file
+ * Returns null when the cache is off or the compiler version is unknown.
+ */
+async function getArtifactKey(config, files) {
+    if (!isEnabled()) {
+        return null;
+    }
+
+    const version = await getToolchainVersion(config);
+    if (!version) {
+        return null;
+    }
+
+    return sha256(JSON.stringify({
+        language: config.id,
+        compiler: config.compiler,
+        version,
+        args: config.compileArgs,
+        env: config.env || {},
+        files: Object.keys(files).sort().map(file => [file, sha256(files[file])])
+    }));
+}
+
+/**
+ * Regular files under dir, as paths relative to it
+ */
+async function listFiles(dir, prefix = '') {
+    const found = [];
+
+    for (const entry of await fs.readdir(path.join(dir, prefix), { withFileTypes: true })) {
+        const relPath = path.join(prefix, entry.name);
+        if (entry.isDirectory()) {
+            found.push(...await listFiles(dir, relPath));
+        } else if (entry.isFile()) {
+            found.push(relPath);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Total size in bytes of the regular files under dir
+ */
+async function directorySize(dir) {
+    const fileSizes = await Promise.all((await listFiles(dir)).map(async file => (await fs.stat(path.join(dir, file))).size));
+    return fileSizes.reduce((sum, size) => sum + size, 0);
+}
+
+/**
+ * Whether a process with this PID is running
+ */
+function isRunning(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Builds on disk as { key, size, usedAt }, removing temp dirs that no live
+ * worker is still writing
+ *
+ * Every worker process on the host shares the directory, so it is read again
+ * instead of trusting what this process stored: the mtime of a build (touched
+ * on each restore) is the shared least-recently-used order.
+ */
+async function scanCache() {
+    const found = [];
+
+    for (const name of await fs.readdir(ARTIFACT_CACHE_DIR)) {
+        const dir = path.join(ARTIFACT_CACHE_DIR, name);
+        try {
+            const stat = await fs.stat(dir);
+            const tmp = name.match(TMP_PATTERN);
+
+            if (KEY_PATTERN.test(name)) {
+                if (!sizes.has(name)) {
+                    sizes.set(name, await directorySize(dir));
+                }
+                found.push({ key: name, size: sizes.get(name), usedAt: stat.mtimeMs });
+            } else if (!tmp || !isRunning(parseInt(tmp[1], 10)) || Date.now() - stat.mtimeMs > TMP_MAX_AGE) {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        } catch (err) {
+            // Removed by another worker while being read
+            if (err.code !== 'ENOENT') throw err;
+            sizes.delete(name);
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Prepare the cache directory, and clean it up once per process
+ */
+function loadIndex() {
+    if (!indexReady) {
+        indexReady = (async () => {
+            await fs.mkdir(ARTIFACT_CACHE_DIR, { recursive: true });
+            await evict();
+        })().catch((err) => {
+            indexReady = null;
+            throw err;
+        });
+    }
+
+    return indexReady;
+}
+
+/**
+ * Remove a build from disk
+ */
+async function removeEntry(key) {
+    sizes.delete(key);
+    await fs.rm(path.join(ARTIFACT_CACHE_DIR, key), { recursive: true, force: true });
+}
+
+/**
+ * Remove least recently used builds until the cache fits its size limit
+ * Returns the size of what is left.
+ */
+async function evict() {
+    const found = (await scanCache()).sort((a, b) => a.usedAt - b.usedAt);
+    let totalSize = found.reduce((sum, entry) => sum + entry.size, 0);
+
+    for (const { key, size } of found) {
+        if (totalSize <= ARTIFACT_CACHE_SIZE) break;
+        await removeEntry(key);
+        totalSize -= size;
+    }
+
+    return totalSize;
+}
+
+/**
+ * Copy a cached build into workDir
+ * Returns false on a miss, or when the build could not be copied.
+ */
+async function restoreArtifacts(key, workDir, log = logger) {
+    const dir = path.join(ARTIFACT_CACHE_DIR, key);
+
+    try {
+        await loadIndex();
+
+        // Mark as most recently used for every worker (see scanCache)
+        const now = new Date();
+        try {
+            await fs.utimes(dir, now, now);
+        } catch (err) {
+            if (err.code === 'ENOENT') return false;
+            throw err;
+        }
+
+        await fs.cp(dir, workDir, { recursive: true, errorOnExist: true, force: false });
+        return true;
+    } catch (err) {
+        log.warn('Cached build unusable, compiling instead', { phase: 'compile', error: err });
+        await removeEntry(key).catch(() => {});
+        return false;
+    }
+}
+
+/**
+ * Cache the files a successful compile added to workDir
+ * sources are the project files, which are not part of the build.
+ * Failures are logged and otherwise ignored: the job already has its build.
+ */
+async function storeArtifacts(key, workDir, sources, log = logger) {
+    const dir = path.join(ARTIFACT_CACHE_DIR, key);
+    const tmpDir = `${dir}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const stored = () => fs.access(dir).then(() => true, () => false);
+
+    try {
+        await loadIndex();
+        if (await stored()) {
+            return;
+        }
+
+        const artifacts = (await listFiles(workDir)).filter(file => !sources.includes(file));
+        if (artifacts.length === 0) {
+            return;
+        }
+
+        for (const file of artifacts) {
+            await fs.mkdir(path.dirname(path.join(tmpDir, file)), { recursive: true });
+            await fs.copyFile(path.join(workDir, file), path.join(tmpDir, file));
+        }
+
+        const size = await directorySize(tmpDir);
+        if (size > ARTIFACT_CACHE_SIZE) {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            return;
+        }
+
+        // Another job may have stored the same build in the meantime
+        if (await stored()) {
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            return;
+        }
+
+        try {
+            await fs.rename(tmpDir, dir);
+        } catch (err) {
+            if (err.code !== 'ENOTEMPTY' && err.code !== 'EEXIST') throw err;
+            // Stored by a concurrent job while this copy was made
+            await fs.rm(tmpDir, { recursive: true, force: true });
+            return;
+        }
+        sizes.set(key, size);
+        const cacheBytes = await evict();
+
+        log.debug('Build cached', { phase: 'compile', artifacts: artifacts.length, bytes: size, cacheBytes });
+    } catch (err) {
+        log.warn('Build could not be cached', { phase: 'compile', error: err });
+        await fs.rm(tmpDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+module.exports = { getArtifactKey, restoreArtifacts, storeArtifacts };
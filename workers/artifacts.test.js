@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const cacheDir = path.join(os.tmpdir(), `artifacts-test-${process.pid}`);
+process.env.ARTIFACT_CACHE_DIR = cacheDir;
+process.env.ARTIFACT_CACHE_SIZE_MB = '1';
+const { restoreArtifacts, storeArtifacts } = require('./artifacts');
+
+const KB = 1024;
+const keyOf = (name) => crypto.createHash('sha256').update(name).digest('hex');
+const exists = (file) => fs.access(file).then(() => true, () => false);
+// Above the kernel's PID limit, so never a running process
+const DEAD_PID = 4194305;
+
+async function writeBuild(dir, size, usedAt) {
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'output'), Buffer.alloc(size));
+    if (usedAt) {
+        await fs.utimes(dir, usedAt, usedAt);
+    }
+}
+
+async function workspace(name, files) {
+    const dir = path.join(cacheDir, '..', `artifacts-test-${process.pid}-${name}`);
+    await fs.rm(dir, { recursive: true, force: true });
+    await fs.mkdir(dir, { recursive: true });
+    for (const [file, size] of Object.entries(files)) {
+        await fs.writeFile(path.join(dir, file), Buffer.alloc(size));
+    }
+    return dir;
+}
+
+before(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+    await fs.mkdir(cacheDir, { recursive: true });
+});
+
+after(async () => {
+    for (const name of await fs.readdir(os.tmpdir())) {
+        if (name.startsWith(`artifacts-test-${process.pid}`)) {
+            await fs.rm(path.join(os.tmpdir(), name), { recursive: true, force: true });
+        }
+    }
+});
+
+test('only temp dirs of workers that are gone are removed at startup', async () => {
+    const live = path.join(cacheDir, `${keyOf('live')}.${process.pid}.0000abcd.tmp`);
+    const dead = path.join(cacheDir, `${keyOf('dead')}.${DEAD_PID}.0000abcd.tmp`);
+    await writeBuild(live, KB);
+    await writeBuild(dead, KB);
+
+    const workDir = await workspace('startup', { 'main.c': 10, output: KB });
+    await storeArtifacts(keyOf('startup'), workDir, ['main.c']);
+
+    assert.strictEqual(await exists(live), true);
+    assert.strictEqual(await exists(dead), false);
+    assert.strictEqual(await exists(path.join(cacheDir, keyOf('startup'), 'output')), true);
+    assert.strictEqual(await exists(path.join(cacheDir, keyOf('startup'), 'main.c')), false);
+});
+
+test('builds stored by other workers are restored', async () => {
+    await writeBuild(path.join(cacheDir, keyOf('other')), KB);
+
+    const workDir = await workspace('restore', { 'main.c': 10 });
+    assert.strictEqual(await restoreArtifacts(keyOf('other'), workDir), true);
+    assert.strictEqual(await exists(path.join(workDir, 'output')), true);
+    assert.strictEqual(await restoreArtifacts(keyOf('missing'), workDir), false);
+});
+
+test('eviction counts builds of every worker, least recently used first', async () => {
+    const old = new Date(Date.now() - 3600000);
+    const older = new Date(Date.now() - 7200000);
+    await writeBuild(path.join(cacheDir, keyOf('older')), 400 * KB, older);
+    await writeBuild(path.join(cacheDir, keyOf('old')), 400 * KB, old);
+
+    const workDir = await workspace('evict', { 'main.c': 10, output: 400 * KB });
+    await storeArtifacts(keyOf('evict'), workDir, ['main.c']);
+
+    assert.strictEqual(await exists(path.join(cacheDir, keyOf('older'))), false);
+    assert.strictEqual(await exists(path.join(cacheDir, keyOf('old'))), true);
+    assert.strictEqual(await exists(path.join(cacheDir, keyOf('evict'))), true);
+});
@@ -0,0 +1,85 @@
+const { logger } = require('./logger');
+
+// Batch results outlive their jobs' (must match BATCH_TTL in api/config.php)
+const BATCH_TTL = 3600;
+
+// Add a batch item's result unless a retry already did, and note its completion
+// KEYS: batch results hash, batch completion list
+// ARGV: item index, result JSON, TTL (seconds)
+const BATCH_RESULT_SCRIPT = `
+if redis.call('HSETNX', KEYS[1], ARGV[1], ARGV[2]) == 1 then
+    redis.call('RPUSH', KEYS[2], ARGV[1])
+end
+redis.call('EXPIRE', KEYS[1], ARGV[3])
+redis.call('EXPIRE', KEYS[2], ARGV[3])
+return 1
+`;
+
+/**
+ * Batches submitted through api/batch.php
+ *
+ * A batch waits in the queue as one entry; once claimed, fanOut() replaces
+ * it with its items (batch:jobs:{id}), which then run as jobs of their own.
+ * Item results are collected in batch:results:{id}, and batch:done:{id}
+ * lists item indexes in the order they completed.
+ *
+ * Options:
+ *   redis       - connection; the result script is defined on it
+ *   queue       - the job queue (createQueue)
+ *   storeError  - async (job, message, executionTime) storing an error result
+ */
+function createBatches({ redis, queue, storeError }) {
+    redis.defineCommand('recordBatchResult', { numberOfKeys: 2, lua: BATCH_RESULT_SCRIPT });
+
+    /**
+     * Add the result of a batch item (job.batchId, job.batchIndex)
+     */
+    async function recordResult(job, json) {
+        await redis.recordBatchResult(`batch:results:${job.batchId}`, `batch:done:${job.batchId}`, job.batchIndex, json, BATCH_TTL);
+    }
+
+    /**
+     * Queue the items of a claimed batch as jobs of their own, so they take
+     * turns with other jobs under the concurrency limits
+     */
+    async function fanOut(claimed) {
+        const batchId = claimed.job.id;
+
+        try {
+            const stored = await redis.get(`batch:jobs:${batchId}`);
+            const jobs = stored ? JSON.parse(stored) : [];
+
+            await queue.fanOut(claimed, jobs);
+            await redis.del(`batch:jobs:${batchId}`);
+
+            if (jobs.length === 0) {
+                logger.warn('Batch expired before it was queued', { batchId });
+            } else {
+                logger.info('Batch queued', { batchId, jobs: jobs.length, tenant: claimed.job.tenant });
+            }
+        } catch (error) {
+            logger.warn('Batch fan-out failed, retrying', { batchId, error });
+            await queue.retry(claimed, error.message);
+        }
+    }
+
+    /**
+     * Give every item of a batch that was never queued an error result, so the
+     * batch completes (items that already have a result keep it)
+     */
+    async function fail(batch, message) {
+        const meta = await redis.get(`batch:${batch.id}`);
+        const jobIds = meta ? JSON.parse(meta).jobIds : [];
+
+        await Promise.all(jobIds.map((id, index) => id.startsWith('cached_')
+            ? null
+            : storeError({ id, batchId: batch.id, batchIndex: index }, message, 0)));
+        await redis.del(`batch:jobs:${batch.id}`);
+
+        logger.error('Batch failed', { batchId: batch.id, jobs: jobIds.length, error: message });
+    }
+
+    return { recordResult, fanOut, fail };
+}
+
+module.exports = { createBatches };
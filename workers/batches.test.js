@@ -0,0 +1,70 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Redis = require('ioredis-mock');
+const { createBatches } = require('./batches');
+
+let redis;
+let queueCalls;
+let stored;
+let batches;
+
+beforeEach(() => {
+    redis = new Redis();
+    queueCalls = [];
+    stored = [];
+    const queue = {
+        fanOut: async (claimed, jobs) => { queueCalls.push(['fanOut', claimed.job.id, jobs.map(job => job.id)]); },
+        retry: async (claimed, reason) => { queueCalls.push(['retry', claimed.job.id, reason]); return true; }
+    };
+    const storeError = async (job, message) => {
+        stored.push({ ...job, message });
+        await batches.recordResult(job, JSON.stringify({ error: true, stderr: message }));
+    };
+    batches = createBatches({ redis, queue, storeError });
+});
+
+afterEach(async () => {
+    await redis.flushall();
+    redis.disconnect();
+});
+
+test('each item keeps its first result, listed in completion order', async () => {
+    await batches.recordResult({ batchId: 'batch_1', batchIndex: 2 }, '{"stdout":"two"}');
+    await batches.recordResult({ batchId: 'batch_1', batchIndex: 0 }, '{"stdout":"zero"}');
+    // A retried item reports again
+    await batches.recordResult({ batchId: 'batch_1', batchIndex: 2 }, '{"stdout":"again"}');
+
+    assert.deepStrictEqual(await redis.hgetall('batch:results:batch_1'), { 2: '{"stdout":"two"}', 0: '{"stdout":"zero"}' });
+    assert.deepStrictEqual(await redis.lrange('batch:done:batch_1', 0, -1), ['2', '0']);
+    assert.ok(await redis.ttl('batch:done:batch_1') > 0);
+});
+
+test('a claimed batch is replaced by its stored items', async () => {
+    await redis.set('batch:jobs:batch_1', JSON.stringify([{ id: 'job_a' }, { id: 'job_b' }]));
+
+    await batches.fanOut({ job: { id: 'batch_1', batch: true } });
+
+    assert.deepStrictEqual(queueCalls, [['fanOut', 'batch_1', ['job_a', 'job_b']]]);
+    assert.strictEqual(await redis.exists('batch:jobs:batch_1'), 0);
+});
+
+test('a batch that cannot be read is retried', async () => {
+    await redis.set('batch:jobs:batch_1', 'not json');
+
+    await batches.fanOut({ job: { id: 'batch_1', batch: true } });
+
+    assert.strictEqual(queueCalls.length, 1);
+    assert.strictEqual(queueCalls[0][0], 'retry');
+});
+
+test('a failed batch completes with an error for every item without a result', async () => {
+    await redis.set('batch:batch_1', JSON.stringify({ jobIds: ['job_a', 'cached_1', 'job_c'] }));
+    await redis.set('batch:jobs:batch_1', '[]');
+    await batches.recordResult({ batchId: 'batch_1', batchIndex: 1 }, '{"cached":true}');
+
+    await batches.fail({ id: 'batch_1' }, 'Batch could not be queued');
+
+    assert.deepStrictEqual(stored.map(job => [job.id, job.batchIndex]), [['job_a', 0], ['job_c', 2]]);
+    assert.deepStrictEqual((await redis.lrange('batch:done:batch_1', 0, -1)).sort(), ['0', '1', '2']);
+    assert.strictEqual(await redis.exists('batch:jobs:batch_1'), 0);
+});
@@ -0,0 +1,93 @@
+// Latency of executeCode with fresh workspaces vs. the warm sandbox pool
+//
+// Usage: node benchmark.js [runs] [language...]   (default: 50 python php)
+// Needs the same environment as the worker (nsjail, LANGUAGES_DIR, ...).
+
+const fs = require('fs');
+const path = require('path');
+const { loadLanguages, getLanguage } = require('./languages');
+const { executeCode, warmSandboxPool, drainSandboxPool } = require('./executor');
+
+const LANGUAGES_DIR = process.env.LANGUAGES_DIR || '/var/www/code-executor/config/languages';
+const WARMUP_RUNS = 3;
+
+const runs = parseInt(process.argv[2] || '50', 10);
+const languageIds = process.argv.length > 3 ? process.argv.slice(3) : ['python', 'php'];
+
+/**
+ * Latency percentiles in ms of a list of durations
+ */
+function summarize(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    const mean = sorted.reduce((sum, d) => sum + d, 0) / sorted.length;
+
+    return { mean, p50: at(0.5), p95: at(0.95) };
+}
+
+/**
+ * Run a language's hello world program runs times and time each executeCode call
+ */
+async function measure(language, code, mode) {
+    const durations = [];
+
+    for (let i = 0; i < WARMUP_RUNS + runs; i++) {
+        const start = process.hrtime.bigint();
+        const result = await executeCode(`bench_${mode}_${language}_${i}`, language, code);
+        const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+
+        if (result.exitCode !== 0) {
+            throw new Error(`${language} run failed: ${result.stderr}`);
+        }
+        if (i >= WARMUP_RUNS) {
+            durations.push(elapsed);
+        }
+    }
+
+    return summarize(durations);
+}
+
+async function main() {
+    const errors = loadLanguages();
+    if (errors.length > 0) {
+        throw new Error(`Invalid language definitions: ${errors.join('; ')}`);
+    }
+
+    const programs = {};
+    for (const id of languageIds) {
+        if (!getLanguage(id)) {
+            throw new Error(`Unknown language: ${id}`);
+        }
+        programs[id] = JSON.parse(fs.readFileSync(path.join(LANGUAGES_DIR, `${id}.json`), 'utf8')).helloWorld;
+    }
+
+    const rows = [];
+    for (const id of languageIds) {
+        const fresh = await measure(id, programs[id], 'fresh');
+
+        // Two workspaces, so one is ready while the last one is scrubbed
+        await warmSandboxPool([id], 2);
+        const pooled = await measure(id, programs[id], 'pooled');
+        await drainSandboxPool();
+
+        rows.push({ id, fresh, pooled });
+    }
+
+    const ms = (value) => value.toFixed(1).padStart(8);
+    const change = (before, after) => {
+        const percent = Math.round((after / before - 1) * 100);
+        return `${percent > 0 ? '+' : ''}${percent}%`;
+    };
+    console.log(`${runs} runs per mode, latency in ms\n`);
+    console.log('language   mode        mean      p50      p95');
+    rows.forEach(({ id, fresh, pooled }) => {
+        console.log(`${id.padEnd(10)} fresh   ${ms(fresh.mean)} ${ms(fresh.p50)} ${ms(fresh.p95)}`);
+        console.log(`${''.padEnd(10)} pooled  ${ms(pooled.mean)} ${ms(pooled.p50)} ${ms(pooled.p95)}`
+            + `   (mean ${change(fresh.mean, pooled.mean)})`);
+    });
+}
+
+main().catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+});
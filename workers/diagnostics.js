@@ -0,0 +1,221 @@
+// Structured diagnostics from compiler output and runtime tracebacks
+//
+// Each language definition names the format its toolchain prints
+// ("diagnostics" in config/languages/*.json). Parsers return records of
+// { file, line, column, severity, message } for project files only; column
+// is null when the output does not give one.
+
+// Path of the workspace inside the sandbox (nsjail profiles mount it here)
+const SANDBOX_WORKSPACE = '/workspace/';
+const MAX_DIAGNOSTICS = 100;
+
+const GCC_PATTERN = /^(.+?):(\d+):(\d+): (fatal error|runtime error|error|warning|note): (.*)$/;
+const RUSTC_HEADER_PATTERN = /^(error|warning)(?:\[\w+\])?: (.*)$/;
+const RUSTC_LOCATION_PATTERN = /^\s*--> (.+?):(\d+):(\d+)$/;
+const JAVAC_PATTERN = /^(.+?\.java):(\d+): (error|warning): (.*)$/;
+const GO_PATTERN = /^(.+?\.go):(\d+):(\d+): (.*)$/;
+const PYTHON_FRAME_PATTERN = /^\s*File "(.+)", line (\d+)/;
+const PYTHON_MARKER_PATTERN = /^\s*[~^]+\s*$/;
+const PHP_PATTERN = /^(?:PHP )?(Parse error|Fatal error|Warning|Notice|Deprecated):\s+(.*) in (.+?)(?: on line |:)(\d+)$/;
+
+const SEVERITIES = {
+    'fatal error': 'error',
+    'runtime error': 'error',
+    'error': 'error',
+    'warning': 'warning',
+    'note': 'info',
+    'Parse error': 'error',
+    'Fatal error': 'error',
+    'Warning': 'warning',
+    'Notice': 'info',
+    'Deprecated': 'info'
+};
+
+/**
+ * Project-relative path of a file named in tool output, or null for files
+ * outside the project (system headers, the standard library)
+ */
+function projectPath(file, project) {
+    let relPath = file.startsWith(SANDBOX_WORKSPACE) ? file.slice(SANDBOX_WORKSPACE.length) : file;
+    if (relPath.startsWith('./')) {
+        relPath = relPath.slice(2);
+    }
+
+    return Object.prototype.hasOwnProperty.call(project, relPath) ? relPath : null;
+}
+
+/**
+ * gcc and g++: "main.c:4:13: error: 'y' undeclared", and UBSan reports
+ * ("main.c:5:9: runtime error: signed integer overflow")
+ */
+function parseGcc(lines) {
+    return lines
+        .map(line => line.match(GCC_PATTERN))
+        .filter(Boolean)
+        .map(([, file, line, column, severity, message]) => ({
+            file, line: Number(line), column: Number(column), severity: SEVERITIES[severity], message
+        }));
+}
+
+/**
+ * rustc: "error[E0425]: message" followed by " --> main.rs:3:20"
+ */
+function parseRustc(lines) {
+    const diagnostics = [];
+
+    lines.forEach((line, i) => {
+        const header = line.match(RUSTC_HEADER_PATTERN);
+        const location = header && lines[i + 1] ? lines[i + 1].match(RUSTC_LOCATION_PATTERN) : null;
+
+        if (location) {
+            diagnostics.push({
+                file: location[1],
+                line: Number(location[2]),
+                column: Number(location[3]),
+                severity: header[1],
+                message: header[2]
+            });
+        }
+    });
+
+    return diagnostics;
+}
+
+/**
+ * javac: "Main.java:3: error: message", the source line, a caret line under
+ * the column, then indented details ("  symbol: variable x")
+ */
+function parseJavac(lines) {
+    const diagnostics = [];
+
+    lines.forEach((line, i) => {
+        const match = line.match(JAVAC_PATTERN);
+        if (!match) return;
+
+        const caret = (lines[i + 2] || '').indexOf('^');
+        const details = [];
+        for (let j = i + 3; j < lines.length && /^ {2}\S/.test(lines[j]); j++) {
+            details.push(lines[j].trim());
+        }
+
+        diagnostics.push({
+            file: match[1],
+            line: Number(match[2]),
+            column: caret >= 0 ? caret + 1 : null,
+            severity: SEVERITIES[match[3]],
+            message: [match[4], ...details].join('\n')
+        });
+    });
+
+    return diagnostics;
+}
+
+/**
+ * go build: "./main.go:7:14: undefined: y"
+ */
+function parseGo(lines) {
+    return lines
+        .map(line => line.match(GO_PATTERN))
+        .filter(Boolean)
+        .map(([, file, line, column, message]) => ({
+            file, line: Number(line), column: Number(column), severity: 'error', message
+        }));
+}
+
+/**
+ * Python traceback or SyntaxError: one record at the innermost project frame,
+ * with the exception line as message
+ */
+function parsePython(lines, project) {
+    let frame = null;
+    let message = null;
+
+    lines.forEach((line, i) => {
+        const match = line.match(PYTHON_FRAME_PATTERN);
+        if (match) {
+            const file = projectPath(match[1], project);
+            if (file) {
+                frame = { file, line: Number(match[2]), column: pythonColumn(project[file], Number(match[2]), lines[i + 1], lines[i + 2]) };
+            }
+        } else if (frame && /^[A-Za-z_][\w.]*(:|$)/.test(line)) {
+            message = line;
+        }
+    });
+
+    return frame && message ? [{ ...frame, severity: 'error', message }] : [];
+}
+
+/**
+ * Column pointed at by Python's ^ or ~ markers
+ * The code line is printed with its indentation replaced, so the offset is
+ * taken relative to the first non-blank character.
+ */
+function pythonColumn(source, lineNumber, codeLine, markerLine) {
+    if (!codeLine || !markerLine || !PYTHON_MARKER_PATTERN.test(markerLine)) {
+        return null;
+    }
+
+    const sourceLine = source.split('\n')[lineNumber - 1] || '';
+    const indent = sourceLine.length - sourceLine.trimStart().length;
+    const offset = markerLine.search(/[~^]/) - codeLine.search(/\S/);
+
+    return offset >= 0 ? indent + offset + 1 : null;
+}
+
+/**
+ * PHP errors and uncaught exceptions:
+ * "PHP Warning:  Undefined variable $x in /workspace/main.php on line 2"
+ */
+function parsePhp(lines) {
+    return lines
+        .map(line => line.match(PHP_PATTERN))
+        .filter(Boolean)
+        .map(([, kind, message, file, line]) => ({
+            file, line: Number(line), column: null, severity: SEVERITIES[kind], message
+        }));
+}
+
+const PARSERS = {
+    gcc: parseGcc,
+    rustc: parseRustc,
+    javac: parseJavac,
+    go: parseGo,
+    python: parsePython,
+    php: parsePhp
+};
+
+/**
+ * Whether a language definition's "diagnostics" value names a known format
+ */
+function isDiagnosticFormat(format) {
+    return Object.prototype.hasOwnProperty.call(PARSERS, format);
+}
+
+/**
+ * Diagnostics in output of the given format, limited to files of project
+ * ({ path: content }); duplicates (PHP prints errors twice when both
+ * displaying and logging them) are dropped
+ */
+function parseDiagnostics(format, output, project) {
+    if (!isDiagnosticFormat(format) || !output) {
+        return [];
+    }
+
+    const seen = new Set();
+    const diagnostics = [];
+
+    for (const diagnostic of PARSERS[format](output.split('\n'), project)) {
+        const file = projectPath(diagnostic.file, project);
+        const key = `${file}:${diagnostic.line}:${diagnostic.column}:${diagnostic.message}`;
+
+        if (file && !seen.has(key)) {
+            seen.add(key);
+            diagnostics.push({ ...diagnostic, file });
+        }
+        if (diagnostics.length >= MAX_DIAGNOSTICS) break;
+    }
+
+    return diagnostics;
+}
+
+module.exports = { parseDiagnostics, isDiagnosticFormat, DIAGNOSTIC_FORMATS: Object.keys(PARSERS) };
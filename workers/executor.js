@@ -1,134 +1,553 @@
 const { spawn } = require('child_process');
+const os = require('os');
 const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
 const path = require('path');
+const { VERDICT, gradeCase } = require('./grader');
+const { getLanguage, validateCompileOptions, resolveCompileOptions, withCompileOptions } = require('./languages');
+const { createUsageMonitor, canCapMemory, checkCgroupAccounting } = require('./usage');
+const { TERMINATION, TERMINATION_MESSAGES, classifyTermination, isNsjailLogLine } = require('./termination');
+const { logger } = require('./logger');
+const { getArtifactKey, restoreArtifacts, storeArtifacts } = require('./artifacts');
+const { createWorkspacePool } = require('./pool');
+const { parseDiagnostics } = require('./diagnostics');
 
 // Configuration paths
 const SANDBOX_JOBS = process.env.SANDBOX_JOBS || '/var/www/code-executor/sandbox/jobs';
 const NSJAIL_CONFIG_DIR = process.env.NSJAIL_CONFIG_DIR || '/var/www/code-executor/config/nsjail';
 const NSJAIL_BIN = process.env.NSJAIL_BIN || '/usr/bin/nsjail';
+const MAX_OUTPUT_SIZE = 65536;
+// Output of an interactive terminal before its program is killed
+const MAX_TERMINAL_OUTPUT = 1048576;
+const TERM_NAME = 'xterm-256color';
+// Environment of AddressSanitizer builds (see applyLimits)
+const ASAN_OPTIONS = 'ASAN_OPTIONS=detect_leaks=0';
+// Pre-made workspaces per language (0 creates a fresh workspace for every job)
+const SANDBOX_POOL_SIZE = parseInt(process.env.SANDBOX_POOL_SIZE || '0', 10);
+
+// Multi-file project limits (must match PHP config)
+const MAX_PROJECT_FILES = 32;
+const FILE_PATH_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*){0,4}$/;
+const RESERVED_FILES = ['output', 'nsjail.cfg'];
 
-// Language configurations (must match PHP config)
-const LANGUAGE_CONFIG = {
-    python: {
-        extension: 'py',
-        compile: false,
-        binary: '/usr/bin/python3',
-        timeout: 30000,
-        sourceFile: 'main.py'
-    },
-    c: {
-        extension: 'c',
-        compile: true,
-        compiler: '/usr/bin/gcc',
-        compileArgs: ['-O2', '-Wall', '-o', 'output'],
-        binary: './output',
-        timeout: 60000,
-        sourceFile: 'main.c'
-    },
-    cpp: {
-        extension: 'cpp',
-        compile: true,
-        compiler: '/usr/bin/g++',
-        compileArgs: ['-O2', '-Wall', '-std=c++17', '-o', 'output'],
-        binary: './output',
-        timeout: 60000,
-        sourceFile: 'main.cpp'
-    },
-    java: {
-        extension: 'java',
-        compile: true,
-        compiler: '/usr/bin/javac',
-        compileArgs: [],
-        binary: '/usr/bin/java',
-        runArgs: ['-Xmx512m', 'Main'],
-        timeout: 60000,
-        sourceFile: 'Main.java'
-    },
-    go: {
-        extension: 'go',
-        compile: true,
-        compiler: '/usr/lib/go-1.24/bin/go',
-        compileArgs: ['build', '-o', 'output'],
-        binary: './output',
-        timeout: 60000,
-        sourceFile: 'main.go',
-        env: { GOPATH: '/tmp/go', GOCACHE: '/tmp/go-cache' }
-    },
-    rust: {
-        extension: 'rs',
-        compile: true,
-        compiler: '/usr/bin/rustc',
-        compileArgs: ['-O', '-o', 'output'],
-        binary: './output',
-        timeout: 90000,
-        sourceFile: 'main.rs'
-    },
-    php: {
-        extension: 'php',
-        compile: false,
-        binary: '/usr/bin/php',
-        runArgs: ['-d', 'display_errors=stderr'],
-        timeout: 30000,
-        sourceFile: 'main.php'
+/**
+ * A job that can never succeed as submitted (unknown language, bad project files)
+ * The worker reports it to the client instead of retrying it.
+ */
+class InvalidJobError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'InvalidJobError';
     }
-};
+}
+
+// One pool directory per worker process, so workers sharing SANDBOX_JOBS keep apart
+const POOL_DIR_PREFIX = '.pool-';
+const workspacePool = createWorkspacePool({
+    dir: path.join(SANDBOX_JOBS, POOL_DIR_PREFIX + process.pid),
+    prepareConfig: prepareNsjailConfig
+});
 
 /**
  * Execute code in a sandboxed environment
+ *
+ * When options.tests is given the program is compiled once and run for
+ * every test case; otherwise it runs once with options.stdin, reporting
+ * output chunks to options.onOutput(stream, chunk) as they arrive.
+ * Aborting options.signal kills the compiler or nsjail process.
+ * A multi-file project is passed as options.files ({ path: content }),
+ * which must contain the language's entry file; code is then ignored.
+ * options.compileOptions selects allow-listed compiler settings ({ name: value }).
+ * Throws InvalidJobError for bad input; any other error is an
+ * infrastructure failure (missing compiler or nsjail, disk) worth retrying.
+ * Each phase is logged to options.log (a logger carrying the job's fields).
+ * A build seen before is restored from the artifact cache instead of compiled.
+ * The job runs in a pooled workspace when one is idle (see warmSandboxPool).
  */
-async function executeCode(jobId, language, code) {
-    const config = LANGUAGE_CONFIG[language];
-    if (!config) {
-        throw new Error(`Unsupported language: ${language}`);
-    }
+async function executeCode(jobId, language, code, options = {}) {
+    const { stdin = '', tests = null, compare = {}, onOutput = null, signal = null } = options;
+    const files = options.files || null;
+    const log = options.log || logger.child({ jobId, language });
+    const config = jobConfig(language, options.compileOptions);
 
-    const workDir = path.join(SANDBOX_JOBS, jobId);
+    const slot = workspacePool.acquire(language);
+    const workDir = slot ? slot.workDir : path.join(SANDBOX_JOBS, jobId);
+    // The pooled config keeps rlimit_as, which an AddressSanitizer build cannot run under
+    const preparedConfig = slot && !config.addressSanitizer ? slot.configPath : null;
 
     try {
-        // Create workspace directory
-        await fs.mkdir(workDir, { recursive: true });
+        if (!slot) {
+            // Create workspace directory, clearing leftovers from an interrupted attempt
+            await cleanup(workDir, log);
+            await fs.mkdir(workDir, { recursive: true });
+        }
 
         // Write source code
-        const sourceFile = path.join(workDir, config.sourceFile);
-        await fs.writeFile(sourceFile, code, 'utf8');
-
-        let result;
+        const project = files || { [config.sourceFile]: code };
+        const sources = await writeSourceFiles(workDir, config, project);
 
         // Compile if needed
-        if (config.compile) {
-            const compileResult = await compileCode(workDir, language, config);
-
-            if (compileResult.exitCode !== 0) {
-                return {
-                    stdout: '',
-                    stderr: compileResult.stderr,
-                    exitCode: compileResult.exitCode,
-                    compileError: true
-                };
-            }
+        const { compileTime, compileCached, failed } = await buildProject(workDir, language, config, project, sources, signal, log);
+        if (failed) {
+            return failed;
         }
 
-        // Execute in nsjail
-        result = await runInSandbox(workDir, language, config);
+        if (tests) {
+            const testResult = await runTestCases(workDir, language, config, tests, compare, signal, preparedConfig);
+            testResult.stats = { compileTime, compileCached, ...sumStats(testResult.tests.map(t => t.stats)) };
+
+            log.info('Test run finished', {
+                phase: 'run',
+                durationMs: testResult.stats.runTime,
+                testCases: testResult.tests.length,
+                passed: testResult.passed,
+                cancelled: Boolean(testResult.cancelled)
+            });
+            return withDiagnostics(testResult, config, project);
+        }
 
-        return result;
+        // Execute in nsjail
+        const result = await runInSandbox(workDir, language, config, { stdin, onOutput, signal, preparedConfig });
+        result.stats = { compileTime, compileCached, ...result.stats };
+
+        log.info('Run finished', {
+            phase: 'run',
+            durationMs: result.stats.runTime,
+            exitCode: result.exitCode,
+            termination: result.termination,
+            signal: result.signal,
+            cpuUserMs: result.stats.cpuUser,
+            cpuSystemMs: result.stats.cpuSystem,
+            peakMemory: result.stats.peakMemory
+        });
+        return withDiagnostics(result, config, project);
 
     } finally {
         // Cleanup workspace
-        await cleanup(workDir);
+        if (slot) {
+            // Scrubbed after the result is returned; the slot is idle again once done
+            workspacePool.release(slot, config, log);
+        } else {
+            const cleanupStart = Date.now();
+            await cleanup(workDir, log);
+            log.debug('Workspace removed', { phase: 'cleanup', durationMs: Date.now() - cleanupStart });
+        }
+    }
+}
+
+/**
+ * Run a program, or the language's REPL, attached to a pseudo-terminal
+ *
+ * The project is written and compiled as for executeCode. When that fails the
+ * job result (compile error or cancellation) is returned; otherwise a terminal:
+ *   write(data)         - keystrokes for the program
+ *   resize(cols, rows)  - new terminal size
+ *   kill(reason)        - end the run (a TERMINATION value, e.g. 'idle')
+ *   onData(listener)    - output as it arrives
+ *   exited              - resolves with { exitCode, termination, signal, duration }
+ *                         once the program ended and the workspace is removed
+ * options: files, compileOptions, repl, cols, rows, timeLimit (ms, wall clock),
+ * signal (aborts the compile), log
+ * Throws InvalidJobError for bad input.
+ */
+async function startTerminal(jobId, language, code, options = {}) {
+    const { repl = false, cols = 80, rows = 24, signal = null } = options;
+    const log = options.log || logger.child({ jobId, language });
+    const config = jobConfig(language, options.compileOptions);
+    if (repl && !config.replArgs) {
+        throw new InvalidJobError(`No REPL available for ${config.name}`);
+    }
+
+    const workDir = path.join(SANDBOX_JOBS, jobId);
+    const logFile = `${workDir}.nsjail.log`;
+    const removeWorkspace = async () => {
+        await cleanup(workDir, log);
+        await fs.rm(logFile, { force: true });
+    };
+
+    let term;
+    let monitor = null;
+    try {
+        await removeWorkspace();
+        await fs.mkdir(workDir, { recursive: true });
+
+        const project = options.files || { [config.sourceFile]: code };
+        const sources = await writeSourceFiles(workDir, config, project);
+
+        const { failed } = await buildProject(workDir, language, config, project, sources, signal, log);
+        if (failed) {
+            await removeWorkspace();
+            return failed;
+        }
+
+        const timeLimit = options.timeLimit || config.timeout;
+        const configFile = path.join(workDir, 'nsjail.cfg');
+        await fs.writeFile(configFile, terminalProfile(await prepareNsjailConfig(workDir, config), timeLimit), 'utf8');
+
+        monitor = await createUsageMonitor({ memoryLimit: config.addressSanitizer ? config.memoryLimit : 0 });
+        if (config.addressSanitizer && !monitor.capsMemory) {
+            throw new Error('Failed to create a memory-limited cgroup for an AddressSanitizer run');
+        }
+
+        const command = repl ? [config.binary, ...config.replArgs] : runCommand(config);
+        const spawned = monitor.wrap(NSJAIL_BIN, ['--config', configFile, '--log', logFile, '--', ...command]);
+        // Native module, only loaded by the terminal service
+        term = require('node-pty').spawn(spawned.command, spawned.args, {
+            name: TERM_NAME,
+            cols,
+            rows,
+            cwd: workDir,
+            env: { ...process.env, TERM: TERM_NAME }
+        });
+        monitor.start(term.pid);
+        log.info('Terminal started', { phase: 'run', repl, timeLimitMs: timeLimit });
+    } catch (err) {
+        if (monitor) {
+            await monitor.stop();
+        }
+        await removeWorkspace();
+        throw err;
     }
+
+    const runStart = Date.now();
+    const listeners = [];
+    let outputSize = 0;
+    // Set when the terminal is ended from outside: 'idle', 'timeout', 'output_limit' or 'cancelled'
+    let killReason = null;
+
+    const kill = (reason) => {
+        killReason = killReason || reason;
+        term.kill('SIGKILL');
+    };
+
+    // nsjail enforces time_limit itself; this is the backstop if it hangs
+    const timeoutTimer = setTimeout(() => kill(TERMINATION.TIMEOUT), (options.timeLimit || config.timeout) + 2000);
+
+    term.onData((data) => {
+        outputSize += Buffer.byteLength(data);
+        if (outputSize > MAX_TERMINAL_OUTPUT) {
+            kill(TERMINATION.OUTPUT_LIMIT);
+            return;
+        }
+        listeners.forEach(listener => listener(data));
+    });
+
+    const exited = new Promise((resolve) => {
+        term.onExit(async ({ exitCode, signal: signalNumber }) => {
+            clearTimeout(timeoutTimer);
+
+            const { oomKilled = false, joined = true, peakMemory } = await monitor.stop();
+            if (!joined) {
+                log.error('Failed to move the terminal into its memory-limited cgroup', { phase: 'run' });
+            }
+            const nsjailLog = await fs.readFile(logFile, 'utf8').catch(() => '');
+            const { termination, signal: termSignal } = classifyTermination({
+                killReason,
+                killSignal: signalNumber ? SIGNAL_NAMES[signalNumber] : null,
+                exitCode,
+                nsjailLog,
+                oomKilled,
+                peakMemory,
+                memoryLimit: config.memoryLimit
+            });
+            await removeWorkspace();
+
+            const result = {
+                exitCode: killReason ? -1 : exitCode,
+                termination,
+                signal: termSignal,
+                duration: Date.now() - runStart
+            };
+            log.info('Terminal finished', {
+                phase: 'run',
+                durationMs: result.duration,
+                exitCode: result.exitCode,
+                termination: result.termination,
+                signal: result.signal
+            });
+            resolve(result);
+        });
+    });
+
+    return {
+        write: (data) => term.write(data),
+        resize: (newCols, newRows) => term.resize(newCols, newRows),
+        kill,
+        onData: (listener) => listeners.push(listener),
+        exited
+    };
+}
+
+// Signal names by number, for exits reported by node-pty
+const SIGNAL_NAMES = Object.fromEntries(Object.entries(os.constants.signals).map(([name, number]) => [number, name]));
+
+/**
+ * nsjail config for an interactive run
+ * The wall-clock limit becomes the terminal's time limit while CPU time keeps
+ * the language limit. The program stays in nsjail's session so Ctrl-C reaches
+ * it; the terminal is a private PTY, so this exposes no other terminal.
+ */
+function terminalProfile(nsjailConfig, timeLimit) {
+    return nsjailConfig.replace(/^time_limit:.*$/m, `time_limit: ${Math.ceil(timeLimit / 1000)}`)
+        + `\nskip_setsid: true\nenvar: "TERM=${TERM_NAME}"\n`;
+}
+
+/**
+ * Executor config for a job: the language with the job's compile options applied
+ */
+function jobConfig(language, compileOptions) {
+    const definition = getLanguage(language);
+    if (!definition) {
+        throw new InvalidJobError(`Unsupported language: ${language}`);
+    }
+
+    const optionsError = validateCompileOptions(definition, compileOptions);
+    if (optionsError) {
+        throw new InvalidJobError(optionsError);
+    }
+
+    const config = withCompileOptions(definition, resolveCompileOptions(definition, compileOptions));
+    if (config.addressSanitizer && !canCapMemory()) {
+        throw new InvalidJobError('AddressSanitizer is not available on this worker: it needs cgroup memory limits (CGROUP_ROOT)');
+    }
+
+    return config;
+}
+
+/**
+ * Compile the project written to workDir, or restore its build from the artifact cache
+ * Returns { compileTime, compileCached, failed }; failed is the job result to
+ * return instead of running the program (compile error or cancelled), or null.
+ */
+async function buildProject(workDir, language, config, project, sources, signal, log) {
+    if (!config.compile) {
+        return { compileTime: 0, compileCached: undefined, failed: null };
+    }
+
+    const compileStart = Date.now();
+    const artifactKey = await getArtifactKey(config, project);
+    const compileCached = Boolean(artifactKey) && await restoreArtifacts(artifactKey, workDir, log);
+
+    if (compileCached) {
+        const compileTime = Date.now() - compileStart;
+        log.info('Compile skipped, build restored from cache', {
+            phase: 'compile',
+            durationMs: compileTime,
+            cached: true
+        });
+        return { compileTime, compileCached, failed: null };
+    }
+
+    const compileResult = await compileCode(workDir, language, config, sources, signal);
+    const compileTime = Date.now() - compileStart;
+
+    log.info('Compile finished', {
+        phase: 'compile',
+        durationMs: compileTime,
+        exitCode: compileResult.exitCode,
+        cancelled: Boolean(compileResult.cancelled),
+        sourceFiles: sources.length
+    });
+
+    if (compileResult.cancelled || signal?.aborted) {
+        return { compileTime, compileCached, failed: cancelledResult() };
+    }
+
+    if (compileResult.exitCode !== 0) {
+        const failed = withDiagnostics({
+            stdout: '',
+            stderr: compileResult.stderr,
+            exitCode: compileResult.exitCode,
+            compileError: true,
+            stats: { compileTime, compileCached }
+        }, config, project);
+        return { compileTime, compileCached, failed };
+    }
+
+    if (artifactKey) {
+        await storeArtifacts(artifactKey, workDir, sources, log);
+    }
+    return { compileTime, compileCached, failed: null };
+}
+
+/**
+ * Write project files into the workspace, rejecting paths that could escape it
+ * Returns the relative paths written, entry file first.
+ */
+async function writeSourceFiles(workDir, config, files) {
+    const paths = Object.keys(files);
+
+    if (paths.length === 0 || paths.length > MAX_PROJECT_FILES) {
+        throw new InvalidJobError(`Projects must contain between 1 and ${MAX_PROJECT_FILES} files`);
+    }
+
+    if (!paths.includes(config.sourceFile)) {
+        throw new InvalidJobError(`Missing entry file: ${config.sourceFile}`);
+    }
+
+    const root = path.resolve(workDir);
+
+    for (const relPath of paths) {
+        const target = path.resolve(root, relPath);
+
+        if (!FILE_PATH_PATTERN.test(relPath)
+            || RESERVED_FILES.includes(relPath)
+            || !target.startsWith(root + path.sep)) {
+            throw new InvalidJobError(`Invalid file path: ${relPath}`);
+        }
+
+        if (typeof files[relPath] !== 'string') {
+            throw new InvalidJobError(`Invalid file content: ${relPath}`);
+        }
+
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, files[relPath], { encoding: 'utf8', flag: 'wx' });
+    }
+
+    return [config.sourceFile, ...paths.filter(p => p !== config.sourceFile).sort()];
+}
+
+/**
+ * Source files handed to the compiler: every file with a compilable
+ * extension, or only the entry file for languages that resolve modules
+ */
+function compileSources(config, sources) {
+    if (!config.compileExtensions) {
+        return [config.sourceFile];
+    }
+
+    return sources.filter(file => {
+        const ext = path.extname(file).slice(1);
+        // Go test files are not part of the program
+        return config.compileExtensions.includes(ext) && !file.endsWith('_test.go');
+    });
+}
+
+/**
+ * Run the compiled program once per test case and grade each run
+ * preparedConfig (a pooled workspace's nsjail config) is only used for
+ * cases that keep the language timeout.
+ */
+async function runTestCases(workDir, language, config, tests, compare, signal = null, preparedConfig = null) {
+    const results = [];
+
+    for (const test of tests) {
+        if (signal?.aborted) {
+            return { ...cancelledResult(), tests: results };
+        }
+
+        // Per-case timeout (seconds) may only tighten the language limit
+        const timeout = test.timeout
+            ? Math.min(test.timeout * 1000, config.timeout)
+            : config.timeout;
+
+        const startTime = Date.now();
+        const run = await runInSandbox(workDir, language, { ...config, timeout }, {
+            stdin: test.stdin || '',
+            signal,
+            preparedConfig: timeout === config.timeout ? preparedConfig : null
+        });
+
+        if (run.cancelled) {
+            return { ...cancelledResult(), tests: results };
+        }
+
+        results.push({
+            verdict: gradeCase(run, test.expectedOutput, compare),
+            stdout: run.stdout,
+            stderr: run.stderr,
+            exitCode: run.exitCode,
+            termination: run.termination,
+            signal: run.signal,
+            expectedOutput: test.expectedOutput,
+            time: Date.now() - startTime,
+            stats: run.stats
+        });
+    }
+
+    const passed = results.filter(r => r.verdict === VERDICT.ACCEPTED).length;
+    // Surface the first failing case (or the first case) as the main output
+    const shown = results.find(r => r.verdict !== VERDICT.ACCEPTED) || results[0];
+
+    return {
+        stdout: shown ? shown.stdout : '',
+        stderr: shown ? shown.stderr : '',
+        exitCode: shown ? shown.exitCode : 0,
+        tests: results,
+        passed,
+        total: results.length
+    };
+}
+
+/**
+ * Attach errors and warnings found in the result's stderr (compiler output or
+ * a runtime traceback) as result.diagnostics, when there are any
+ */
+function withDiagnostics(result, config, project) {
+    const diagnostics = parseDiagnostics(config.diagnostics, result.stderr, project);
+    if (diagnostics.length > 0) {
+        result.diagnostics = diagnostics;
+    }
+    return result;
+}
+
+/**
+ * Combine per-run stats: times are summed, peak memory is the maximum
+ */
+function sumStats(runs) {
+    return runs.filter(Boolean).reduce((total, run) => ({
+        runTime: total.runTime + run.runTime,
+        cpuUser: total.cpuUser + run.cpuUser,
+        cpuSystem: total.cpuSystem + run.cpuSystem,
+        peakMemory: Math.max(total.peakMemory, run.peakMemory)
+    }), { runTime: 0, cpuUser: 0, cpuSystem: 0, peakMemory: 0 });
+}
+
+/**
+ * Result returned when a job is cancelled before it produced one
+ */
+function cancelledResult() {
+    return {
+        stdout: '',
+        stderr: TERMINATION_MESSAGES.cancelled,
+        exitCode: -1,
+        termination: TERMINATION.CANCELLED,
+        cancelled: true
+    };
+}
+
+/**
+ * Kill proc with SIGKILL when signal aborts; returns a detach function
+ */
+function killOnAbort(proc, signal, onAbort) {
+    if (!signal) {
+        return () => {};
+    }
+
+    const abort = () => {
+        onAbort();
+        proc.kill('SIGKILL');
+    };
+
+    if (signal.aborted) {
+        abort();
+        return () => {};
+    }
+
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
 }
 
 /**
  * Compile source code
  */
-async function compileCode(workDir, language, config) {
-    return new Promise((resolve) => {
-        const args = [...config.compileArgs, config.sourceFile];
+async function compileCode(workDir, language, config, sources, signal = null) {
+    return new Promise((resolve, reject) => {
+        const args = [...config.compileArgs, ...compileSources(config, sources)];
 
         const spawnOpts = {
             cwd: workDir,
-            timeout: 30000,
+            timeout: config.compileTimeout,
             stdio: ['pipe', 'pipe', 'pipe']
         };
         if (config.env) {
@@ -139,6 +558,8 @@ async function compileCode(workDir, language, config) {
 
         let stdout = '';
         let stderr = '';
+        let cancelled = false;
+        const detachAbort = killOnAbort(proc, signal, () => { cancelled = true; });
 
         proc.stdout.on('data', (data) => {
             stdout += data.toString();
@@ -148,150 +569,323 @@ async function compileCode(workDir, language, config) {
             stderr += data.toString();
         });
 
-        proc.on('close', (code) => {
+        proc.on('close', (code, killSignal) => {
+            detachAbort();
             resolve({
-                stdout: stdout.slice(0, 65536),
-                stderr: stderr.slice(0, 65536),
-                exitCode: code || 0
+                stdout: stdout.slice(0, MAX_OUTPUT_SIZE),
+                stderr: stderr.slice(0, MAX_OUTPUT_SIZE),
+                // A compiler killed by a signal never produced a binary
+                exitCode: killSignal ? -1 : (code || 0),
+                cancelled
             });
         });
 
         proc.on('error', (err) => {
-            resolve({
-                stdout: '',
-                stderr: err.message,
-                exitCode: -1
-            });
+            reject(new Error(`Failed to start compiler: ${err.message}`));
         });
 
         // Timeout handling
         setTimeout(() => {
             proc.kill('SIGKILL');
-        }, 30000);
+        }, config.compileTimeout);
     });
 }
 
 /**
- * Run code in nsjail sandbox
+ * Run code in nsjail sandbox, feeding io.stdin to the process
+ * io.preparedConfig is the path of an nsjail config already written for
+ * workDir and config; without it one is written into the workspace.
  */
-async function runInSandbox(workDir, language, config) {
-    return new Promise(async (resolve) => {
-        // Read and prepare nsjail config
-        const configPath = path.join(NSJAIL_CONFIG_DIR, `${language}.cfg`);
-        let nsjailConfig;
-
-        try {
-            nsjailConfig = await fs.readFile(configPath, 'utf8');
-            // Replace workspace placeholder
-            nsjailConfig = nsjailConfig.replace(/\{\{WORKSPACE\}\}/g, workDir);
-        } catch (err) {
-            resolve({
-                stdout: '',
-                stderr: `Failed to load nsjail config: ${err.message}`,
-                exitCode: -1
-            });
-            return;
-        }
+async function runInSandbox(workDir, language, config, io = {}) {
+    const { stdin = '', onOutput = null, signal = null, preparedConfig = null } = io;
+
+    return new Promise(async (resolve, reject) => {
+        let configFile = preparedConfig;
+
+        if (!configFile) {
+            let nsjailConfig;
+            try {
+                nsjailConfig = await prepareNsjailConfig(workDir, config);
+            } catch (err) {
+                reject(new Error(`Failed to load nsjail config: ${err.message}`));
+                return;
+            }
 
-        // Write temporary config
-        const tmpConfigPath = path.join(workDir, 'nsjail.cfg');
-        await fs.writeFile(tmpConfigPath, nsjailConfig, 'utf8');
+            // Write temporary config
+            configFile = path.join(workDir, 'nsjail.cfg');
+            try {
+                await fs.writeFile(configFile, nsjailConfig, 'utf8');
+            } catch (err) {
+                reject(err);
+                return;
+            }
+        }
 
         // Build nsjail command args
         const args = [
-            '--config', tmpConfigPath,
-            '--'
+            '--config', configFile,
+            '--',
+            ...runCommand(config)
         ];
 
-        // Add execution command based on language
-        if (config.compile) {
-            args.push(config.binary);
-            if (config.runArgs) {
-                args.push(...config.runArgs);
-            }
-        } else {
-            args.push(config.binary);
-            if (config.runArgs) {
-                args.push(...config.runArgs);
-            }
-            args.push(config.sourceFile);
+        const monitor = await createUsageMonitor({ memoryLimit: config.addressSanitizer ? config.memoryLimit : 0 });
+        if (config.addressSanitizer && !monitor.capsMemory) {
+            await monitor.stop();
+            reject(new Error('Failed to create a memory-limited cgroup for an AddressSanitizer run'));
+            return;
         }
+        const command = monitor.wrap(NSJAIL_BIN, args);
 
-        const proc = spawn(NSJAIL_BIN, args, {
+        const runStart = Date.now();
+        const proc = spawn(command.command, command.args, {
             cwd: workDir,
-            timeout: config.timeout,
             stdio: ['pipe', 'pipe', 'pipe']
         });
+        monitor.start(proc.pid);
 
         let stdout = '';
         let stderr = '';
+        let pendingStderr = '';
+        // Set when the worker itself kills nsjail: 'timeout', 'output_limit' or 'cancelled'
+        let killReason = null;
+
+        const killFor = (reason) => {
+            killReason = killReason || reason;
+            proc.kill('SIGKILL');
+        };
+        const detachAbort = killOnAbort(proc, signal, () => { killReason = killReason || TERMINATION.CANCELLED; });
+
+        // The program may exit without reading all of its input
+        proc.stdin.on('error', () => {});
+        proc.stdin.end(stdin);
 
         proc.stdout.on('data', (data) => {
-            stdout += data.toString();
+            const chunk = data.toString();
+            if (onOutput && stdout.length < MAX_OUTPUT_SIZE) {
+                onOutput('stdout', chunk.slice(0, MAX_OUTPUT_SIZE - stdout.length));
+            }
+            stdout += chunk;
             // Limit output size
-            if (stdout.length > 65536) {
-                proc.kill('SIGKILL');
+            if (stdout.length > MAX_OUTPUT_SIZE) {
+                killFor(TERMINATION.OUTPUT_LIMIT);
             }
         });
 
         proc.stderr.on('data', (data) => {
-            stderr += data.toString();
-            if (stderr.length > 65536) {
-                proc.kill('SIGKILL');
+            const chunk = data.toString();
+            if (onOutput && stderr.length < MAX_OUTPUT_SIZE) {
+                // Only forward complete lines so nsjail log lines can be dropped
+                const lines = (pendingStderr + chunk).split('\n');
+                pendingStderr = lines.pop();
+                const visible = lines.filter(line => !isNsjailLogLine(line));
+                if (visible.length > 0) {
+                    onOutput('stderr', visible.join('\n') + '\n');
+                }
+            }
+            stderr += chunk;
+            if (stderr.length > MAX_OUTPUT_SIZE) {
+                killFor(TERMINATION.OUTPUT_LIMIT);
             }
         });
 
-        proc.on('close', (code, signal) => {
-            let exitCode = code;
-            let finalStderr = stderr;
+        // nsjail enforces time_limit itself; this is the backstop if it hangs
+        const timeoutTimer = setTimeout(() => {
+            killFor(TERMINATION.TIMEOUT);
+        }, config.timeout + 2000);
+
+        proc.on('close', async (code, killSignal) => {
+            clearTimeout(timeoutTimer);
+            detachAbort();
+
+            const runTime = Date.now() - runStart;
+            const { oomKilled = false, joined = true, ...usage } = await monitor.stop();
+            if (!joined && !killReason) {
+                // Memory-capped runs do not start outside their cgroup
+                reject(new Error('Failed to move the run into its memory-limited cgroup'));
+                return;
+            }
 
-            if (signal === 'SIGKILL') {
-                if (stdout.length > 65536 || stderr.length > 65536) {
-                    finalStderr = 'Output exceeded maximum size (64KB)';
-                } else {
-                    finalStderr = 'Execution timeout exceeded';
-                }
-                exitCode = -1;
+            if (onOutput && pendingStderr && !isNsjailLogLine(pendingStderr)) {
+                onOutput('stderr', pendingStderr);
             }
 
-            // Filter out nsjail log messages from stderr
-            finalStderr = finalStderr
-                .split('\n')
-                .filter(line => !line.startsWith('[') || !line.includes('nsjail'))
-                .join('\n')
-                .trim();
+            // Split nsjail's own log lines from the program's stderr
+            const lines = stderr.split('\n');
+            const nsjailLog = lines.filter(line => isNsjailLogLine(line)).join('\n');
+            let finalStderr = lines.filter(line => !isNsjailLogLine(line)).join('\n').trim();
+
+            const { termination, signal: termSignal } = classifyTermination({
+                killReason,
+                killSignal,
+                exitCode: code,
+                nsjailLog,
+                programStderr: finalStderr,
+                oomKilled,
+                peakMemory: usage.peakMemory,
+                memoryLimit: config.memoryLimit
+            });
+
+            // nsjail reports a signaled program as 128 + signal number
+            const exitCode = killReason || code === null ? -1 : code;
+
+            if (TERMINATION_MESSAGES[termination]) {
+                finalStderr = (finalStderr ? finalStderr + '\n' : '') + TERMINATION_MESSAGES[termination];
+            }
 
             resolve({
-                stdout: stdout.slice(0, 65536),
-                stderr: finalStderr.slice(0, 65536),
-                exitCode: exitCode || 0
+                stdout: stdout.slice(0, MAX_OUTPUT_SIZE),
+                stderr: finalStderr.slice(-MAX_OUTPUT_SIZE),
+                exitCode,
+                termination,
+                signal: termSignal,
+                cancelled: termination === TERMINATION.CANCELLED,
+                stats: { runTime, ...usage }
             });
         });
 
         proc.on('error', (err) => {
-            resolve({
-                stdout: '',
-                stderr: err.message,
-                exitCode: -1
-            });
+            clearTimeout(timeoutTimer);
+            monitor.stop();
+            reject(new Error(`Failed to start nsjail: ${err.message}`));
         });
-
-        // Timeout safety net
-        setTimeout(() => {
-            proc.kill('SIGKILL');
-        }, config.timeout + 5000);
     });
 }
 
+/**
+ * Command run inside the sandbox: the compiled binary, or the interpreter
+ * with the entry file appended
+ */
+function runCommand(config) {
+    const command = [config.binary, ...(config.runArgs || [])];
+    if (!config.compile) {
+        command.push(config.sourceFile);
+    }
+    return command;
+}
+
+/**
+ * nsjail config for a workspace: the language's profile with the workspace
+ * path filled in and its limits applied
+ */
+async function prepareNsjailConfig(workDir, config) {
+    const nsjailConfig = await fs.readFile(path.join(NSJAIL_CONFIG_DIR, config.nsjailProfile), 'utf8');
+    // Replace workspace placeholder
+    return applyLimits(nsjailConfig.replace(/\{\{WORKSPACE\}\}/g, workDir), config);
+}
+
+/**
+ * Override profile limits with the language definition's timeout and memory
+ * nsjail reads rlimit_as in MiB; memoryLimit is in bytes.
+ *
+ * AddressSanitizer reserves terabytes of shadow address space at startup, so
+ * its builds run without rlimit_as; the run's cgroup caps their memory instead
+ * (memory.max, see runInSandbox). Leak detection is off: it needs ptrace,
+ * which the sandbox's namespaces refuse.
+ */
+function applyLimits(nsjailConfig, config) {
+    const seconds = Math.ceil(config.timeout / 1000);
+    const mebibytes = Math.ceil(config.memoryLimit / 1048576);
+
+    const limited = nsjailConfig
+        .replace(/^time_limit:.*$/m, `time_limit: ${seconds}`)
+        .replace(/^rlimit_cpu:.*$/m, `rlimit_cpu: ${seconds}`);
+
+    if (config.addressSanitizer) {
+        return limited.replace(/^rlimit_as:.*$/m, 'rlimit_as_type: INF')
+            + `\nenvar: "${ASAN_OPTIONS}"\n`;
+    }
+
+    return limited.replace(/^rlimit_as:.*$/m, `rlimit_as: ${mebibytes}`);
+}
+
 /**
  * Clean up workspace directory
  */
-async function cleanup(workDir) {
+async function cleanup(workDir, log = logger) {
     try {
         await fs.rm(workDir, { recursive: true, force: true });
     } catch (err) {
-        console.error(`Cleanup failed for ${workDir}:`, err.message);
+        log.error('Workspace cleanup failed', { phase: 'cleanup', workDir, error: err });
     }
 }
 
-module.exports = { executeCode };
+/**
+ * Check that nsjail and its profiles are in place
+ * Returns a list of problems (empty when the sandbox is usable)
+ */
+async function checkSandbox() {
+    const problems = [];
+
+    try {
+        await fs.access(NSJAIL_BIN, fsConstants.X_OK);
+    } catch (err) {
+        problems.push(`nsjail binary not executable: ${NSJAIL_BIN}`);
+    }
+
+    try {
+        if (!(await fs.stat(NSJAIL_CONFIG_DIR)).isDirectory()) {
+            problems.push(`nsjail config dir is not a directory: ${NSJAIL_CONFIG_DIR}`);
+        }
+    } catch (err) {
+        problems.push(`nsjail config dir missing: ${NSJAIL_CONFIG_DIR}`);
+    }
+
+    problems.push(...await checkCgroupAccounting());
+
+    return problems;
+}
+
+/**
+ * Fill the workspace pool with size workspaces for each language
+ * Pool directories left behind by worker processes that are gone are removed.
+ */
+async function warmSandboxPool(languageIds, size = SANDBOX_POOL_SIZE) {
+    if (size <= 0) {
+        return;
+    }
+
+    const names = await fs.readdir(SANDBOX_JOBS).catch(() => []);
+    for (const name of names.filter(n => n.startsWith(POOL_DIR_PREFIX))) {
+        const pid = parseInt(name.slice(POOL_DIR_PREFIX.length), 10);
+        if (pid !== process.pid && !isProcessAlive(pid)) {
+            await fs.rm(path.join(SANDBOX_JOBS, name), { recursive: true, force: true });
+        }
+    }
+
+    await workspacePool.warm(languageIds.map(getLanguage), size);
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        // EPERM: the process exists but belongs to another user
+        return err.code === 'EPERM';
+    }
+}
+
+/**
+ * Remove the pooled workspaces (on shutdown)
+ */
+function drainSandboxPool() {
+    return workspacePool.drain();
+}
+
+/**
+ * Idle pooled workspaces per language: [[language, count], ...]
+ */
+function sandboxPoolIdle() {
+    return workspacePool.idleCounts();
+}
+
+module.exports = {
+    executeCode,
+    startTerminal,
+    checkSandbox,
+    warmSandboxPool,
+    drainSandboxPool,
+    sandboxPoolIdle,
+    prepareNsjailConfig,
+    InvalidJobError
+};
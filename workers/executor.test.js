@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.NSJAIL_CONFIG_DIR = path.join(__dirname, '..', 'config', 'nsjail');
+delete process.env.CGROUP_ROOT;
+const { prepareNsjailConfig, executeCode, InvalidJobError } = require('./executor');
+const { loadLanguages, getLanguage, resolveCompileOptions, withCompileOptions } = require('./languages');
+
+loadLanguages(path.join(__dirname, '..', 'config', 'languages'));
+
+const profile = (nsjailConfig, field) => nsjailConfig.match(new RegExp(`^${field}: (.*)$`, 'm'))[1];
+
+test('limits from the language definition are written in the units nsjail reads', async () => {
+    const nsjailConfig = await prepareNsjailConfig('/sandbox/jobs/job_1', {
+        nsjailProfile: 'cpp.cfg',
+        timeout: 2500,
+        memoryLimit: 268435456
+    });
+
+    assert.strictEqual(profile(nsjailConfig, 'time_limit'), '3');
+    assert.strictEqual(profile(nsjailConfig, 'rlimit_cpu'), '3');
+    assert.strictEqual(profile(nsjailConfig, 'rlimit_as'), '256'); // MiB
+});
+
+test('a memory limit that is not a whole number of MiB is rounded up', async () => {
+    const nsjailConfig = await prepareNsjailConfig('/sandbox/jobs/job_1', {
+        nsjailProfile: 'python.cfg',
+        timeout: 1000,
+        memoryLimit: 100000000
+    });
+
+    assert.strictEqual(profile(nsjailConfig, 'rlimit_as'), '96');
+});
+
+test('the workspace is mounted at /workspace', async () => {
+    const nsjailConfig = await prepareNsjailConfig('/sandbox/jobs/job_1', {
+        nsjailProfile: 'cpp.cfg',
+        timeout: 1000,
+        memoryLimit: 268435456
+    });
+
+    assert.match(nsjailConfig, /src: "\/sandbox\/jobs\/job_1"\s+dst: "\/workspace"/);
+    assert.doesNotMatch(nsjailConfig, /\{\{WORKSPACE\}\}/);
+});
+
+test('every shipped profile sets its file size and memory limits in MiB', async () => {
+    for (const name of ['c', 'cpp', 'go', 'java', 'php', 'python', 'rust']) {
+        const nsjailConfig = await prepareNsjailConfig('/w', { nsjailProfile: `${name}.cfg`, timeout: 1000, memoryLimit: 1073741824 });
+        assert.strictEqual(profile(nsjailConfig, 'rlimit_as'), '1024', name);
+        assert.ok(Number(profile(nsjailConfig, 'rlimit_fsize')) <= 1024, `${name}: rlimit_fsize is in MiB`);
+    }
+});
+
+test('AddressSanitizer builds run without rlimit_as and with leak detection off', async () => {
+    const cpp = getLanguage('cpp');
+    const config = withCompileOptions(cpp, resolveCompileOptions(cpp, { sanitizers: 'address' }));
+    assert.strictEqual(config.addressSanitizer, true);
+
+    const nsjailConfig = await prepareNsjailConfig('/w', config);
+    assert.doesNotMatch(nsjailConfig, /^rlimit_as:/m);
+    assert.strictEqual(profile(nsjailConfig, 'rlimit_as_type'), 'INF');
+    assert.strictEqual(profile(nsjailConfig, 'envar'), '"ASAN_OPTIONS=detect_leaks=0"');
+});
+
+test('other builds keep rlimit_as', async () => {
+    const cpp = getLanguage('cpp');
+    const config = withCompileOptions(cpp, resolveCompileOptions(cpp, { sanitizers: 'undefined' }));
+    assert.strictEqual(config.addressSanitizer, false);
+
+    const nsjailConfig = await prepareNsjailConfig('/w', config);
+    assert.strictEqual(profile(nsjailConfig, 'rlimit_as'), '512');
+    assert.doesNotMatch(nsjailConfig, /ASAN_OPTIONS/);
+});
+
+test('AddressSanitizer jobs are refused by workers without cgroup memory limits', async () => {
+    await assert.rejects(
+        executeCode('job_1', 'cpp', 'int main() {}', { compileOptions: { sanitizers: 'address' } }),
+        (err) => err instanceof InvalidJobError && /CGROUP_ROOT/.test(err.message)
+    );
+});
@@ -0,0 +1,83 @@
+const { TERMINATION } = require('./termination');
+
+// Test case verdicts
+const VERDICT = {
+    ACCEPTED: 'accepted',
+    WRONG_ANSWER: 'wrong_answer',
+    TIME_LIMIT: 'time_limit',
+    RUNTIME_ERROR: 'runtime_error'
+};
+
+// Default output comparison options
+const DEFAULT_COMPARE = {
+    ignoreWhitespace: false,
+    ignoreTrailingNewline: true
+};
+
+/**
+ * Normalize program output according to comparison options
+ */
+function normalizeOutput(output, compare) {
+    let text = output.replace(/\r\n/g, '\n');
+
+    if (compare.ignoreWhitespace) {
+        // Collapse runs of spaces/tabs and trim every line
+        text = text
+            .split('\n')
+            .map(line => line.replace(/[ \t]+/g, ' ').trim())
+            .join('\n');
+    }
+
+    if (compare.ignoreTrailingNewline || compare.ignoreWhitespace) {
+        text = text.replace(/\n+$/, '');
+    }
+
+    return text;
+}
+
+/**
+ * Grade a single sandbox run against the expected output
+ */
+function gradeCase(runResult, expectedOutput, compare = {}) {
+    const options = { ...DEFAULT_COMPARE, ...compare };
+
+    if (runResult.termination === TERMINATION.TIMEOUT) {
+        return VERDICT.TIME_LIMIT;
+    }
+
+    if (runResult.exitCode !== 0) {
+        return VERDICT.RUNTIME_ERROR;
+    }
+
+    const actual = normalizeOutput(runResult.stdout, options);
+    const expected = normalizeOutput(expectedOutput, options);
+
+    return actual === expected ? VERDICT.ACCEPTED : VERDICT.WRONG_ANSWER;
+}
+
+/**
+ * Result of a run against hidden tests, reduced to what the candidate may see
+ * Each case keeps only its verdict and time. Outputs, expected outputs, exit
+ * codes, signals and runtime diagnostics are dropped: a program can print its
+ * input, or encode it in how it exits. Compile errors do not depend on the
+ * tests and are kept as they are.
+ */
+function hideTestDetails(result) {
+    if (result.compileError || !result.tests) {
+        return result;
+    }
+
+    return {
+        ...result,
+        stdout: '',
+        stderr: '',
+        diagnostics: [],
+        tests: result.tests.map(test => ({
+            verdict: test.verdict,
+            time: test.time,
+            hidden: true
+        }))
+    };
+}
+
+module.exports = { VERDICT, gradeCase, normalizeOutput, hideTestDetails };
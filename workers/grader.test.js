@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { VERDICT, gradeCase, hideTestDetails } = require('./grader');
+const { TERMINATION } = require('./termination');
+
+const run = (fields) => ({ exitCode: 0, termination: TERMINATION.EXITED, stdout: '', ...fields });
+
+test('matching output is accepted, ignoring a trailing newline by default', () => {
+    assert.strictEqual(gradeCase(run({ stdout: '42\n' }), '42'), VERDICT.ACCEPTED);
+    assert.strictEqual(gradeCase(run({ stdout: '42\r\n' }), '42\n'), VERDICT.ACCEPTED);
+    assert.strictEqual(gradeCase(run({ stdout: '42\n' }), '42', { ignoreTrailingNewline: false }), VERDICT.WRONG_ANSWER);
+});
+
+test('ignoreWhitespace compares lines with collapsed spaces', () => {
+    assert.strictEqual(gradeCase(run({ stdout: ' 1   2 \n3\t4\n\n' }), '1 2\n3 4'), VERDICT.WRONG_ANSWER);
+    assert.strictEqual(gradeCase(run({ stdout: ' 1   2 \n3\t4\n\n' }), '1 2\n3 4', { ignoreWhitespace: true }), VERDICT.ACCEPTED);
+});
+
+test('timeouts and failed runs are graded before the output', () => {
+    assert.strictEqual(gradeCase(run({ stdout: '42', termination: TERMINATION.TIMEOUT, exitCode: -1 }), '42'), VERDICT.TIME_LIMIT);
+    assert.strictEqual(gradeCase(run({ stdout: '42', exitCode: 1 }), '42'), VERDICT.RUNTIME_ERROR);
+});
+
+test('hidden tests keep only their verdict and time', () => {
+    const result = hideTestDetails({
+        stdout: '-7 7\n',
+        stderr: 'Traceback ...',
+        diagnostics: [{ line: 1, message: 'ValueError' }],
+        passed: false,
+        tests: [{
+            verdict: VERDICT.RUNTIME_ERROR,
+            stdin: '-7 7\n',
+            expectedOutput: '0\n',
+            stdout: '-7 7\n',
+            stderr: 'ValueError',
+            exitCode: 7,
+            termination: TERMINATION.EXITED,
+            signal: null,
+            time: 12,
+            stats: { cpuUser: 10, cpuSystem: 1, peakMemory: 7340032 }
+        }]
+    });
+
+    assert.deepStrictEqual(result.tests, [{ verdict: VERDICT.RUNTIME_ERROR, time: 12, hidden: true }]);
+    assert.strictEqual(result.stdout, '');
+    assert.strictEqual(result.stderr, '');
+    assert.deepStrictEqual(result.diagnostics, []);
+    assert.strictEqual(result.passed, false);
+});
+
+test('compile errors are returned as they are', () => {
+    const compileFailure = { compileError: true, stderr: 'main.c:1: error', tests: [] };
+    assert.strictEqual(hideTestDetails(compileFailure), compileFailure);
+});
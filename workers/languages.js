@@ -0,0 +1,366 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { isDiagnosticFormat, DIAGNOSTIC_FORMATS } = require('./diagnostics');
+
+// Language definitions shared with the PHP API (api/config.php)
+const LANGUAGES_DIR = process.env.LANGUAGES_DIR || '/var/www/code-executor/config/languages';
+const NSJAIL_CONFIG_DIR = process.env.NSJAIL_CONFIG_DIR || '/var/www/code-executor/config/nsjail';
+
+const LANGUAGE_ID_PATTERN = /^[a-z0-9_-]+$/;
+const SOURCE_FILE_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+// Compile option names and choice values (must match api/config.php)
+const OPTION_NAME_PATTERN = /^[a-z][A-Za-z]*$/;
+const OPTION_VALUE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.+-]*$/;
+// Sanitizers that cannot run in the sandbox: LeakSanitizer stops the program's
+// threads with ptrace at exit, and the others need clang or arm64 shadow layouts.
+// AddressSanitizer runs with leak detection off (see README "Adding a Language")
+const UNSUPPORTED_SANITIZERS = ['hwaddress', 'leak', 'memory', 'thread'];
+const DEFAULT_COMPILE_TIMEOUT = 30;
+const DEFAULT_VERSION_ARGS = ['--version'];
+const VERSION_TIMEOUT = 10000;
+
+// Loaded languages in executor format, keyed by language ID
+let registry = {};
+
+// Toolchain version lookups, keyed by compiler or interpreter path
+const versions = new Map();
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isStringArray = (value) => Array.isArray(value) && value.every(v => typeof v === 'string');
+const isStringMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+    && Object.values(value).every(v => typeof v === 'string');
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+/**
+ * Validate a parsed language definition
+ * Returns a list of problems (empty when valid)
+ */
+function validateDefinition(def, fileId) {
+    const errors = [];
+
+    if (def === null || typeof def !== 'object' || Array.isArray(def)) {
+        return ['definition must be a JSON object'];
+    }
+
+    if (def.id !== fileId) {
+        errors.push(`id "${def.id}" must match the file name "${fileId}.json"`);
+    }
+
+    ['name', 'extension', 'monaco', 'helloWorld', 'nsjailProfile'].forEach(field => {
+        if (!isString(def[field])) errors.push(`"${field}" must be a non-empty string`);
+    });
+
+    if (!isString(def.sourceFile) || !SOURCE_FILE_PATTERN.test(def.sourceFile)) {
+        errors.push('"sourceFile" must be a plain file name');
+    }
+
+    if (!isPositive(def.timeout)) errors.push('"timeout" must be a positive number of seconds');
+    if (!Number.isInteger(def.memoryLimit) || def.memoryLimit <= 0) {
+        errors.push('"memoryLimit" must be a positive number of bytes');
+    }
+
+    if (def.concurrency !== undefined && (!Number.isInteger(def.concurrency) || def.concurrency <= 0)) {
+        errors.push('"concurrency" must be a positive integer');
+    }
+
+    if (def.diagnostics !== undefined && !isDiagnosticFormat(def.diagnostics)) {
+        errors.push(`"diagnostics" must be one of ${DIAGNOSTIC_FORMATS.join(', ')}`);
+    }
+
+    if (!def.run || !isString(def.run.command)) {
+        errors.push('"run.command" must be a non-empty string');
+    } else if (def.run.args !== undefined && !isStringArray(def.run.args)) {
+        errors.push('"run.args" must be an array of strings');
+    } else if (def.run.versionArgs !== undefined && !isStringArray(def.run.versionArgs)) {
+        errors.push('"run.versionArgs" must be an array of strings');
+    }
+
+    if (def.repl !== undefined && (!def.repl || !isStringArray(def.repl.args))) {
+        errors.push('"repl.args" must be an array of strings');
+    }
+
+    if (def.compile !== undefined && def.compile !== null) {
+        const compile = def.compile;
+        if (!isString(compile.command) || !path.isAbsolute(compile.command)) {
+            errors.push('"compile.command" must be an absolute path');
+        }
+        if (compile.args !== undefined && !isStringArray(compile.args)) {
+            errors.push('"compile.args" must be an array of strings');
+        }
+        if (compile.versionArgs !== undefined && !isStringArray(compile.versionArgs)) {
+            errors.push('"compile.versionArgs" must be an array of strings');
+        }
+        if (compile.extensions !== undefined && !isStringArray(compile.extensions)) {
+            errors.push('"compile.extensions" must be an array of strings');
+        }
+        if (compile.timeout !== undefined && !isPositive(compile.timeout)) {
+            errors.push('"compile.timeout" must be a positive number of seconds');
+        }
+        if (compile.env !== undefined && !isStringMap(compile.env)) {
+            errors.push('"compile.env" must map variable names to strings');
+        }
+        if (compile.options !== undefined) {
+            errors.push(...validateOptionDefinitions(compile.options));
+        }
+    }
+
+    if (isString(def.nsjailProfile)) {
+        const profilePath = path.join(NSJAIL_CONFIG_DIR, path.basename(def.nsjailProfile));
+        if (!fs.existsSync(profilePath)) {
+            errors.push(`nsjail profile not found: ${profilePath}`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate compile.options: { name: { label, default, choices: [{ value, args }] } }
+ */
+function validateOptionDefinitions(options) {
+    if (options === null || typeof options !== 'object' || Array.isArray(options)) {
+        return ['"compile.options" must be an object'];
+    }
+
+    const errors = [];
+
+    Object.entries(options).forEach(([name, option]) => {
+        const field = `"compile.options.${name}"`;
+
+        if (!OPTION_NAME_PATTERN.test(name)) {
+            errors.push(`${field}: option names must match ${OPTION_NAME_PATTERN}`);
+        } else if (!option || !isString(option.label) || !Array.isArray(option.choices) || option.choices.length === 0) {
+            errors.push(`${field} must have a "label" and a non-empty "choices" array`);
+        } else if (!option.choices.every(c => c && typeof c.value === 'string' && OPTION_VALUE_PATTERN.test(c.value) && isStringArray(c.args))) {
+            errors.push(`${field}: each choice needs a "value" matching ${OPTION_VALUE_PATTERN} and "args"`);
+        } else if (new Set(option.choices.map(c => c.value)).size !== option.choices.length) {
+            errors.push(`${field}: choice values must be unique`);
+        } else if (option.choices.some(usesUnsupportedSanitizer)) {
+            errors.push(`${field}: the ${UNSUPPORTED_SANITIZERS.join(', ')} sanitizers cannot run in the sandbox`);
+        } else if (!option.choices.some(c => c.value === option.default)) {
+            errors.push(`${field}: "default" must be one of its choice values`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Sanitizers turned on by compiler arguments (-fsanitize=address,undefined)
+ */
+function sanitizersIn(args) {
+    return args.filter(arg => arg.startsWith('-fsanitize='))
+        .flatMap(arg => arg.slice('-fsanitize='.length).split(','));
+}
+
+/**
+ * Whether a compile option choice turns on a sanitizer that cannot run in the sandbox
+ */
+function usesUnsupportedSanitizer(choice) {
+    return sanitizersIn(choice.args).some(name => UNSUPPORTED_SANITIZERS.includes(name));
+}
+
+/**
+ * Convert a definition into the shape used by executor.js
+ */
+function toExecutorConfig(def) {
+    const compile = def.compile || null;
+
+    return {
+        id: def.id,
+        name: def.name,
+        extension: def.extension,
+        sourceFile: def.sourceFile,
+        compile: Boolean(compile),
+        compiler: compile ? compile.command : null,
+        compileArgs: compile ? (compile.args || []) : [],
+        addressSanitizer: compile ? sanitizersIn(compile.args || []).includes('address') : false,
+        versionArgs: (compile ? compile.versionArgs : def.run.versionArgs) || DEFAULT_VERSION_ARGS,
+        compileExtensions: compile ? compile.extensions : undefined,
+        compileTimeout: ((compile && compile.timeout) || DEFAULT_COMPILE_TIMEOUT) * 1000,
+        env: compile ? compile.env : undefined,
+        compileOptions: (compile && compile.options) || {},
+        binary: def.run.command,
+        runArgs: def.run.args,
+        replArgs: def.repl ? def.repl.args : null,
+        timeout: def.timeout * 1000,
+        memoryLimit: def.memoryLimit,
+        concurrency: def.concurrency || null,
+        diagnostics: def.diagnostics || null,
+        nsjailProfile: path.basename(def.nsjailProfile)
+    };
+}
+
+/**
+ * Load every *.json definition from LANGUAGES_DIR into the registry
+ * Returns a list of validation errors; the registry is left empty if any
+ */
+function loadLanguages(dir = LANGUAGES_DIR) {
+    const errors = [];
+    const loaded = {};
+
+    let files;
+    try {
+        files = fs.readdirSync(dir).filter(file => file.endsWith('.json')).sort();
+    } catch (err) {
+        return [`Cannot read language definitions from ${dir}: ${err.message}`];
+    }
+
+    if (files.length === 0) {
+        return [`No language definitions found in ${dir}`];
+    }
+
+    for (const file of files) {
+        const fileId = path.basename(file, '.json');
+
+        if (!LANGUAGE_ID_PATTERN.test(fileId)) {
+            errors.push(`${file}: file name must match ${LANGUAGE_ID_PATTERN}`);
+            continue;
+        }
+
+        let def;
+        try {
+            def = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        } catch (err) {
+            errors.push(`${file}: invalid JSON (${err.message})`);
+            continue;
+        }
+
+        const problems = validateDefinition(def, fileId);
+        if (problems.length > 0) {
+            problems.forEach(problem => errors.push(`${file}: ${problem}`));
+            continue;
+        }
+
+        loaded[fileId] = toExecutorConfig(def);
+    }
+
+    registry = errors.length === 0 ? loaded : {};
+    return errors;
+}
+
+/**
+ * Get executor config for a language, or undefined if unknown
+ */
+function getLanguage(id) {
+    return Object.prototype.hasOwnProperty.call(registry, id) ? registry[id] : undefined;
+}
+
+/**
+ * IDs of all loaded languages
+ */
+function getLanguageIds() {
+    return Object.keys(registry);
+}
+
+/**
+ * First line the compiler (or, for interpreted languages, the interpreter)
+ * prints for its version arguments, or null
+ * Looked up once per toolchain; a failed lookup is retried on the next call.
+ */
+function getToolchainVersion(config) {
+    const command = config.compile ? config.compiler : config.binary;
+
+    if (!versions.has(command)) {
+        const lookup = new Promise((resolve) => {
+            const spawnOpts = { timeout: VERSION_TIMEOUT, stdio: ['ignore', 'pipe', 'pipe'] };
+            if (config.env) {
+                spawnOpts.env = { ...process.env, ...config.env };
+            }
+
+            const proc = spawn(command, config.versionArgs, spawnOpts);
+            let output = '';
+
+            // javac and older toolchains print the version to stderr
+            proc.stdout.on('data', (data) => { output += data.toString(); });
+            proc.stderr.on('data', (data) => { output += data.toString(); });
+
+            proc.on('close', (code) => {
+                const line = output.trim().split('\n')[0];
+                resolve(code === 0 && line ? line : null);
+            });
+            proc.on('error', () => resolve(null));
+        }).then((version) => {
+            if (version === null) {
+                versions.delete(command);
+            }
+            return version;
+        });
+
+        versions.set(command, lookup);
+    }
+
+    return versions.get(command);
+}
+
+/**
+ * Check a job's selected compile options ({ name: value }) against the
+ * language's allow-list
+ * Returns an error message, or null when every name and value is allowed.
+ * Must match validateCompileOptions() in api/config.php
+ */
+function validateCompileOptions(config, selected) {
+    if (selected === undefined || selected === null) {
+        return null;
+    }
+    if (typeof selected !== 'object' || Array.isArray(selected)) {
+        return 'Invalid compile options: must be an object';
+    }
+
+    for (const [name, value] of Object.entries(selected)) {
+        if (!Object.prototype.hasOwnProperty.call(config.compileOptions, name)) {
+            return `Unknown compile option: ${name}`;
+        }
+        if (!config.compileOptions[name].choices.some(choice => choice.value === value)) {
+            return `Invalid value for compile option ${name}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Every compile option of the language with defaults filled in, in
+ * definition order; selected must have passed validateCompileOptions()
+ */
+function resolveCompileOptions(config, selected) {
+    const resolved = {};
+
+    Object.entries(config.compileOptions).forEach(([name, option]) => {
+        resolved[name] = selected && Object.prototype.hasOwnProperty.call(selected, name)
+            ? selected[name]
+            : option.default;
+    });
+
+    return resolved;
+}
+
+/**
+ * Executor config with the args of the resolved options appended to the
+ * compile args; only arguments from the definition ever reach the compiler
+ * addressSanitizer is set when the build is instrumented by AddressSanitizer,
+ * whose runs need the address-space limit lifted (see executor.js applyLimits).
+ */
+function withCompileOptions(config, resolved) {
+    const optionArgs = Object.entries(resolved).flatMap(([name, value]) =>
+        config.compileOptions[name].choices.find(choice => choice.value === value).args);
+
+    if (optionArgs.length === 0) {
+        return config;
+    }
+
+    const compileArgs = [...config.compileArgs, ...optionArgs];
+    return { ...config, compileArgs, addressSanitizer: sanitizersIn(compileArgs).includes('address') };
+}
+
+module.exports = {
+    loadLanguages,
+    getLanguage,
+    getLanguageIds,
+    getToolchainVersion,
+    validateDefinition,
+    validateCompileOptions,
+    resolveCompileOptions,
+    withCompileOptions
+};
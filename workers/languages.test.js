@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.NSJAIL_CONFIG_DIR = path.join(__dirname, '..', 'config', 'nsjail');
+const { validateDefinition, validateCompileOptions } = require('./languages');
+
+const cpp = () => JSON.parse(JSON.stringify(require(path.join(__dirname, '..', 'config', 'languages', 'cpp.json'))));
+
+function withSanitizer(args) {
+    const def = cpp();
+    def.compile.options.sanitizers.choices.push({ value: 'extra', args });
+    return def;
+}
+
+test('the shipped C++ definition is valid and offers AddressSanitizer', () => {
+    const def = cpp();
+    assert.deepStrictEqual(validateDefinition(def, 'cpp'), []);
+    assert.ok(def.compile.options.sanitizers.choices.some(choice => choice.value === 'address'));
+});
+
+test('definitions offering a sanitizer the sandbox cannot run are rejected', () => {
+    for (const flag of ['-fsanitize=thread', '-fsanitize=leak', '-fsanitize=address,memory']) {
+        const errors = validateDefinition(withSanitizer([flag]), 'cpp');
+        assert.strictEqual(errors.length, 1, flag);
+        assert.match(errors[0], /cannot run in the sandbox/);
+    }
+});
+
+test('requests may only pick listed choices', () => {
+    const config = { compileOptions: cpp().compile.options };
+    assert.strictEqual(validateCompileOptions(config, { sanitizers: 'address' }), null);
+    assert.match(validateCompileOptions(config, { sanitizers: 'thread' }), /Invalid value/);
+    assert.match(validateCompileOptions(config, { flags: '-O0' }), /Unknown compile option/);
+});
@@ -0,0 +1,67 @@
+// Structured JSON-lines logger for the worker process
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+// Submitted code, program input and output stay out of the logs unless enabled
+const LOG_SENSITIVE = process.env.LOG_SENSITIVE === 'true';
+const SENSITIVE_FIELDS = new Set(['code', 'files', 'stdin', 'stdout', 'stderr', 'tests', 'expectedOutput']);
+const MAX_DEPTH = 4;
+
+/**
+ * Copy a field value for logging: errors become { name, message }, and
+ * sensitive fields are replaced at any depth
+ */
+function scrub(value, depth = 0) {
+    if (value instanceof Error) {
+        return LOG_LEVEL === 'debug'
+            ? { name: value.name, message: value.message, stack: value.stack }
+            : { name: value.name, message: value.message };
+    }
+
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    if (depth >= MAX_DEPTH) {
+        return '[truncated]';
+    }
+
+    if (Array.isArray(value)) {
+        return value.map(item => scrub(item, depth + 1));
+    }
+
+    const copy = {};
+    Object.keys(value).forEach(key => {
+        copy[key] = !LOG_SENSITIVE && SENSITIVE_FIELDS.has(key) && value[key] !== null && value[key] !== undefined
+            ? '[redacted]'
+            : scrub(value[key], depth + 1);
+    });
+    return copy;
+}
+
+/**
+ * Logger whose lines all carry the given fields
+ *
+ * Each call writes one JSON object per line: { time, level, msg, ...fields }.
+ * warn and error go to stderr, the rest to stdout. child() adds fields, e.g.
+ * the jobId, language and hashed client IP of one job.
+ */
+function createLogger(bindings = {}) {
+    function write(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+        const entry = { time: new Date().toISOString(), level, msg, ...scrub({ ...bindings, ...fields }) };
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(JSON.stringify(entry) + '\n');
+    }
+
+    return {
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (fields) => createLogger({ ...bindings, ...fields })
+    };
+}
+
+module.exports = { createLogger, logger: createLogger() };
@@ -0,0 +1,140 @@
+const { logger } = require('./logger');
+
+// Minimal Prometheus metrics registry (text exposition format 0.0.4)
+
+// Registered metrics in registration order
+const registry = [];
+
+/**
+ * Escape a label value for the exposition format
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a label set as {a="1",b="2"}, or '' when empty
+ */
+function formatLabels(labels) {
+    const pairs = Object.keys(labels)
+        .sort()
+        .map(name => `${name}="${escapeLabel(labels[name])}"`);
+
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Stable key for a label set
+ */
+function labelKey(labels) {
+    return formatLabels(labels);
+}
+
+function register(metric) {
+    registry.push(metric);
+    return metric;
+}
+
+/**
+ * Counter: a value that only goes up, one series per label set
+ */
+function createCounter(name, help) {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, value = 1) {
+            const key = labelKey(labels);
+            const current = series.get(key) || { labels, value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        async collect() {
+            return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    });
+}
+
+/**
+ * Gauge whose series are produced at scrape time
+ * collect() returns [[labels, value], ...]; type may be 'counter' for
+ * totals kept elsewhere (e.g. in Redis).
+ */
+function createGauge(name, help, collect, type = 'gauge') {
+    return register({
+        name,
+        help,
+        type,
+        async collect() {
+            const samples = await collect();
+            return samples.map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    });
+}
+
+/**
+ * Histogram with cumulative buckets (upper bounds in ascending order)
+ */
+function createHistogram(name, help, buckets) {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const key = labelKey(labels);
+            let current = series.get(key);
+            if (!current) {
+                current = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+                series.set(key, current);
+            }
+
+            buckets.forEach((bound, i) => {
+                if (value <= bound) current.counts[i]++;
+            });
+            current.sum += value;
+            current.count++;
+        },
+        async collect() {
+            const lines = [];
+            series.forEach(({ labels, counts, sum, count }) => {
+                buckets.forEach((bound, i) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            });
+            return lines;
+        }
+    });
+}
+
+/**
+ * All registered metrics in Prometheus text format
+ * A metric whose collector fails is left out rather than failing the scrape.
+ */
+async function renderMetrics() {
+    const blocks = await Promise.all(registry.map(async (metric) => {
+        let lines;
+        try {
+            lines = await metric.collect();
+        } catch (err) {
+            logger.error('Metric collection failed', { metric: metric.name, error: err });
+            return '';
+        }
+
+        return [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...lines
+        ].join('\n') + '\n';
+    }));
+
+    return blocks.join('');
+}
+
+module.exports = { createCounter, createGauge, createHistogram, renderMetrics };
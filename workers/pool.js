@@ -0,0 +1,137 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Pool of ready-made job workspaces, kept per language
+ *
+ * Each slot is a workspace directory plus an nsjail config already written
+ * for its path. The config lives next to the workspace, not inside it, so a
+ * sandboxed program cannot change it for the next job. After a job the
+ * workspace is scrubbed and returned to the pool; a slot that cannot be
+ * scrubbed is replaced by a new one.
+ *
+ * Options:
+ *   dir            - pool root, emptied by warm() and drain()
+ *   prepareConfig  - async (workDir, config) => nsjail config text
+ */
+function createWorkspacePool({ dir, prepareConfig }) {
+    // Idle slots per language ID
+    const idle = new Map();
+    // Releases still scrubbing, awaited before the pool directory is removed
+    const releasing = new Set();
+    let nextIndex = 0;
+
+    async function createSlot(config) {
+        const slotDir = path.join(dir, `${config.id}-${nextIndex++}`);
+        const workDir = path.join(slotDir, 'workspace');
+        const configPath = path.join(slotDir, 'nsjail.cfg');
+
+        await fs.mkdir(workDir, { recursive: true });
+        await fs.writeFile(configPath, await prepareConfig(workDir, config), 'utf8');
+
+        return {
+            language: config.id,
+            dir: slotDir,
+            workDir,
+            configPath,
+            mode: (await fs.stat(workDir)).mode & 0o7777
+        };
+    }
+
+    /**
+     * Empty a used workspace and restore its permissions
+     */
+    async function scrub(slot) {
+        await fs.chmod(slot.workDir, slot.mode);
+
+        for (const name of await fs.readdir(slot.workDir)) {
+            await fs.rm(path.join(slot.workDir, name), { recursive: true, force: true });
+        }
+
+        if ((await fs.readdir(slot.workDir)).length > 0) {
+            throw new Error('workspace not empty after scrub');
+        }
+    }
+
+    /**
+     * Create size idle slots for each language, replacing any left on disk
+     */
+    async function warm(configs, size) {
+        idle.clear();
+        await Promise.all([...releasing]);
+        await fs.rm(dir, { recursive: true, force: true });
+
+        for (const config of configs) {
+            const slots = [];
+            for (let i = 0; i < size; i++) {
+                slots.push(await createSlot(config));
+            }
+            idle.set(config.id, slots);
+        }
+    }
+
+    /**
+     * Take an idle slot for the language, or null when none is left
+     */
+    function acquire(language) {
+        const slots = idle.get(language);
+        return slots && slots.length > 0 ? slots.pop() : null;
+    }
+
+    /**
+     * Scrub a slot after its job and make it available again
+     * Never rejects: failures are logged and the slot is replaced.
+     */
+    function release(slot, config, log = logger) {
+        const done = recycle(slot, config, log).finally(() => releasing.delete(done));
+        releasing.add(done);
+        return done;
+    }
+
+    async function recycle(slot, config, log) {
+        const slots = idle.get(slot.language);
+
+        try {
+            if (!slots) {
+                // Pool drained while the job ran
+                await fs.rm(slot.dir, { recursive: true, force: true });
+                return;
+            }
+
+            const scrubStart = Date.now();
+            await scrub(slot);
+            slots.push(slot);
+            log.debug('Workspace scrubbed', { phase: 'cleanup', durationMs: Date.now() - scrubStart, pooled: true });
+        } catch (err) {
+            log.warn('Workspace scrub failed, replacing it', { phase: 'cleanup', workDir: slot.workDir, error: err });
+            await fs.rm(slot.dir, { recursive: true, force: true }).catch(() => {});
+
+            try {
+                slots.push(await createSlot(config));
+            } catch (createErr) {
+                log.error('Replacement workspace could not be created', { phase: 'cleanup', error: createErr });
+            }
+        }
+    }
+
+    /**
+     * Remove every idle slot; slots still in use are removed on release
+     */
+    async function drain() {
+        idle.clear();
+        await Promise.all([...releasing]);
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+
+    /**
+     * Idle slots per language: [[language, count], ...]
+     */
+    function idleCounts() {
+        return [...idle.entries()].map(([language, slots]) => [language, slots.length]);
+    }
+
+    return { warm, acquire, release, drain, idleCounts };
+}
+
+module.exports = { createWorkspacePool };
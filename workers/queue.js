@@ -0,0 +1,383 @@
+const { logger } = require('./logger');
+
+// Priority bands, highest first (must match JOB_PRIORITIES in api/config.php)
+const PRIORITIES = ['high', 'normal', 'low'];
+const DEFAULT_PRIORITY = 'normal';
+// Dead-lettered jobs kept for inspection
+const DEAD_LETTER_LIMIT = 1000;
+// Wake-up tokens kept for idle workers
+const NOTIFY_LIMIT = 100;
+// Recent job durations kept for wait estimates (read by api/config.php)
+const DURATION_SAMPLES = 50;
+
+// Take the next job, round-robin across tenants, highest priority band first
+// KEYS: processing list
+// ARGV: key prefix, per-tenant cap, JSON list of languages this worker cannot
+//       take, now (ms), priority bands highest first
+// Tenants are visited least recently served first (ready set score). A tenant
+// at its cap, or whose oldest job is in a blocked language, is skipped.
+const CLAIM_SCRIPT = `
+local prefix = ARGV[1]
+local tenantCap = tonumber(ARGV[2])
+local blocked = {}
+for _, language in ipairs(cjson.decode(ARGV[3])) do
+    blocked[language] = true
+end
+
+local running = {}
+for _, entry in ipairs(redis.call('LRANGE', KEYS[1], 0, -1)) do
+    local ok, job = pcall(cjson.decode, entry)
+    if ok and type(job) == 'table' and type(job.tenant) == 'string' then
+        running[job.tenant] = (running[job.tenant] or 0) + 1
+    end
+end
+
+for i = 5, #ARGV do
+    local ready = prefix .. ':ready:' .. ARGV[i]
+    for _, tenant in ipairs(redis.call('ZRANGE', ready, 0, 99)) do
+        local list = prefix .. ':' .. ARGV[i] .. ':' .. tenant
+        local head = redis.call('LINDEX', list, -1)
+        if not head then
+            redis.call('ZREM', ready, tenant)
+        elseif (running[tenant] or 0) < tenantCap then
+            local ok, job = pcall(cjson.decode, head)
+            local language = ok and type(job) == 'table' and job.language
+            if not (type(language) == 'string' and blocked[language]) then
+                redis.call('RPOPLPUSH', list, KEYS[1])
+                if redis.call('LLEN', list) == 0 then
+                    redis.call('ZREM', ready, tenant)
+                else
+                    redis.call('ZADD', ready, ARGV[4], tenant)
+                end
+                return head
+            end
+        end
+    end
+end
+return false
+`;
+
+// Move an orphaned job off the processing list unless its lease came back
+// KEYS: processing list, destination list, lease key, ready set
+// ARGV: claimed payload, payload to push, tenant ('' when dead-lettering), now (ms)
+const REQUEUE_ORPHAN_SCRIPT = `
+if redis.call('EXISTS', KEYS[3]) == 1 then
+    return 0
+end
+if redis.call('LREM', KEYS[1], 1, ARGV[1]) == 0 then
+    return 0
+end
+redis.call('RPUSH', KEYS[2], ARGV[2])
+if ARGV[3] ~= '' then
+    redis.call('ZADD', KEYS[4], 'NX', ARGV[4], ARGV[3])
+end
+return 1
+`;
+
+/**
+ * Reliable (at-least-once) job queue on Redis lists with per-tenant fairness
+ *
+ * api/execute.php LPUSHes each job onto its tenant's list for its priority,
+ * queue:{name}:{priority}:{tenant}, and adds the tenant to the ready set
+ * queue:{name}:ready:{priority}. claim() atomically moves the next job (see
+ * CLAIM_SCRIPT) onto queue:{name}:processing and takes a lease,
+ * job:lease:{id}, that renewLeases() keeps alive while the job runs. A job
+ * stays on the processing list until ack(); if its lease expires (the worker
+ * crashed or hung) the reaper on any worker puts it back. Retries and reaped
+ * jobs count as attempts; after maxAttempts the job is moved to the
+ * dead-letter list queue:{name}:dead and onDeadLetter(job, reason, attempts)
+ * is called so the client gets a result.
+ *
+ * Requeued jobs go back to the front of their tenant's list.
+ * Only infrastructure failures should be retried: a job whose code fails
+ * has still run successfully. A batch (api/batch.php) is one entry until
+ * fanOut() replaces it with its items.
+ */
+function createQueue(options) {
+    const {
+        redis, blockingRedis, name, workerId, visibilityTimeout, maxAttempts, retryDelay,
+        tenantConcurrency, onDeadLetter
+    } = options;
+    const prefix = `queue:${name}`;
+    const processingKey = `${prefix}:processing`;
+    const deadKey = `${prefix}:dead`;
+    const notifyKey = `${prefix}:notify`;
+    const workersKey = `${prefix}:workers`;
+    const durationsKey = `${prefix}:durations`;
+    const leaseKey = (jobId) => `job:lease:${jobId}`;
+
+    redis.defineCommand('claimJob', { numberOfKeys: 1, lua: CLAIM_SCRIPT });
+    redis.defineCommand('requeueOrphan', { numberOfKeys: 4, lua: REQUEUE_ORPHAN_SCRIPT });
+
+    // Jobs claimed by this worker whose leases it renews, keyed by job ID
+    const held = new Map();
+    // Processing entries without a lease on the previous reaper pass
+    let suspects = new Set();
+
+    /**
+     * Tenant list and ready set a job waits in
+     */
+    function waitingKeys(job) {
+        const priority = PRIORITIES.includes(job.priority) ? job.priority : DEFAULT_PRIORITY;
+        const tenant = typeof job.tenant === 'string' && job.tenant ? job.tenant : 'default';
+        return { list: `${prefix}:${priority}:${tenant}`, ready: `${prefix}:ready:${priority}`, tenant };
+    }
+
+    function deadLetterEntry(job, reason, attempts) {
+        return JSON.stringify({ job: { ...job, attempts }, reason, failedAt: Date.now() });
+    }
+
+    /**
+     * Take the next job this worker may run; returns { payload, job } or null
+     * after waiting up to timeoutSeconds for new work. Jobs in
+     * blockedLanguages (at this worker's per-language limit) are left queued.
+     * payload is the exact list entry, needed to remove it on ack.
+     */
+    async function claim(timeoutSeconds, blockedLanguages = []) {
+        const payload = await redis.claimJob(
+            processingKey, prefix, tenantConcurrency, JSON.stringify(blockedLanguages), Date.now(), ...PRIORITIES
+        );
+
+        if (!payload) {
+            // Woken by new jobs (execute.php) and freed capacity (ack)
+            await blockingRedis.brpop(notifyKey, timeoutSeconds);
+            return null;
+        }
+
+        let job = null;
+        try {
+            job = JSON.parse(payload);
+        } catch (err) {
+            // Handled below
+        }
+
+        if (!job || typeof job.id !== 'string') {
+            logger.error('Malformed job payload, moving to dead-letter list');
+            await redis.multi()
+                .lrem(processingKey, 1, payload)
+                .rpush(deadKey, JSON.stringify({ payload, reason: 'Malformed job payload', failedAt: Date.now() }))
+                .ltrim(deadKey, -DEAD_LETTER_LIMIT, -1)
+                .exec();
+            return null;
+        }
+
+        await redis.set(leaseKey(job.id), workerId, 'PX', visibilityTimeout);
+
+        const claimed = { payload, job };
+        held.set(job.id, claimed);
+        return claimed;
+    }
+
+    /**
+     * Mark a claimed job as done
+     */
+    async function ack(claimed) {
+        held.delete(claimed.job.id);
+        await redis.multi()
+            .lrem(processingKey, 1, claimed.payload)
+            .del(leaseKey(claimed.job.id))
+            .lpush(notifyKey, '1')
+            .ltrim(notifyKey, 0, NOTIFY_LIMIT - 1)
+            .exec();
+    }
+
+    /**
+     * Put a claimed job back on the queue, counting an attempt if it failed
+     */
+    async function requeue(claimed, countAttempt) {
+        const attempts = (claimed.job.attempts || 0) + (countAttempt ? 1 : 0);
+        const waiting = waitingKeys(claimed.job);
+
+        held.delete(claimed.job.id);
+        await redis.multi()
+            .lrem(processingKey, 1, claimed.payload)
+            .rpush(waiting.list, JSON.stringify({ ...claimed.job, attempts }))
+            .zadd(waiting.ready, 'NX', Date.now(), waiting.tenant)
+            .del(leaseKey(claimed.job.id))
+            .lpush(notifyKey, '1')
+            .ltrim(notifyKey, 0, NOTIFY_LIMIT - 1)
+            .exec();
+
+        return attempts;
+    }
+
+    /**
+     * Replace a claimed job with new jobs on their tenants' lists, in one
+     * transaction; jobs[0] is taken first
+     */
+    async function fanOut(claimed, jobs) {
+        const multi = redis.multi()
+            .lrem(processingKey, 1, claimed.payload)
+            .del(leaseKey(claimed.job.id));
+
+        jobs.forEach(job => {
+            const waiting = waitingKeys(job);
+            multi.lpush(waiting.list, JSON.stringify(job))
+                .zadd(waiting.ready, 'NX', Date.now(), waiting.tenant);
+        });
+
+        // One wake-up per new job, and one for the slot the claimed job freed
+        held.delete(claimed.job.id);
+        await multi
+            .lpush(notifyKey, ...new Array(Math.min(jobs.length + 1, NOTIFY_LIMIT)).fill('1'))
+            .ltrim(notifyKey, 0, NOTIFY_LIMIT - 1)
+            .exec();
+    }
+
+    /**
+     * Move a claimed job to the dead-letter list
+     */
+    async function deadLetter(claimed, reason) {
+        const attempts = (claimed.job.attempts || 0) + 1;
+
+        held.delete(claimed.job.id);
+        await redis.multi()
+            .lrem(processingKey, 1, claimed.payload)
+            .rpush(deadKey, deadLetterEntry(claimed.job, reason, attempts))
+            .ltrim(deadKey, -DEAD_LETTER_LIMIT, -1)
+            .del(leaseKey(claimed.job.id))
+            .exec();
+
+        await onDeadLetter(claimed.job, reason, attempts);
+    }
+
+    /**
+     * Requeue a job after an infrastructure failure, or dead-letter it once
+     * it has used up its attempts; returns true if it will be retried
+     * The job is held (lease renewed) for retryDelay ms per attempt first.
+     */
+    async function retry(claimed, reason) {
+        const attempts = (claimed.job.attempts || 0) + 1;
+        if (attempts >= maxAttempts) {
+            await deadLetter(claimed, reason);
+            return false;
+        }
+
+        await new Promise(r => setTimeout(r, retryDelay * attempts));
+        await requeue(claimed, true);
+        return true;
+    }
+
+    /**
+     * Hand a job this worker will not finish (shutdown) to another worker
+     * Not a failure, so no attempt is counted.
+     */
+    async function release(claimed) {
+        await requeue(claimed, false);
+    }
+
+    /**
+     * Extend the leases of every job this worker holds
+     */
+    async function renewLeases() {
+        await Promise.all([...held.values()].map(async ({ job }) => {
+            const renewed = await redis.pexpire(leaseKey(job.id), visibilityTimeout);
+            if (!renewed) {
+                logger.warn('Lease expired before renewal, the job may run again elsewhere', { jobId: job.id });
+            }
+        }));
+    }
+
+    /**
+     * Requeue (or dead-letter) jobs whose worker stopped renewing their lease
+     * An entry must be leaseless on two consecutive passes, so a job claimed
+     * by another worker a moment ago is never mistaken for an orphan.
+     */
+    async function reap() {
+        const payloads = await redis.lrange(processingKey, 0, -1);
+        const nextSuspects = new Set();
+
+        for (const payload of payloads) {
+            let job;
+            try {
+                job = JSON.parse(payload);
+            } catch (err) {
+                continue;
+            }
+
+            if (held.has(job.id) || await redis.exists(leaseKey(job.id))) {
+                continue;
+            }
+
+            if (!suspects.has(payload)) {
+                nextSuspects.add(payload);
+                continue;
+            }
+
+            const reason = 'Worker stopped while running the job';
+            const attempts = (job.attempts || 0) + 1;
+            const exhausted = attempts >= maxAttempts;
+            const waiting = waitingKeys(job);
+            const moved = await redis.requeueOrphan(
+                processingKey,
+                exhausted ? deadKey : waiting.list,
+                leaseKey(job.id),
+                waiting.ready,
+                payload,
+                exhausted ? deadLetterEntry(job, reason, attempts) : JSON.stringify({ ...job, attempts }),
+                exhausted ? '' : waiting.tenant,
+                Date.now()
+            );
+
+            if (!moved) continue;
+
+            if (exhausted) {
+                logger.error('Orphaned job moved to dead-letter list', { jobId: job.id, language: job.language, attempts });
+                await redis.ltrim(deadKey, -DEAD_LETTER_LIMIT, -1);
+                await onDeadLetter(job, reason, attempts);
+            } else {
+                logger.warn('Lease expired, orphaned job requeued', { jobId: job.id, language: job.language, attempts });
+            }
+        }
+
+        suspects = nextSuspects;
+    }
+
+    /**
+     * Advertise this worker's capacity for queue wait estimates
+     */
+    async function announce(concurrency) {
+        await redis.hset(workersKey, workerId, JSON.stringify({
+            concurrency,
+            seenAt: Math.floor(Date.now() / 1000)
+        }));
+    }
+
+    /**
+     * Withdraw this worker's capacity on shutdown
+     */
+    async function retire() {
+        await redis.hdel(workersKey, workerId);
+    }
+
+    /**
+     * Remember how long a job took, for queue wait estimates
+     */
+    async function recordDuration(ms) {
+        await redis.multi()
+            .lpush(durationsKey, ms)
+            .ltrim(durationsKey, 0, DURATION_SAMPLES - 1)
+            .exec();
+    }
+
+    /**
+     * Jobs waiting per priority band, claimed (processing) and dead-lettered
+     */
+    async function depth() {
+        const counts = {};
+
+        for (const priority of PRIORITIES) {
+            const tenants = await redis.zrange(`${prefix}:ready:${priority}`, 0, -1);
+            const lengths = await Promise.all(tenants.map(tenant => redis.llen(`${prefix}:${priority}:${tenant}`)));
+            counts[priority] = lengths.reduce((sum, length) => sum + length, 0);
+        }
+
+        counts.processing = await redis.llen(processingKey);
+        counts.dead = await redis.llen(deadKey);
+        return counts;
+    }
+
+    return { claim, ack, fanOut, retry, release, renewLeases, reap, announce, retire, recordDuration, depth };
+}
+
+module.exports = { createQueue };
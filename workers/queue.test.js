@@ -0,0 +1,230 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Redis = require('ioredis-mock');
+const { createQueue } = require('./queue');
+
+// ioredis-mock runs the Lua scripts but has no cjson; the scripts only decode
+const CJSON = String.raw`
+local cjson = {}
+do
+    local escapes = { ['"'] = '"', ['\\'] = '\\', ['/'] = '/', b = '\b', f = '\f', n = '\n', r = '\r', t = '\t' }
+    local function skip(s, i) return s:find('[^ \t\r\n]', i) or #s + 1 end
+    local function str(s, i)
+        local out, j = {}, i + 1
+        while true do
+            local c = s:sub(j, j)
+            if c == '' then error('unterminated string') end
+            if c == '"' then return table.concat(out), j + 1 end
+            if c == '\\' then
+                out[#out + 1] = escapes[s:sub(j + 1, j + 1)] or '?'
+                j = j + (s:sub(j + 1, j + 1) == 'u' and 6 or 2)
+            else
+                out[#out + 1] = c
+                j = j + 1
+            end
+        end
+    end
+    local function value(s, i)
+        i = skip(s, i)
+        local c = s:sub(i, i)
+        if c == '{' or c == '[' then
+            local t, n, close = {}, 0, c == '{' and '}' or ']'
+            i = skip(s, i + 1)
+            if s:sub(i, i) == close then return t, i + 1 end
+            while true do
+                if close == '}' then
+                    local k
+                    k, i = str(s, skip(s, i))
+                    i = skip(s, i) + 1
+                    t[k], i = value(s, i)
+                else
+                    n = n + 1
+                    t[n], i = value(s, i)
+                end
+                i = skip(s, i)
+                local d = s:sub(i, i)
+                i = i + 1
+                if d == close then return t, i end
+                if d ~= ',' then error('invalid JSON') end
+            end
+        elseif c == '"' then return str(s, i)
+        elseif s:sub(i, i + 3) == 'true' then return true, i + 4
+        elseif s:sub(i, i + 4) == 'false' then return false, i + 5
+        elseif s:sub(i, i + 3) == 'null' then return nil, i + 4
+        end
+        local number = s:match('^-?[%d.eE+-]+', i)
+        if not number then error('invalid JSON') end
+        return tonumber(number), i + #number
+    end
+    cjson.decode = function(s) return (value(s, 1)) end
+end
+`;
+
+const PREFIX = 'queue:test';
+let redis;
+// Ready-set scores of enqueue(): the order tenants first had a job waiting
+let enqueuedAt = 0;
+let deadLettered;
+
+function makeQueue(options = {}) {
+    return createQueue({
+        redis,
+        blockingRedis: { brpop: async () => null },
+        name: 'test',
+        workerId: 'worker-1',
+        visibilityTimeout: 30000,
+        maxAttempts: 3,
+        retryDelay: 0,
+        tenantConcurrency: 2,
+        onDeadLetter: async (job, reason, attempts) => { deadLettered.push({ id: job.id, reason, attempts }); },
+        ...options
+    });
+}
+
+/**
+ * Queue a job the way api/config.php enqueueJob() does
+ */
+async function enqueue(id, tenant, fields = {}) {
+    const job = { id, tenant, priority: 'normal', language: 'python', ...fields };
+    await redis.lpush(`${PREFIX}:${job.priority}:${tenant}`, JSON.stringify(job));
+    await redis.zadd(`${PREFIX}:ready:${job.priority}`, 'NX', ++enqueuedAt, tenant);
+}
+
+async function claimIds(queue, count, blocked = []) {
+    const ids = [];
+    for (let i = 0; i < count; i++) {
+        const claimed = await queue.claim(0, blocked);
+        ids.push(claimed ? claimed.job.id : null);
+    }
+    return ids;
+}
+
+beforeEach(() => {
+    redis = new Redis();
+    deadLettered = [];
+    const defineCommand = redis.defineCommand.bind(redis);
+    redis.defineCommand = (name, definition) => defineCommand(name, { ...definition, lua: CJSON + definition.lua });
+});
+
+afterEach(async () => {
+    await redis.flushall();
+    redis.disconnect();
+});
+
+test('tenants take turns, each in submission order', async () => {
+    const queue = makeQueue({ tenantConcurrency: 10 });
+    await enqueue('a1', 'key:a');
+    await enqueue('a2', 'key:a');
+    await enqueue('a3', 'key:a');
+    await enqueue('b1', 'key:b');
+
+    assert.deepStrictEqual(await claimIds(queue, 5), ['a1', 'b1', 'a2', 'a3', null]);
+});
+
+test('higher priority bands are served first', async () => {
+    const queue = makeQueue();
+    await enqueue('low', 'key:a', { priority: 'low' });
+    await enqueue('normal', 'key:b');
+    await enqueue('high', 'key:c', { priority: 'high' });
+
+    assert.deepStrictEqual(await claimIds(queue, 3), ['high', 'normal', 'low']);
+});
+
+test('a tenant at its cap waits while others run', async () => {
+    const queue = makeQueue({ tenantConcurrency: 1 });
+    await enqueue('a1', 'session:s1');
+    await enqueue('a2', 'session:s1');
+    await enqueue('b1', 'key:b');
+
+    const first = await queue.claim(0);
+    assert.strictEqual(first.job.id, 'a1');
+    assert.deepStrictEqual(await claimIds(queue, 2), ['b1', null]);
+
+    await queue.ack(first);
+    assert.deepStrictEqual(await claimIds(queue, 1), ['a2']);
+});
+
+test('jobs in blocked languages stay queued', async () => {
+    const queue = makeQueue();
+    await enqueue('java', 'key:a', { language: 'java' });
+    await enqueue('python', 'key:b');
+
+    assert.deepStrictEqual(await claimIds(queue, 2, ['java']), ['python', null]);
+    assert.deepStrictEqual(await claimIds(queue, 1), ['java']);
+});
+
+test('claimed jobs hold a lease until acknowledged', async () => {
+    const queue = makeQueue();
+    await enqueue('a1', 'key:a');
+
+    const claimed = await queue.claim(0);
+    assert.strictEqual(await redis.get('job:lease:a1'), 'worker-1');
+    assert.deepStrictEqual(await redis.lrange(`${PREFIX}:processing`, 0, -1), [claimed.payload]);
+
+    await queue.ack(claimed);
+    assert.strictEqual(await redis.exists('job:lease:a1'), 0);
+    assert.deepStrictEqual(await queue.depth(), { high: 0, normal: 0, low: 0, processing: 0, dead: 0 });
+});
+
+test('failed jobs are retried first, then dead-lettered after maxAttempts', async () => {
+    const queue = makeQueue();
+    await enqueue('a1', 'key:a');
+    await enqueue('a2', 'key:a');
+
+    for (let attempt = 1; attempt < 3; attempt++) {
+        const claimed = await queue.claim(0);
+        assert.strictEqual(claimed.job.id, 'a1');
+        assert.strictEqual(await queue.retry(claimed, 'disk full'), true);
+    }
+
+    const last = await queue.claim(0);
+    assert.strictEqual(last.job.attempts, 2);
+    assert.strictEqual(await queue.retry(last, 'disk full'), false);
+
+    assert.deepStrictEqual(deadLettered, [{ id: 'a1', reason: 'disk full', attempts: 3 }]);
+    const [entry] = await redis.lrange(`${PREFIX}:dead`, 0, -1);
+    assert.strictEqual(JSON.parse(entry).job.id, 'a1');
+    assert.deepStrictEqual(await claimIds(queue, 1), ['a2']);
+});
+
+test('released jobs are requeued without counting an attempt', async () => {
+    const queue = makeQueue();
+    await enqueue('a1', 'key:a');
+
+    await queue.release(await queue.claim(0));
+    const again = await queue.claim(0);
+    assert.strictEqual(again.job.id, 'a1');
+    assert.strictEqual(again.job.attempts, 0);
+});
+
+test('jobs of a worker that stopped are requeued on the second reaper pass', async () => {
+    const crashed = makeQueue({ workerId: 'worker-1' });
+    const reaper = makeQueue({ workerId: 'worker-2' });
+    await enqueue('a1', 'key:a');
+
+    await crashed.claim(0);
+    await redis.del('job:lease:a1'); // expired
+
+    await reaper.reap();
+    assert.strictEqual((await reaper.depth()).processing, 1);
+
+    await reaper.reap();
+    const requeued = await reaper.claim(0);
+    assert.strictEqual(requeued.job.id, 'a1');
+    assert.strictEqual(requeued.job.attempts, 1);
+});
+
+test('a batch is replaced by its items, queued in order behind the tenant\'s other jobs', async () => {
+    const queue = makeQueue({ tenantConcurrency: 10 });
+    await enqueue('batch_1', 'key:a', { batch: true });
+    await enqueue('a2', 'key:a');
+
+    const batch = await queue.claim(0);
+    await queue.fanOut(batch, [
+        { id: 'item_0', tenant: 'key:a', priority: 'normal', language: 'python' },
+        { id: 'item_1', tenant: 'key:a', priority: 'normal', language: 'python' }
+    ]);
+
+    assert.strictEqual((await queue.depth()).processing, 0);
+    assert.deepStrictEqual(await claimIds(queue, 4), ['a2', 'item_0', 'item_1', null]);
+});
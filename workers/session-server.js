@@ -0,0 +1,502 @@
+const http = require('http');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { WebSocketServer, WebSocket } = require('ws');
+const { logger } = require('./logger');
+const { transformOps, applyOps, encodeOps } = require('../public/js/session-ot');
+
+const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
+const REDIS_PORT = parseInt(process.env.REDIS_PORT || '6379', 10);
+const SESSION_PORT = parseInt(process.env.SESSION_PORT || '3001', 10);
+const SESSION_TTL = 86400; // must match api/config.php
+const SESSION_ID_PATTERN = /^sess_[a-f0-9]{16}$/;
+const HISTORY_LIMIT = 1000;
+const SAVE_DELAY = 500;
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_MESSAGE_SIZE = 1048576;
+const MAX_RUN_OUTPUT = 65536;
+// Replay timeline (read by api/timeline.php)
+const MAX_TIMELINE_ENTRIES = 50000;
+const TIMELINE_OUTPUT_PREVIEW = 4096;
+
+// Project limits (must match api/config.php)
+const MAX_PROJECT_FILES = 32;
+const MAX_PROJECT_SIZE = 262144;
+const FILE_PATH_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*(\/[A-Za-z0-9_][A-Za-z0-9_.-]*){0,4}$/;
+const RESERVED_FILES = ['output', 'nsjail.cfg'];
+
+const ROLE = {
+    EDITOR: 'editor',
+    OBSERVER: 'observer'
+};
+
+const RUN_EVENTS = ['start', 'stdout', 'stderr', 'result', 'error'];
+
+const redis = new Redis({ host: REDIS_HOST, port: REDIS_PORT });
+// Run events of session jobs, published by the workers on session:runs:{sessionId}
+const subscriber = new Redis({ host: REDIS_HOST, port: REDIS_PORT });
+
+// Sessions with connected clients, keyed by session ID
+const sessions = new Map();
+// In-flight loads, so concurrent joins share one session object
+const loading = new Map();
+
+/**
+ * Load a session from Redis (or return the live one)
+ * Returns null if the session does not exist or has expired
+ */
+async function getSession(sessionId) {
+    if (sessions.has(sessionId)) return sessions.get(sessionId);
+    if (loading.has(sessionId)) return loading.get(sessionId);
+
+    const promise = Promise.all([
+        redis.mget(`session:${sessionId}`, `session:state:${sessionId}`),
+        redis.llen(`session:timeline:${sessionId}`)
+    ])
+        .then(([[meta, state], timelineLength]) => {
+            if (!meta || !state) return null;
+
+            const session = {
+                id: sessionId,
+                meta: JSON.parse(meta),
+                state: JSON.parse(state),
+                history: [],
+                clients: new Map(),
+                saveTimer: null,
+                timeline: [],           // entries not yet written to Redis
+                timelineLength
+            };
+            sessions.set(sessionId, session);
+            return session;
+        })
+        .finally(() => loading.delete(sessionId));
+
+    loading.set(sessionId, promise);
+    return promise;
+}
+
+/**
+ * Persist session state and new timeline entries, and extend the TTL
+ */
+async function saveSession(session) {
+    clearTimeout(session.saveTimer);
+    session.saveTimer = null;
+
+    const timelineKey = `session:timeline:${session.id}`;
+    const entries = session.timeline;
+    session.timeline = [];
+
+    const transaction = redis.multi()
+        .setex(`session:state:${session.id}`, SESSION_TTL, JSON.stringify(session.state))
+        .expire(`session:${session.id}`, SESSION_TTL);
+
+    if (entries.length > 0) {
+        transaction.rpush(timelineKey, ...entries);
+    }
+    transaction.expire(timelineKey, SESSION_TTL);
+
+    try {
+        await transaction.exec();
+    } catch (err) {
+        logger.error('Session save failed', { sessionId: session.id, error: err });
+    }
+}
+
+/**
+ * Save shortly after the last change instead of on every keystroke
+ */
+function scheduleSave(session) {
+    if (!session.saveTimer) {
+        session.saveTimer = setTimeout(() => saveSession(session), SAVE_DELAY);
+    }
+}
+
+/**
+ * Append an entry to the session's replay timeline
+ * Entries: { t, k: 'edit' | 'run' | 'result', v, by, ... } - t is a Unix time in ms
+ * and v the document version the entry applies to. The first entry is the
+ * 'snapshot' written by api/session.php.
+ */
+function record(session, entry) {
+    if (session.timelineLength >= MAX_TIMELINE_ENTRIES) return;
+
+    session.timelineLength++;
+    session.timeline.push(JSON.stringify({ t: Date.now(), ...entry }));
+    scheduleSave(session);
+}
+
+/**
+ * The parts of a run result worth keeping in the timeline
+ */
+function summarizeResult(result) {
+    if (result === null || typeof result !== 'object') return null;
+
+    const preview = (text) => typeof text === 'string' ? text.slice(0, TIMELINE_OUTPUT_PREVIEW) : '';
+
+    return {
+        exitCode: result.exitCode,
+        termination: result.termination,
+        signal: result.signal,
+        compileError: result.compileError,
+        cached: result.cached,
+        executionTime: result.executionTime,
+        passed: result.passed,
+        total: result.total,
+        stdout: preview(result.stdout),
+        stderr: preview(result.stderr)
+    };
+}
+
+/**
+ * Role granted by a session token, or null if it matches neither
+ */
+function roleForToken(meta, token) {
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    const given = digest(token);
+
+    if (crypto.timingSafeEqual(given, digest(meta.editToken))) return ROLE.EDITOR;
+    if (crypto.timingSafeEqual(given, digest(meta.observeToken))) return ROLE.OBSERVER;
+    return null;
+}
+
+function send(client, message) {
+    if (client.socket.readyState === WebSocket.OPEN) {
+        client.socket.send(JSON.stringify(message));
+    }
+}
+
+function broadcast(session, message, exceptClientId = null) {
+    session.clients.forEach(client => {
+        if (client.clientId !== exceptClientId) send(client, message);
+    });
+}
+
+function peerList(session) {
+    return [...session.clients.values()].map(({ clientId, name, role }) => ({ clientId, name, role }));
+}
+
+/**
+ * Send the full session state; the client discards any unacknowledged edits
+ */
+function sendSnapshot(session, client) {
+    send(client, {
+        type: 'init',
+        clientId: client.clientId,
+        role: client.role,
+        version: session.state.version,
+        state: {
+            language: session.state.language,
+            files: session.state.files,
+            run: session.state.run || null
+        },
+        peers: peerList(session)
+    });
+}
+
+/**
+ * Check a project file map against the project limits
+ */
+function isValidProject(files) {
+    if (files === null || typeof files !== 'object' || Array.isArray(files)) return false;
+
+    const paths = Object.keys(files);
+    if (paths.length === 0 || paths.length > MAX_PROJECT_FILES) return false;
+
+    let totalSize = 0;
+    for (const path of paths) {
+        if (!isValidPath(path) || typeof files[path] !== 'string') return false;
+        totalSize += Buffer.byteLength(files[path]);
+    }
+
+    return totalSize <= MAX_PROJECT_SIZE;
+}
+
+function isValidPath(path) {
+    return typeof path === 'string' && FILE_PATH_PATTERN.test(path) && !RESERVED_FILES.includes(path);
+}
+
+/**
+ * Structural validation of a client operation list (see public/js/session-ot.js)
+ */
+function isValidOps(ops) {
+    if (!Array.isArray(ops) || ops.length > HISTORY_LIMIT) return false;
+
+    return ops.every(op => {
+        if (op === null || typeof op !== 'object') return false;
+
+        switch (op.kind) {
+            case 'insert':
+                return isValidPath(op.path) && Number.isInteger(op.offset) && op.offset >= 0
+                    && typeof op.text === 'string' && op.text.length > 0;
+            case 'delete':
+                return isValidPath(op.path) && Number.isInteger(op.offset) && op.offset >= 0
+                    && Number.isInteger(op.length) && op.length > 0;
+            case 'add':
+            case 'remove':
+                return isValidPath(op.path);
+            case 'reset':
+                return typeof op.language === 'string' && isValidProject(op.files);
+            default:
+                return false;
+        }
+    });
+}
+
+/**
+ * Whether every operation stays inside the file it edits when applied in order
+ */
+function fitsState(state, ops) {
+    let current = state;
+
+    for (const op of ops) {
+        const content = current.files[op.path];
+
+        if (op.kind === 'insert' && (content === undefined || op.offset > content.length)) return false;
+        if (op.kind === 'delete' && (content === undefined || op.offset + op.length > content.length)) return false;
+
+        current = applyOps(current, [op]);
+    }
+
+    return isValidProject(current.files);
+}
+
+/**
+ * Apply an editor's operations on top of everything committed since its base version
+ */
+function handleOps(session, client, message) {
+    if (client.role !== ROLE.EDITOR) {
+        send(client, { type: 'error', error: 'Observers cannot edit' });
+        sendSnapshot(session, client);
+        return;
+    }
+
+    const { version, files } = session.state;
+    const oldest = version - session.history.length;
+
+    if (!Number.isInteger(message.baseVersion) || message.baseVersion < oldest || message.baseVersion > version
+        || !isValidOps(message.ops)) {
+        sendSnapshot(session, client);
+        return;
+    }
+
+    let ops = message.ops;
+    session.history
+        .filter(entry => entry.version > message.baseVersion)
+        .forEach(entry => {
+            [ops] = transformOps(ops, entry.ops);
+        });
+
+    if (!fitsState({ files }, ops)) {
+        send(client, { type: 'error', error: 'Edit rejected: project limits exceeded' });
+        sendSnapshot(session, client);
+        return;
+    }
+
+    session.state = { ...applyOps(session.state, ops), version: version + 1 };
+    session.history.push({ version: version + 1, ops });
+    if (session.history.length > HISTORY_LIMIT) {
+        session.history.shift();
+    }
+
+    // The author receives it too, as the acknowledgement
+    broadcast(session, { type: 'ops', version: version + 1, clientId: client.clientId, ops });
+    if (ops.length > 0) {
+        record(session, { k: 'edit', v: version + 1, by: client.name, ops: encodeOps(ops) });
+    }
+    scheduleSave(session);
+}
+
+/**
+ * Relay a cursor/selection to the other participants
+ */
+function handleCursor(session, client, message) {
+    const { path, selection } = message;
+    const isPosition = (value) => Number.isInteger(value) && value > 0;
+
+    if (!isValidPath(path) || !selection
+        || !['startLineNumber', 'startColumn', 'endLineNumber', 'endColumn'].every(key => isPosition(selection[key]))) {
+        return;
+    }
+
+    const { startLineNumber, startColumn, endLineNumber, endColumn } = selection;
+    broadcast(session, {
+        type: 'cursor',
+        clientId: client.clientId,
+        name: client.name,
+        path,
+        selection: { startLineNumber, startColumn, endLineNumber, endColumn }
+    }, client.clientId);
+}
+
+/**
+ * Show a run published by a worker (or api/execute.php for cached results)
+ * to the session; the latest run is kept for late joiners
+ *
+ * Runs come from the server only, so nobody can fake another participant's
+ * output. The submitter's own page shows the run already and is skipped.
+ */
+function handleRun(session, message) {
+    const { jobId, clientId, event } = message;
+    if (typeof jobId !== 'string' || !RUN_EVENTS.includes(event)) return;
+
+    const data = message.data === undefined ? null : message.data;
+    const submitter = session.clients.get(clientId);
+    const name = submitter ? submitter.name : 'A participant';
+    const version = session.state.version;
+    const current = session.state.run && session.state.run.jobId === jobId;
+
+    // Results without a start (served from the cache, or cancelled while queued) begin their own run
+    if (event === 'start' || (!current && (event === 'result' || event === 'error'))) {
+        session.state.run = { jobId, by: name, stdout: '', stderr: '', result: null, error: null, startedAt: Date.now() };
+        record(session, { k: 'run', v: version, by: name, job: jobId });
+        if (event !== 'start') {
+            broadcast(session, { type: 'run', clientId, name, event: 'start', data: null }, clientId);
+        }
+    }
+
+    const run = session.state.run;
+    if (!run || run.jobId !== jobId) return;
+
+    if ((event === 'stdout' || event === 'stderr') && typeof data === 'string') {
+        run[event] = (run[event] + data).slice(0, MAX_RUN_OUTPUT);
+    } else if (event === 'result') {
+        run.result = data;
+        record(session, { k: 'result', v: version, by: run.by, job: jobId, result: summarizeResult(data) });
+    } else if (event === 'error') {
+        run.error = String(data);
+        record(session, { k: 'result', v: version, by: run.by, job: jobId, error: run.error });
+    }
+
+    broadcast(session, { type: 'run', clientId, name: run.by, event, data }, clientId);
+    scheduleSave(session);
+}
+
+function onConnection(session, socket, role, name) {
+    const client = { clientId: crypto.randomBytes(6).toString('hex'), name, role, socket, alive: true };
+    session.clients.set(client.clientId, client);
+
+    logger.info('Participant joined', { sessionId: session.id, clientId: client.clientId, name, role, connected: session.clients.size });
+
+    sendSnapshot(session, client);
+    broadcast(session, { type: 'presence', peers: peerList(session) }, client.clientId);
+
+    socket.on('pong', () => { client.alive = true; });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            send(client, { type: 'error', error: 'Invalid message' });
+            return;
+        }
+
+        if (message.type === 'ops') handleOps(session, client, message);
+        else if (message.type === 'cursor') handleCursor(session, client, message);
+    });
+
+    socket.on('close', () => {
+        session.clients.delete(client.clientId);
+        logger.info('Participant left', { sessionId: session.id, clientId: client.clientId, name, connected: session.clients.size });
+
+        broadcast(session, { type: 'presence', peers: peerList(session) });
+
+        // Nobody left - persist now and drop the session from memory
+        if (session.clients.size === 0) {
+            sessions.delete(session.id);
+            saveSession(session);
+        }
+    });
+}
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP status
+ */
+function rejectUpgrade(socket, statusCode) {
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\n\r\n`);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket connections only');
+});
+
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const sessionId = url.searchParams.get('sessionId') || '';
+    const token = url.searchParams.get('token') || '';
+    const name = (url.searchParams.get('name') || '').trim().slice(0, 40) || 'Guest';
+
+    if (url.pathname !== '/session' || !SESSION_ID_PATTERN.test(sessionId)) {
+        rejectUpgrade(socket, 404);
+        return;
+    }
+
+    try {
+        const session = await getSession(sessionId);
+        if (!session) {
+            rejectUpgrade(socket, 404);
+            return;
+        }
+
+        const role = roleForToken(session.meta, token);
+        if (!role) {
+            rejectUpgrade(socket, 403);
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (ws) => onConnection(session, ws, role, name));
+    } catch (err) {
+        logger.error('Session join failed', { sessionId, error: err });
+        rejectUpgrade(socket, 500);
+    }
+});
+
+subscriber.psubscribe('session:runs:*').catch(err => {
+    logger.error('Run subscription failed', { error: err });
+});
+
+subscriber.on('pmessage', (pattern, channel, data) => {
+    // Sessions nobody is connected to have no one to show the run to
+    const session = sessions.get(channel.slice('session:runs:'.length));
+    if (!session) return;
+
+    try {
+        handleRun(session, JSON.parse(data));
+    } catch (err) {
+        logger.warn('Invalid run event', { sessionId: session.id, error: err });
+    }
+});
+
+// Drop connections that stopped answering pings
+const heartbeat = setInterval(() => {
+    sessions.forEach(session => {
+        session.clients.forEach(client => {
+            if (!client.alive) {
+                client.socket.terminate();
+                return;
+            }
+            client.alive = false;
+            client.socket.ping();
+        });
+    });
+}, HEARTBEAT_INTERVAL);
+
+async function shutdown(signal) {
+    logger.info('Shutting down', { signal, sessions: sessions.size });
+    clearInterval(heartbeat);
+    await Promise.all([...sessions.values()].map(saveSession));
+    wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    server.close();
+    await Promise.all([redis.quit(), subscriber.quit()]);
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+server.listen(SESSION_PORT, () => {
+    logger.info('Session sync service listening', { port: SESSION_PORT, redis: `${REDIS_HOST}:${REDIS_PORT}` });
+});
@@ -0,0 +1,277 @@
+const http = require('http');
+const crypto = require('crypto');
+const Redis = require('ioredis');
+const { WebSocketServer, WebSocket } = require('ws');
+const { loadLanguages, getLanguage, getLanguageIds } = require('./languages');
+const { startTerminal, InvalidJobError } = require('./executor');
+const { TERMINATION } = require('./termination');
+const { logger } = require('./logger');
+
+const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
+const REDIS_PORT = parseInt(process.env.REDIS_PORT || '6379', 10);
+const TERMINAL_PORT = parseInt(process.env.TERMINAL_PORT || '3003', 10);
+// Seconds without keystrokes before a terminal is closed
+const IDLE_TIMEOUT = parseInt(process.env.TERMINAL_IDLE_TIMEOUT || '300', 10) * 1000;
+// Seconds a terminal may stay open in total (wall clock, enforced by nsjail)
+const MAX_DURATION = parseInt(process.env.TERMINAL_MAX_DURATION || '1800', 10) * 1000;
+// Terminals open at once on this host, compiling ones included
+const MAX_TERMINALS = parseInt(process.env.TERMINAL_MAX_SESSIONS || '4', 10);
+const TICKET_PATTERN = /^[a-f0-9]{32}$/; // must match api/terminal.php
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_MESSAGE_SIZE = 65536;
+const MAX_COLS = 500;
+const MAX_ROWS = 200;
+// Output is sent in batches instead of one message per write
+const OUTPUT_FLUSH_DELAY = 10;
+
+const redis = new Redis({ host: REDIS_HOST, port: REDIS_PORT });
+
+// Open connections: socket -> { alive, terminal, abort }
+const connections = new Map();
+// Upgrades waiting for their ticket; they count against MAX_TERMINALS too
+let pendingUpgrades = 0;
+let shuttingDown = false;
+
+/**
+ * Redeem a ticket issued by api/terminal.php; each ticket opens one terminal
+ * Returns the stored request ({ language, code, files, compileOptions, repl, clientIp }) or null
+ */
+async function redeemTicket(ticket) {
+    const [[, request]] = await redis.multi()
+        .get(`terminal:ticket:${ticket}`)
+        .del(`terminal:ticket:${ticket}`)
+        .exec();
+
+    return request ? JSON.parse(request) : null;
+}
+
+function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Terminal size from client input, clamped to sane bounds
+ */
+function terminalSize(cols, rows) {
+    const clamp = (value, max, fallback) => Number.isInteger(value) && value > 0 ? Math.min(value, max) : fallback;
+    return { cols: clamp(cols, MAX_COLS, 80), rows: clamp(rows, MAX_ROWS, 24) };
+}
+
+/**
+ * Compile the ticket's project and bridge its terminal to the socket
+ * Messages to the client:
+ *   { type: 'status', phase: 'compiling' | 'running' }
+ *   { type: 'output', data }
+ *   { type: 'compile', result }   - the build failed; result as from executeCode
+ *   { type: 'exit', exitCode, termination, signal, duration }
+ *   { type: 'error', error }
+ * Messages from the client: { type: 'input', data }, { type: 'resize', cols, rows }
+ */
+async function onConnection(socket, request, size) {
+    const terminalId = `term_${crypto.randomBytes(8).toString('hex')}`;
+    const log = logger.child({ terminalId, language: request.language, clientIp: request.clientIp });
+    const connection = { alive: true, terminal: null, abort: new AbortController() };
+    connections.set(socket, connection);
+
+    let idleTimer = null;
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => connection.terminal.kill(TERMINATION.IDLE), IDLE_TIMEOUT);
+    };
+
+    socket.on('pong', () => { connection.alive = true; });
+
+    socket.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            send(socket, { type: 'error', error: 'Invalid message' });
+            return;
+        }
+
+        if (!connection.terminal) return;
+
+        if (message.type === 'input' && typeof message.data === 'string') {
+            connection.terminal.write(message.data);
+            resetIdleTimer();
+        } else if (message.type === 'resize') {
+            const { cols, rows } = terminalSize(message.cols, message.rows);
+            connection.terminal.resize(cols, rows);
+        }
+    });
+
+    socket.on('close', () => {
+        clearTimeout(idleTimer);
+        connections.delete(socket);
+        connection.abort.abort();
+        if (connection.terminal) {
+            connection.terminal.kill(TERMINATION.CANCELLED);
+        }
+    });
+
+    if (getLanguage(request.language)?.compile) {
+        send(socket, { type: 'status', phase: 'compiling' });
+    }
+
+    let started;
+    try {
+        started = await startTerminal(terminalId, request.language, request.code, {
+            files: request.files,
+            compileOptions: request.compileOptions,
+            repl: request.repl,
+            ...size,
+            timeLimit: MAX_DURATION,
+            signal: connection.abort.signal,
+            log
+        });
+    } catch (err) {
+        if (!(err instanceof InvalidJobError)) {
+            log.error('Terminal could not be started', { error: err });
+        }
+        send(socket, { type: 'error', error: err instanceof InvalidJobError ? err.message : 'Terminal could not be started' });
+        socket.close(1011);
+        return;
+    }
+
+    // Compile error, or the client left while compiling
+    if (!started.exited) {
+        send(socket, { type: 'compile', result: started });
+        socket.close(1000);
+        return;
+    }
+
+    if (socket.readyState !== WebSocket.OPEN) {
+        started.kill(TERMINATION.CANCELLED);
+        return;
+    }
+
+    connection.terminal = started;
+
+    let output = '';
+    let flushTimer = null;
+    const flush = () => {
+        flushTimer = null;
+        send(socket, { type: 'output', data: output });
+        output = '';
+    };
+    started.onData((data) => {
+        output += data;
+        flushTimer = flushTimer || setTimeout(flush, OUTPUT_FLUSH_DELAY);
+    });
+    send(socket, { type: 'status', phase: 'running' });
+    resetIdleTimer();
+
+    const result = await started.exited;
+    clearTimeout(idleTimer);
+    connection.terminal = null;
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flush();
+    }
+    send(socket, { type: 'exit', ...result });
+    socket.close(1000);
+}
+
+/**
+ * Refuse a WebSocket upgrade with a plain HTTP status
+ */
+function rejectUpgrade(socket, statusCode) {
+    socket.end(`HTTP/1.1 ${statusCode} ${http.STATUS_CODES[statusCode]}\r\nConnection: close\r\n\r\n`);
+}
+
+const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket connections only');
+});
+
+const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_SIZE });
+
+server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const ticket = url.searchParams.get('ticket') || '';
+
+    if (url.pathname !== '/terminal' || !TICKET_PATTERN.test(ticket)) {
+        rejectUpgrade(socket, 404);
+        return;
+    }
+
+    if (shuttingDown || connections.size + pendingUpgrades >= MAX_TERMINALS) {
+        rejectUpgrade(socket, 503);
+        return;
+    }
+
+    // Hold the slot while the ticket is checked, so concurrent upgrades cannot
+    // all pass the check above; handleUpgrade() registers the connection
+    // synchronously, before the slot is given back
+    pendingUpgrades++;
+    try {
+        const request = await redeemTicket(ticket);
+        if (!request) {
+            rejectUpgrade(socket, 404);
+            return;
+        }
+
+        const size = terminalSize(
+            parseInt(url.searchParams.get('cols') || '', 10),
+            parseInt(url.searchParams.get('rows') || '', 10)
+        );
+        wss.handleUpgrade(req, socket, head, (ws) => onConnection(ws, request, size));
+    } catch (err) {
+        logger.error('Terminal ticket check failed', { error: err });
+        rejectUpgrade(socket, 500);
+    } finally {
+        pendingUpgrades--;
+    }
+});
+
+// Drop connections that stopped answering pings (their terminals are killed on close)
+const heartbeat = setInterval(() => {
+    connections.forEach((connection, socket) => {
+        if (!connection.alive) {
+            socket.terminate();
+            return;
+        }
+        connection.alive = false;
+        socket.ping();
+    });
+}, HEARTBEAT_INTERVAL);
+
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, terminals: connections.size });
+
+    clearInterval(heartbeat);
+    server.close();
+
+    // Closing a socket kills its terminal; wait for the workspaces to be removed
+    const running = [...connections.values()].map(connection => connection.terminal?.exited);
+    wss.clients.forEach(socket => socket.close(1001, 'Server shutting down'));
+    await Promise.all(running);
+
+    await redis.quit();
+    process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+const languageErrors = loadLanguages();
+if (languageErrors.length > 0) {
+    logger.error('Invalid language definitions', { errors: languageErrors });
+    process.exit(1);
+}
+
+server.listen(TERMINAL_PORT, () => {
+    logger.info('Terminal service listening', {
+        port: TERMINAL_PORT,
+        languages: getLanguageIds(),
+        maxTerminals: MAX_TERMINALS,
+        idleTimeoutMs: IDLE_TIMEOUT,
+        maxDurationMs: MAX_DURATION,
+        redis: `${REDIS_HOST}:${REDIS_PORT}`
+    });
+});
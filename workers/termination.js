@@ -0,0 +1,109 @@
+// How a sandboxed run ended
+const TERMINATION = {
+    EXITED: 'exited',
+    SIGNALED: 'signaled',
+    KILLED: 'killed',
+    TIMEOUT: 'timeout',
+    MEMORY_LIMIT: 'memory_limit',
+    OUTPUT_LIMIT: 'output_limit',
+    SANDBOX_VIOLATION: 'sandbox_violation',
+    CANCELLED: 'cancelled',
+    IDLE: 'idle'
+};
+
+// Line appended to stderr for abnormal terminations
+const TERMINATION_MESSAGES = {
+    timeout: 'Execution timeout exceeded',
+    memory_limit: 'Memory limit exceeded',
+    killed: 'Killed by SIGKILL',
+    output_limit: 'Output exceeded maximum size (64KB)',
+    sandbox_violation: 'Blocked by sandbox: forbidden system call',
+    cancelled: 'Execution cancelled',
+    idle: 'Terminal closed after too long without input'
+};
+
+// nsjail log lines look like "[I][2024-01-01T12:00:00+0000] message"
+const NSJAIL_LOG_PATTERN = /^\[[DIWEF]\]\[\d{4}-\d{2}-\d{2}T[^\]]*\]/;
+
+// nsjail reports its own time_limit kill before the child dies
+const NSJAIL_TIMEOUT_PATTERN = /run time >= time limit/;
+const NSJAIL_SIGNAL_PATTERN = /terminated with signal: (SIG[A-Z0-9]+)/;
+const NSJAIL_SECCOMP_PATTERN = /seccomp violation/i;
+
+// Runtime messages printed when an allocation fails under rlimit_as
+const OUT_OF_MEMORY_PATTERNS = [
+    /\bMemoryError\b/,                                  // Python
+    /java\.lang\.OutOfMemoryError/,                     // Java
+    /std::bad_alloc/,                                   // C++
+    /fatal error: runtime: out of memory/,              // Go
+    /memory allocation of \d+ bytes failed/,            // Rust
+    /Allowed memory size of \d+ bytes exhausted/        // PHP
+];
+
+/**
+ * Whether a stderr line was written by nsjail itself rather than the program
+ */
+function isNsjailLogLine(line) {
+    return NSJAIL_LOG_PATTERN.test(line) || (line.startsWith('[') && line.includes('nsjail'));
+}
+
+/**
+ * Work out why a sandboxed run ended
+ *
+ * run.killReason is set when the worker killed nsjail itself ('timeout',
+ * 'output_limit' or 'cancelled'); otherwise the reason comes from the
+ * nsjail log lines, run.exitCode and the program's own stderr, whose
+ * out-of-memory messages only count if the run failed. run.oomKilled is set when
+ * the kernel reported an OOM kill in the run's cgroup, and run.peakMemory and
+ * run.memoryLimit (bytes) are compared for a SIGKILL.
+ * Returns { termination, signal }.
+ */
+function classifyTermination(run) {
+    const {
+        killReason = null,
+        killSignal = null,
+        exitCode = null,
+        nsjailLog = '',
+        programStderr = '',
+        oomKilled = false,
+        peakMemory = 0,
+        memoryLimit = 0
+    } = run;
+
+    const signalMatch = nsjailLog.match(NSJAIL_SIGNAL_PATTERN);
+    const signal = signalMatch ? signalMatch[1] : killSignal;
+
+    if (killReason) {
+        return { termination: killReason, signal };
+    }
+
+    if (NSJAIL_TIMEOUT_PATTERN.test(nsjailLog) || signal === 'SIGXCPU') {
+        return { termination: TERMINATION.TIMEOUT, signal };
+    }
+
+    if (signal === 'SIGSYS' || NSJAIL_SECCOMP_PATTERN.test(nsjailLog)) {
+        return { termination: TERMINATION.SANDBOX_VIOLATION, signal };
+    }
+
+    // A program that prints "MemoryError" and exits 0 did not run out of memory
+    const failed = signal !== null || exitCode !== 0;
+    const outOfMemoryMessage = OUT_OF_MEMORY_PATTERNS.some(pattern => pattern.test(programStderr));
+    const reachedLimit = signal === 'SIGKILL' && memoryLimit > 0 && peakMemory >= memoryLimit;
+    if (failed && (outOfMemoryMessage || oomKilled || reachedLimit)) {
+        return { termination: TERMINATION.MEMORY_LIMIT, signal };
+    }
+
+    // A SIGKILL with no sign of running out of memory (sent by the program itself,
+    // or by an administrator) is not blamed on the memory limit
+    if (signal === 'SIGKILL') {
+        return { termination: TERMINATION.KILLED, signal };
+    }
+
+    if (signal) {
+        return { termination: TERMINATION.SIGNALED, signal };
+    }
+
+    return { termination: TERMINATION.EXITED, signal: null };
+}
+
+module.exports = { TERMINATION, TERMINATION_MESSAGES, classifyTermination, isNsjailLogLine };
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { TERMINATION, classifyTermination, isNsjailLogLine } = require('./termination');
+
+const classify = (run) => classifyTermination(run).termination;
+
+test('a clean exit is exited, whatever the program printed', () => {
+    assert.strictEqual(classify({ exitCode: 0 }), TERMINATION.EXITED);
+    assert.strictEqual(classify({ exitCode: 0, programStderr: 'MemoryError: caught and handled' }), TERMINATION.EXITED);
+    assert.strictEqual(classify({ exitCode: 0, programStderr: 'std::bad_alloc' }), TERMINATION.EXITED);
+});
+
+test('a failed run with an out-of-memory message is memory_limit', () => {
+    assert.strictEqual(classify({ exitCode: 1, programStderr: 'Traceback ...\nMemoryError' }), TERMINATION.MEMORY_LIMIT);
+    assert.strictEqual(classify({ exitCode: 134, killSignal: 'SIGABRT', programStderr: "what():  std::bad_alloc" }), TERMINATION.MEMORY_LIMIT);
+    assert.strictEqual(classify({ exitCode: 2, programStderr: 'fatal error: runtime: out of memory' }), TERMINATION.MEMORY_LIMIT);
+});
+
+test('a nonzero exit without a memory message is exited', () => {
+    assert.deepStrictEqual(classifyTermination({ exitCode: 3, programStderr: 'boom' }), { termination: TERMINATION.EXITED, signal: null });
+});
+
+test('SIGKILL is memory_limit only with an OOM indicator', () => {
+    assert.strictEqual(classify({ killSignal: 'SIGKILL' }), TERMINATION.KILLED);
+    assert.strictEqual(classify({ killSignal: 'SIGKILL', oomKilled: true }), TERMINATION.MEMORY_LIMIT);
+    assert.strictEqual(classify({ killSignal: 'SIGKILL', peakMemory: 268435456, memoryLimit: 268435456 }), TERMINATION.MEMORY_LIMIT);
+    assert.strictEqual(classify({ killSignal: 'SIGKILL', peakMemory: 1048576, memoryLimit: 268435456 }), TERMINATION.KILLED);
+});
+
+test('an OOM kill of a child does not fail a run that exited 0', () => {
+    assert.strictEqual(classify({ exitCode: 0, oomKilled: true }), TERMINATION.EXITED);
+});
+
+test('nsjail log lines decide timeouts, seccomp violations and the signal', () => {
+    const log = (message) => `[I][2024-01-01T12:00:00+0000] ${message}`;
+
+    assert.strictEqual(classify({ killSignal: 'SIGKILL', nsjailLog: log('pid=2 run time >= time limit (5 >= 5). Killing it') }), TERMINATION.TIMEOUT);
+    assert.strictEqual(classify({ killSignal: 'SIGXCPU' }), TERMINATION.TIMEOUT);
+    assert.strictEqual(classify({ nsjailLog: log('pid=2 terminated with signal: SIGSYS') }), TERMINATION.SANDBOX_VIOLATION);
+    assert.deepStrictEqual(
+        classifyTermination({ exitCode: 139, nsjailLog: log('pid=2 terminated with signal: SIGSEGV') }),
+        { termination: TERMINATION.SIGNALED, signal: 'SIGSEGV' }
+    );
+});
+
+test('a kill by the worker keeps its reason', () => {
+    assert.strictEqual(classify({ killReason: TERMINATION.OUTPUT_LIMIT, killSignal: 'SIGKILL' }), TERMINATION.OUTPUT_LIMIT);
+    assert.strictEqual(classify({ killReason: TERMINATION.CANCELLED, killSignal: 'SIGKILL', oomKilled: true }), TERMINATION.CANCELLED);
+});
+
+test('nsjail log lines are told apart from program output', () => {
+    assert.ok(isNsjailLogLine('[I][2024-01-01T12:00:00+0000] Mode: STANDALONE_ONCE'));
+    assert.ok(!isNsjailLogLine('[1, 2, 3]'));
+    assert.ok(!isNsjailLogLine('Traceback (most recent call last):'));
+});
@@ -0,0 +1,292 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Delegated cgroup v2 directory for per-run accounting; empty: sample /proc instead
+const CGROUP_ROOT = process.env.CGROUP_ROOT || '';
+const CGROUP_PREFIX = 'run_';
+// A run's cgroup can only be removed once the kernel has released its last process
+const CGROUP_REMOVE_ATTEMPTS = 5;
+const CGROUP_REMOVE_DELAY = 20;
+// ms after the start of a run to check that it joined its cgroup
+const CGROUP_JOIN_CHECK_DELAY = 50;
+// Shell scripts that move themselves into the cgroup ($0) and exec the command.
+// A failed move is ignored (the run is sampled instead) unless the cgroup caps
+// the run's memory, which must not run uncapped.
+const JOIN_AND_RUN = '{ echo $$ > "$0"; } 2>/dev/null; exec "$@"';
+const JOIN_OR_FAIL = 'echo $$ > "$0" || exit 1; exec "$@"';
+
+// Sampling interval for the sandboxed process tree
+const SAMPLE_INTERVAL = 20;
+// Kernel clock ticks per second (USER_HZ) used in /proc/<pid>/stat
+const CLOCK_TICKS = 100;
+
+/**
+ * Child PIDs of every thread of a process
+ */
+async function readChildren(pid) {
+    try {
+        const tasks = await fs.readdir(`/proc/${pid}/task`);
+        const lists = await Promise.all(tasks.map(tid =>
+            fs.readFile(`/proc/${pid}/task/${tid}/children`, 'utf8').catch(() => '')
+        ));
+        return lists.join(' ').split(/\s+/).filter(Boolean).map(Number);
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * CPU ticks and peak RSS (bytes) for one process, or null once it has exited
+ */
+async function readProcess(pid) {
+    try {
+        const [stat, status] = await Promise.all([
+            fs.readFile(`/proc/${pid}/stat`, 'utf8'),
+            fs.readFile(`/proc/${pid}/status`, 'utf8')
+        ]);
+
+        // Fields after the parenthesised command name; utime/stime are 14th/15th overall
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const hwm = status.match(/^VmHWM:\s+(\d+)\s+kB/m);
+
+        return {
+            utime: parseInt(fields[11], 10),
+            stime: parseInt(fields[12], 10),
+            peakRss: hwm ? parseInt(hwm[1], 10) * 1024 : 0
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Sample CPU time and peak memory of everything nsjail spawns
+ *
+ * Only an estimate, used when CGROUP_ROOT is not set: samples are taken
+ * every SAMPLE_INTERVAL ms, so CPU time spent after the last sample and
+ * processes that lived between two samples are not counted. nsjail itself
+ * is excluded; peak RSS comes from the kernel's VmHWM high-water mark.
+ */
+function monitorProcessTree(rootPid) {
+    const processes = new Map();
+    let stopped = false;
+    let sampling = null;
+
+    async function sample() {
+        const queue = await readChildren(rootPid);
+
+        while (queue.length > 0) {
+            const pid = queue.shift();
+            const usage = await readProcess(pid);
+            if (usage) {
+                processes.set(pid, usage);
+                queue.push(...await readChildren(pid));
+            }
+        }
+    }
+
+    const timer = setInterval(() => {
+        if (!sampling && !stopped) {
+            sampling = sample().finally(() => { sampling = null; });
+        }
+    }, SAMPLE_INTERVAL);
+
+    return {
+        /**
+         * Stop sampling and return { cpuUser, cpuSystem, peakMemory } (ms, ms, bytes)
+         */
+        async stop() {
+            stopped = true;
+            clearInterval(timer);
+            if (sampling) await sampling;
+
+            let utime = 0;
+            let stime = 0;
+            let peakMemory = 0;
+
+            processes.forEach(usage => {
+                utime += usage.utime;
+                stime += usage.stime;
+                peakMemory = Math.max(peakMemory, usage.peakRss);
+            });
+
+            return {
+                cpuUser: Math.round(utime * 1000 / CLOCK_TICKS),
+                cpuSystem: Math.round(stime * 1000 / CLOCK_TICKS),
+                peakMemory
+            };
+        }
+    };
+}
+
+/**
+ * Totals of a finished run's cgroup: { cpuUser, cpuSystem, peakMemory, oomKilled, joined } (ms, ms, bytes)
+ * oomKilled: the kernel OOM killer killed a process of the run
+ * joined: the run was in the cgroup at all (no CPU time means it never was)
+ */
+async function readCgroupUsage(dir) {
+    const [cpuStat, peak, events] = await Promise.all([
+        fs.readFile(path.join(dir, 'cpu.stat'), 'utf8'),
+        fs.readFile(path.join(dir, 'memory.peak'), 'utf8'),
+        fs.readFile(path.join(dir, 'memory.events'), 'utf8').catch(() => '')
+    ]);
+    const field = (text, name) => {
+        const match = text.match(new RegExp(`^${name} (\\d+)$`, 'm'));
+        return match ? parseInt(match[1], 10) : 0;
+    };
+
+    return {
+        cpuUser: Math.round(field(cpuStat, 'user_usec') / 1000),
+        cpuSystem: Math.round(field(cpuStat, 'system_usec') / 1000),
+        peakMemory: parseInt(peak, 10),
+        oomKilled: field(events, 'oom_kill') > 0,
+        joined: field(cpuStat, 'usage_usec') > 0
+    };
+}
+
+async function removeCgroup(dir) {
+    for (let attempt = 1; attempt <= CGROUP_REMOVE_ATTEMPTS; attempt++) {
+        try {
+            await fs.rmdir(dir);
+            return;
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            await new Promise(resolve => setTimeout(resolve, CGROUP_REMOVE_DELAY));
+        }
+    }
+}
+
+/**
+ * Whether runs can get a cgroup, and with it a memory cap (memory.max)
+ */
+function canCapMemory() {
+    return Boolean(CGROUP_ROOT);
+}
+
+/**
+ * Cap a run cgroup's memory at limit bytes, swap included
+ */
+async function capMemory(dir, limit) {
+    await fs.writeFile(path.join(dir, 'memory.max'), String(limit));
+    // Absent when the kernel does not account swap
+    await fs.writeFile(path.join(dir, 'memory.swap.max'), '0').catch(() => {});
+}
+
+/**
+ * Whether a run has joined its cgroup: it is in it, or has used CPU time there
+ */
+async function hasJoined(dir) {
+    const [procs, cpuStat] = await Promise.all([
+        fs.readFile(path.join(dir, 'cgroup.procs'), 'utf8').catch(() => ''),
+        fs.readFile(path.join(dir, 'cpu.stat'), 'utf8').catch(() => '')
+    ]);
+    const usage = cpuStat.match(/^usage_usec (\d+)$/m);
+
+    return procs.trim() !== '' || (usage !== null && parseInt(usage[1], 10) > 0);
+}
+
+/**
+ * Measure one sandboxed run
+ *
+ * With CGROUP_ROOT, the run gets a cgroup of its own: nsjail joins it before
+ * it starts anything, and the kernel's cpu.stat and memory.peak give exact
+ * totals for the whole process tree (nsjail included). Without it, or when
+ * the run could not join it, the tree is sampled from /proc (monitorProcessTree).
+ *
+ * options.memoryLimit (bytes) also caps the cgroup's memory, for runs that
+ * cannot be limited by rlimit_as; monitor.capsMemory tells whether it took.
+ * Such runs do not start unless they joined the cgroup, and stop() reports
+ * joined: false for them.
+ *
+ * Spawn monitor.wrap(command, args), pass the child's PID to start() and
+ * call stop() once it has exited. stop() also reports oomKilled, which only
+ * the cgroup can tell.
+ */
+async function createUsageMonitor(options = {}) {
+    const { memoryLimit = 0 } = options;
+
+    let dir = null;
+    if (CGROUP_ROOT) {
+        dir = path.join(CGROUP_ROOT, `${CGROUP_PREFIX}${process.pid}_${crypto.randomBytes(4).toString('hex')}`);
+        // Sample instead if it cannot be made; checkCgroupAccounting() reports why
+        await fs.mkdir(dir).catch(() => { dir = null; });
+    }
+
+    let capsMemory = false;
+    if (dir && memoryLimit > 0) {
+        capsMemory = await capMemory(dir, memoryLimit).then(() => true, () => false);
+    }
+
+    if (!dir) {
+        let sampler = null;
+        return {
+            capsMemory,
+            wrap: (command, args) => ({ command, args }),
+            start(pid) { sampler = monitorProcessTree(pid); },
+            stop: () => sampler ? sampler.stop() : { cpuUser: 0, cpuSystem: 0, peakMemory: 0 }
+        };
+    }
+
+    let sampler = null;
+    let joinCheck = null;
+    let stopped = false;
+
+    return {
+        capsMemory,
+        // The shell moves itself into the cgroup, then execs nsjail under the same PID
+        wrap: (command, args) => ({
+            command: '/bin/sh',
+            args: ['-c', capsMemory ? JOIN_OR_FAIL : JOIN_AND_RUN, path.join(dir, 'cgroup.procs'), command, ...args]
+        }),
+        start(pid) {
+            if (capsMemory) return;
+            joinCheck = setTimeout(async () => {
+                if (!(await hasJoined(dir)) && !stopped) {
+                    sampler = monitorProcessTree(pid);
+                }
+            }, CGROUP_JOIN_CHECK_DELAY);
+        },
+        async stop() {
+            stopped = true;
+            clearTimeout(joinCheck);
+            const sampled = sampler ? sampler.stop() : null;
+
+            let usage = null;
+            try {
+                usage = await readCgroupUsage(dir);
+            } catch (err) {
+                // Unreadable: counted as not joined
+            } finally {
+                await removeCgroup(dir);
+            }
+
+            if (usage && usage.joined) {
+                return usage;
+            }
+            if (capsMemory) {
+                return { cpuUser: 0, cpuSystem: 0, peakMemory: 0, joined: false };
+            }
+            return (await sampled) || { cpuUser: 0, cpuSystem: 0, peakMemory: 0 };
+        }
+    };
+}
+
+/**
+ * Check that CGROUP_ROOT (if set) can hold run cgroups, and turn on the
+ * memory controller for them. Returns a list of problems.
+ */
+async function checkCgroupAccounting() {
+    if (!CGROUP_ROOT) {
+        return [];
+    }
+
+    try {
+        await fs.writeFile(path.join(CGROUP_ROOT, 'cgroup.subtree_control'), '+memory');
+        return [];
+    } catch (err) {
+        return [`cannot enable memory accounting in CGROUP_ROOT ${CGROUP_ROOT}: ${err.message}`];
+    }
+}
+
+module.exports = { createUsageMonitor, canCapMemory, checkCgroupAccounting };
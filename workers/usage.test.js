@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// A plain directory stands in for the delegated cgroup: its files are written
+// by the test where the kernel would fill them in
+const cgroupRoot = path.join(os.tmpdir(), `usage-test-${process.pid}`);
+process.env.CGROUP_ROOT = cgroupRoot;
+const { createUsageMonitor } = require('./usage');
+
+// Runs a CPU-bound child, so /proc sampling has something to see
+const BUSY = ['/bin/sh', ['-c', '/bin/sh -c \'i=0; while [ $i -lt 300000 ]; do i=$((i+1)); done\'; echo ran']];
+
+function run(command) {
+    const proc = spawn(command.command, command.args);
+    let stdout = '';
+    proc.stdout.on('data', (data) => { stdout += data; });
+    return {
+        pid: proc.pid,
+        exited: new Promise(resolve => proc.on('close', (code) => resolve({ code, stdout })))
+    };
+}
+
+before(() => fs.mkdir(cgroupRoot, { recursive: true }));
+after(() => fs.rm(cgroupRoot, { recursive: true, force: true }));
+
+test('a run that joined its cgroup reports the cgroup totals', async () => {
+    const monitor = await createUsageMonitor();
+    const command = monitor.wrap('/bin/echo', ['ran']);
+    const dir = path.dirname(command.args[2]);
+
+    const child = run(command);
+    monitor.start(child.pid);
+    assert.deepStrictEqual(await child.exited, { code: 0, stdout: 'ran\n' });
+
+    await fs.writeFile(path.join(dir, 'cpu.stat'), 'usage_usec 3000\nuser_usec 2000\nsystem_usec 1000\n');
+    await fs.writeFile(path.join(dir, 'memory.peak'), '1048576\n');
+    await fs.writeFile(path.join(dir, 'memory.events'), 'oom 0\noom_kill 0\n');
+
+    const usage = await monitor.stop();
+    assert.deepStrictEqual(usage, { cpuUser: 2, cpuSystem: 1, peakMemory: 1048576, oomKilled: false, joined: true });
+});
+
+test('a run that cannot join its cgroup still runs and is sampled', async () => {
+    const monitor = await createUsageMonitor();
+    const command = monitor.wrap(...BUSY);
+    // cgroup.procs cannot be written when it is a directory
+    await fs.mkdir(command.args[2]);
+
+    const child = run(command);
+    monitor.start(child.pid);
+    assert.deepStrictEqual(await child.exited, { code: 0, stdout: 'ran\n' });
+
+    const usage = await monitor.stop();
+    assert.strictEqual(usage.joined, undefined);
+    assert.ok(usage.cpuUser + usage.cpuSystem > 0, 'CPU time was sampled');
+});
+
+test('a memory-capped run does not start outside its cgroup', async () => {
+    const monitor = await createUsageMonitor({ memoryLimit: 268435456 });
+    assert.strictEqual(monitor.capsMemory, true);
+
+    const command = monitor.wrap('/bin/echo', ['ran']);
+    const dir = path.dirname(command.args[2]);
+    assert.strictEqual(await fs.readFile(path.join(dir, 'memory.max'), 'utf8'), '268435456');
+    await fs.mkdir(command.args[2]);
+
+    const child = run(command);
+    monitor.start(child.pid);
+    const { code, stdout } = await child.exited;
+    assert.notStrictEqual(code, 0);
+    assert.strictEqual(stdout, '');
+
+    assert.strictEqual((await monitor.stop()).joined, false);
+});
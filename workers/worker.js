@@ -1,104 +1,629 @@
+const os = require('os');
+const http = require('http');
 const Redis = require('ioredis');
-const { executeCode } = require('./executor');
+const {
+    executeCode,
+    checkSandbox,
+    warmSandboxPool,
+    drainSandboxPool,
+    sandboxPoolIdle,
+    InvalidJobError
+} = require('./executor');
+const {
+    loadLanguages,
+    getLanguage,
+    getLanguageIds,
+    getToolchainVersion,
+    resolveCompileOptions
+} = require('./languages');
+const { hideTestDetails } = require('./grader');
+const { createQueue } = require('./queue');
+const { createBatches } = require('./batches');
+const { createCounter, createGauge, createHistogram, renderMetrics } = require('./metrics');
+const { logger } = require('./logger');
 
 const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
 const REDIS_PORT = parseInt(process.env.REDIS_PORT || '6379', 10);
 const QUEUE_NAME = 'code-execution';
 const CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || '4', 10);
+// Running jobs per tenant (session or client), across all workers
+const TENANT_CONCURRENCY = parseInt(process.env.TENANT_CONCURRENCY || '2', 10);
 const JOB_RESULT_TTL = 300;
+// Pending status of a requeued job (must match JOB_QUEUE_TTL in api/config.php)
+const JOB_QUEUE_TTL = 86400;
 const CACHE_TTL = 3600;
+const COMPILE_ERROR_CACHE_TTL = 600;
+// Toolchain version per language, read by execute.php for result cache keys
+const TOOLCHAINS_KEY = 'languages:toolchains';
+const CANCEL_POLL_INTERVAL = 250;
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}:${process.pid}`;
+// A job whose lease is not renewed within this many ms is considered orphaned
+const VISIBILITY_TIMEOUT = parseInt(process.env.JOB_VISIBILITY_TIMEOUT || '30000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10);
+const RETRY_DELAY = 1000;
+const REAP_INTERVAL = 10000;
+// How long SIGTERM waits for in-flight jobs before requeueing them
+const SHUTDOWN_GRACE = parseInt(process.env.WORKER_SHUTDOWN_GRACE || '20000', 10);
+// Abort reason for jobs interrupted by shutdown
+const SHUTDOWN = 'shutdown';
+// Local HTTP endpoint for /metrics and /healthz
+const METRICS_HOST = process.env.METRICS_HOST || '127.0.0.1';
+const METRICS_PORT = parseInt(process.env.METRICS_PORT || '3002', 10);
+const HEALTH_CHECK_TIMEOUT = 2000;
 
 const redis = new Redis({ host: REDIS_HOST, port: REDIS_PORT });
 const subscriber = new Redis({ host: REDIS_HOST, port: REDIS_PORT });
 
+const queue = createQueue({
+    redis,
+    blockingRedis: subscriber,
+    name: QUEUE_NAME,
+    workerId: WORKER_ID,
+    visibilityTimeout: VISIBILITY_TIMEOUT,
+    maxAttempts: MAX_ATTEMPTS,
+    retryDelay: RETRY_DELAY,
+    tenantConcurrency: TENANT_CONCURRENCY,
+    onDeadLetter: (job, reason, attempts) => {
+        if (job.batch) {
+            return batches.fail(job, `Batch could not be queued after ${attempts} attempts: ${reason}`);
+        }
+        jobsTotal.inc({ language: languageLabel(job.language), outcome: 'failed' });
+        return storeError(job, `Execution failed after ${attempts} attempts: ${reason}`, 0);
+    }
+});
+
+const batches = createBatches({ redis, queue, storeError });
+
 let activeJobs = 0;
+let shuttingDown = false;
+
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const WAIT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const jobsTotal = createCounter('executor_jobs_total',
+    'Jobs finished by this worker, by language and outcome');
+const jobDuration = createHistogram('executor_job_duration_seconds',
+    'Wall time of finished jobs, including workspace setup and compilation', DURATION_BUCKETS);
+const compileDuration = createHistogram('executor_compile_duration_seconds',
+    'Compiler wall time per job (builds restored from the artifact cache excluded)', DURATION_BUCKETS);
+const buildCache = createCounter('executor_build_cache_requests_total',
+    'Artifact cache lookups by compiled jobs, by language and result (hit/miss)');
+const queueWait = createHistogram('executor_queue_wait_seconds',
+    'Time from submission until a worker started the job (first attempt)', WAIT_BUCKETS);
+const jobRetries = createCounter('executor_job_retries_total',
+    'Jobs requeued after an infrastructure failure');
+createGauge('executor_active_jobs', 'Jobs running on this worker', () =>
+    [...runningByLanguage.entries()].map(([language, count]) => [{ language }, count]));
+createGauge('executor_concurrency', 'Maximum concurrent jobs on this worker', () => [[{}, CONCURRENCY]]);
+createGauge('executor_sandbox_pool_idle', 'Pre-made workspaces ready for the next job, by language', () =>
+    sandboxPoolIdle().map(([language, count]) => [{ language }, count]));
+createGauge('executor_queue_depth', 'Jobs waiting in the queue, by priority (cluster-wide)', async () => {
+    const { processing, dead, ...waiting } = await queue.depth();
+    return Object.entries(waiting).map(([priority, count]) => [{ priority }, count]);
+});
+createGauge('executor_queue_processing', 'Jobs claimed by any worker (cluster-wide)', async () =>
+    [[{}, (await queue.depth()).processing]]);
+createGauge('executor_dead_letter_jobs', 'Jobs on the dead-letter list (cluster-wide)', async () =>
+    [[{}, (await queue.depth()).dead]]);
+createGauge('executor_cache_requests_total', 'Result cache lookups by api/execute.php (cluster-wide)', async () => {
+    const fields = await redis.hgetall('metrics:cache');
+    return Object.entries(fields).map(([field, count]) => {
+        const [language, result] = field.split(':');
+        return [{ language, result }, parseInt(count, 10)];
+    });
+}, 'counter');
+
+/**
+ * Metric label for a job's language; unknown values would explode cardinality
+ */
+function languageLabel(language) {
+    return getLanguage(language) ? language : 'unknown';
+}
 
-function getCacheKey(language, code) {
+/**
+ * Outcome label for a finished job's result
+ */
+function outcomeOf(result) {
+    if (result.cancelled) return 'cancelled';
+    if (result.compileError) return 'compile_error';
+    if (result.termination && result.termination !== 'exited') return result.termination;
+    return result.exitCode === 0 ? 'success' : 'runtime_error';
+}
+
+// AbortControllers for in-flight jobs, keyed by job ID
+const runningJobs = new Map();
+// Jobs running on this worker per language, for the definitions' concurrency limits
+const runningByLanguage = new Map();
+// Promises of in-flight processJob() calls, awaited on shutdown
+const inFlight = new Set();
+
+/**
+ * Toolchain version, sandbox limits and compile options a cached result
+ * depends on, or null when the version is unknown (the result is not cached then)
+ * Must match getCacheScope() in api/config.php
+ */
+async function getCacheScope(config, compileOptions) {
+    const version = await getToolchainVersion(config);
+    if (version === null) {
+        return null;
+    }
+
+    const options = Object.entries(resolveCompileOptions(config, compileOptions))
+        .map(([name, value]) => `${name}=${value}`)
+        .join(',');
+    return `${version}|${config.timeout / 1000}|${config.memoryLimit}` + (options ? `|${options}` : '');
+}
+
+function getCacheKey(language, scope, code, stdin = '') {
     const crypto = require('crypto');
-    return 'cache:' + crypto.createHash('sha256').update(language + ':' + code).digest('hex');
+    // Must match getCacheKey() in api/config.php
+    const stdinHash = crypto.createHash('sha256').update(stdin).digest('hex');
+    return 'cache:' + crypto.createHash('sha256').update(language + ':' + scope + ':' + stdinHash + ':' + code).digest('hex');
 }
 
-async function processJob(jobData) {
-    const { id: jobId, language, code } = jobData;
-    const startTime = Date.now();
+/**
+ * Compile errors do not depend on stdin or test cases, so they get their own key
+ * Must match getCompileErrorKey() in api/config.php
+ */
+function getCompileErrorKey(language, scope, code) {
+    const crypto = require('crypto');
+    return 'cache:compile:' + crypto.createHash('sha256').update(language + ':' + scope + ':' + code).digest('hex');
+}
 
-    console.log(`[${jobId}] Processing ${language} job...`);
+/**
+ * Publish the toolchain version of every language for execute.php's cache keys
+ */
+async function publishToolchains() {
+    const versions = {};
+    for (const id of getLanguageIds()) {
+        const version = await getToolchainVersion(getLanguage(id));
+        if (version !== null) {
+            versions[id] = version;
+        }
+    }
+
+    if (Object.keys(versions).length > 0) {
+        await redis.hset(TOOLCHAINS_KEY, versions);
+    }
+}
+
+/**
+ * Append a live output event to the job's Redis stream (read by api/stream.php)
+ */
+function publishOutput(jobId, type, data) {
+    const key = `job:output:${jobId}`;
+    return redis.multi()
+        .xadd(key, '*', 'type', type, 'data', data)
+        .expire(key, JOB_RESULT_TTL)
+        .exec()
+        .catch(err => logger.error('Output publish failed', { jobId, error: err }));
+}
 
+/**
+ * Show a session run's progress to everyone in the session (workers/session-server.js)
+ * Only jobs submitted with the session's edit token carry job.session.
+ */
+function publishRun(job, event, data) {
+    if (!job.session) return Promise.resolve();
+
+    const message = JSON.stringify({ jobId: job.id, clientId: job.session.clientId, event, data });
+    return redis.publish(`session:runs:${job.session.id}`, message)
+        .catch(err => logger.error('Run publish failed', { jobId: job.id, error: err }));
+}
+
+/**
+ * Store a job's result, and add it to the job's batch (api/batch.php) if it has one
+ */
+async function storeResult(job, result) {
+    const json = JSON.stringify(result);
+    await redis.setex(`job:result:${job.id}`, JOB_RESULT_TTL, json);
+
+    if (job.batchId) {
+        await batches.recordResult(job, json);
+    }
+
+    await publishRun(job, result.error ? 'error' : 'result', result.error ? result.stderr : result);
+}
+
+/**
+ * Store the result for a job that was cancelled before it ran
+ */
+async function storeCancelled(job) {
+    await storeResult(job, {
+        stdout: '',
+        stderr: 'Execution cancelled',
+        exitCode: -1,
+        cancelled: true,
+        executionTime: 0
+    });
+    await redis.del(`job:status:${job.id}`, `job:cancel:${job.id}`);
+    await publishOutput(job.id, 'end', '');
+}
+
+/**
+ * Store an error result so the client stops waiting
+ */
+async function storeError(job, message, executionTime) {
+    await storeResult(job, {
+        stdout: '',
+        stderr: message || 'Unknown error',
+        exitCode: -1,
+        error: true,
+        executionTime
+    });
+    await redis.del(`job:status:${job.id}`);
+    await publishOutput(job.id, 'end', '');
+}
+
+/**
+ * Show a requeued job as waiting again
+ */
+async function markPending(job) {
+    await redis.setex(`job:status:${job.id}`, JOB_QUEUE_TTL, JSON.stringify({
+        status: 'pending',
+        createdAt: Math.floor(Date.now() / 1000),
+        tenant: job.tenant,
+        priority: job.priority
+    }));
+}
+
+/**
+ * Languages this worker is running at their definition's concurrency limit
+ */
+function blockedLanguages() {
+    return [...runningByLanguage.entries()]
+        .filter(([language, count]) => {
+            const config = getLanguage(language);
+            return config && config.concurrency && count >= config.concurrency;
+        })
+        .map(([language]) => language);
+}
+
+/**
+ * Abort running jobs whose cancel flag (set by api/cancel.php) appeared
+ */
+async function checkCancellations() {
+    if (runningJobs.size === 0) return;
+
+    const jobIds = [...runningJobs.keys()];
     try {
+        const flags = await redis.mget(jobIds.map(id => `job:cancel:${id}`));
+        flags.forEach((flag, i) => {
+            const controller = runningJobs.get(jobIds[i]);
+            if (flag && controller && !controller.signal.aborted) {
+                logger.info('Cancel requested, killing process', { jobId: jobIds[i] });
+                controller.abort();
+            }
+        });
+    } catch (err) {
+        logger.error('Cancel check failed', { error: err });
+    }
+}
+
+/**
+ * Canonical string for a multi-file project, used in place of code in cache keys
+ * Must match serializeFiles() in api/config.php
+ */
+function serializeFiles(files) {
+    const crypto = require('crypto');
+    return Object.keys(files)
+        .sort()
+        .map(file => file + ':' + crypto.createHash('sha256').update(files[file]).digest('hex') + '\n')
+        .join('');
+}
+
+/**
+ * Run a claimed job and acknowledge it
+ *
+ * Invalid jobs are answered with an error result; infrastructure failures
+ * are retried up to MAX_ATTEMPTS times before being dead-lettered. Jobs
+ * interrupted by shutdown are released back to the queue.
+ */
+async function processJob(claimed) {
+    const jobData = claimed.job;
+    const {
+        id: jobId,
+        language,
+        code,
+        files = null,
+        stdin = '',
+        tests = null,
+        compare = {},
+        compileOptions = null
+    } = jobData;
+    const attempt = (jobData.attempts || 0) + 1;
+    const startTime = Date.now();
+    const controller = new AbortController();
+    const languageName = languageLabel(language);
+    const log = logger.child({ jobId, language, clientIp: jobData.clientIp });
+
+    try {
+        // Drop jobs cancelled while still queued
+        if (await redis.exists(`job:cancel:${jobId}`)) {
+            log.info('Cancelled before start, skipping', { phase: 'queued' });
+            await storeCancelled(jobData);
+            await queue.ack(claimed);
+            jobsTotal.inc({ language: languageName, outcome: 'cancelled' });
+            return;
+        }
+
+        runningJobs.set(jobId, controller);
+
+        const queueWaitMs = jobData.queuedAt ? Math.max(0, startTime - jobData.queuedAt) : null;
+        if (attempt === 1 && queueWaitMs !== null) {
+            queueWait.observe({ language: languageName }, queueWaitMs / 1000);
+        }
+        log.info('Job started', {
+            phase: 'queued',
+            queueWaitMs,
+            attempt,
+            tenant: jobData.tenant,
+            priority: jobData.priority,
+            problemId: jobData.problemId || undefined
+        });
+
         await redis.setex(`job:status:${jobId}`, JOB_RESULT_TTL, JSON.stringify({
             status: 'processing',
             startedAt: Math.floor(startTime / 1000)
         }));
+        await publishRun(jobData, 'start', { language });
+
+        let result = await executeCode(jobId, language, code, {
+            files,
+            stdin,
+            tests,
+            compare,
+            compileOptions,
+            onOutput: (stream, chunk) => {
+                publishOutput(jobId, stream, chunk);
+                publishRun(jobData, stream, chunk);
+            },
+            signal: controller.signal,
+            log
+        });
 
-        const result = await executeCode(jobId, language, code);
+        if (controller.signal.reason === SHUTDOWN) {
+            await queue.release(claimed);
+            await markPending(jobData);
+            log.info('Interrupted by shutdown, requeued');
+            return;
+        }
+
+        // Problem submissions: hidden test outputs never leave the worker
+        if (jobData.hiddenTests) {
+            result = hideTestDetails(result);
+        }
         result.executionTime = Date.now() - startTime;
 
-        await redis.setex(`job:result:${jobId}`, JOB_RESULT_TTL, JSON.stringify(result));
+        await storeResult(jobData, result);
+
+        // Test runs are graded per request, so only their compile errors are cached
+        const scope = jobData.cache !== false ? await getCacheScope(getLanguage(language), compileOptions) : null;
+        const source = files ? serializeFiles(files) : code;
+        if (scope !== null && result.exitCode === 0 && !result.compileError && !tests) {
+            await redis.setex(getCacheKey(language, scope, source, stdin), CACHE_TTL, JSON.stringify(result));
+            log.debug('Result cached');
+        } else if (scope !== null && result.compileError && result.exitCode > 0) {
+            // A compiler killed by a timeout (exit code -1) may succeed next time
+            await redis.setex(getCompileErrorKey(language, scope, source), COMPILE_ERROR_CACHE_TTL, JSON.stringify(result));
+            log.debug('Compile error cached');
+        }
+
+        // The cancel flag has done its job once the run is over
+        await redis.del(`job:status:${jobId}`, `job:cancel:${jobId}`);
+        await publishOutput(jobId, 'end', '');
+        await queue.ack(claimed);
 
-        if (result.exitCode === 0 && !result.compileError) {
-            const cacheKey = getCacheKey(language, code);
-            await redis.setex(cacheKey, CACHE_TTL, JSON.stringify(result));
-            console.log(`[${jobId}] Result cached`);
+        const labels = { language: languageName, outcome: outcomeOf(result) };
+        jobsTotal.inc(labels);
+        jobDuration.observe(labels, result.executionTime / 1000);
+        if (result.stats && result.stats.compileCached !== undefined) {
+            buildCache.inc({ language: languageName, result: result.stats.compileCached ? 'hit' : 'miss' });
+        }
+        if (result.stats && result.stats.compileTime && !result.stats.compileCached) {
+            compileDuration.observe({ language: languageName }, result.stats.compileTime / 1000);
         }
 
-        await redis.del(`job:status:${jobId}`);
-        console.log(`[${jobId}] Completed in ${result.executionTime}ms (exit: ${result.exitCode})`);
+        if (!result.cancelled) {
+            await queue.recordDuration(result.executionTime);
+        }
+        log.info(result.cancelled ? 'Job cancelled' : 'Job completed', {
+            durationMs: result.executionTime,
+            outcome: labels.outcome,
+            exitCode: result.exitCode,
+            termination: result.termination
+        });
 
     } catch (error) {
-        console.error(`[${jobId}] Error:`, error.message);
-        await redis.setex(`job:result:${jobId}`, JOB_RESULT_TTL, JSON.stringify({
-            stdout: '',
-            stderr: error.message || 'Unknown error',
-            exitCode: -1,
-            error: true,
-            executionTime: Date.now() - startTime
-        }));
-        await redis.del(`job:status:${jobId}`);
+        if (error instanceof InvalidJobError) {
+            log.warn('Job rejected', { error });
+            await storeError(jobData, error.message, Date.now() - startTime);
+            await queue.ack(claimed);
+            jobsTotal.inc({ language: languageName, outcome: 'invalid' });
+        } else if (await queue.retry(claimed, error.message)) {
+            jobRetries.inc({ language: languageName });
+            log.warn('Attempt failed, retrying', { attempt, maxAttempts: MAX_ATTEMPTS, error });
+            await markPending(jobData);
+        } else {
+            log.error('Job failed, moved to dead-letter list', { attempt, error });
+        }
     } finally {
+        runningJobs.delete(jobId);
+        runningByLanguage.set(language, runningByLanguage.get(language) - 1);
         activeJobs--;
     }
 }
 
 async function pollQueue() {
-    while (true) {
+    while (!shuttingDown) {
         try {
             if (activeJobs >= CONCURRENCY) {
                 await new Promise(r => setTimeout(r, 100));
                 continue;
             }
 
-            const item = await subscriber.brpop('queue:' + QUEUE_NAME, 1);
+            const claimed = await queue.claim(1, blockedLanguages());
+            if (!claimed) continue;
 
-            if (item) {
-                const jobData = JSON.parse(item[1]);
-                activeJobs++;
-                processJob(jobData).catch(err => {
-                    console.error('Job processing error:', err);
-                    activeJobs--;
-                });
+            // Shutdown started while waiting for this job
+            if (shuttingDown) {
+                await queue.release(claimed);
+                break;
+            }
+
+            if (claimed.job.batch) {
+                await batches.fanOut(claimed);
+                continue;
             }
+
+            activeJobs++;
+            const { language } = claimed.job;
+            runningByLanguage.set(language, (runningByLanguage.get(language) || 0) + 1);
+            // An unexpected failure leaves the job leased; the reaper requeues it
+            const job = processJob(claimed).catch(err => {
+                logger.error('Job processing error', { jobId: claimed.job.id, error: err });
+            });
+            inFlight.add(job);
+            job.finally(() => inFlight.delete(job));
         } catch (err) {
-            console.error('Queue poll error:', err.message);
+            logger.error('Queue poll failed', { error: err });
             await new Promise(r => setTimeout(r, 1000));
         }
     }
 }
 
-console.log('Starting code execution worker...');
-console.log(`Connected to Redis at ${REDIS_HOST}:${REDIS_PORT}`);
-console.log(`Listening on queue: ${QUEUE_NAME} (concurrency: ${CONCURRENCY})`);
+/**
+ * Periodic queue maintenance: orphaned jobs of crashed workers
+ */
+async function reapOrphans() {
+    try {
+        await queue.reap();
+    } catch (err) {
+        logger.error('Reaper failed', { error: err });
+    }
+}
 
-pollQueue();
+/**
+ * Health of this worker's dependencies: Redis and the nsjail sandbox
+ */
+async function checkHealth() {
+    const checks = {};
 
-process.on('SIGTERM', async () => {
-    console.log('Shutting down...');
-    await redis.quit();
-    await subscriber.quit();
-    process.exit(0);
+    try {
+        await Promise.race([
+            redis.ping(),
+            new Promise((_, reject) => setTimeout(() => reject(new Error('timed out')), HEALTH_CHECK_TIMEOUT))
+        ]);
+        checks.redis = 'ok';
+    } catch (err) {
+        checks.redis = `unreachable: ${err.message}`;
+    }
+
+    const problems = await checkSandbox();
+    checks.sandbox = problems.length === 0 ? 'ok' : problems.join('; ');
+
+    const healthy = !shuttingDown && Object.values(checks).every(check => check === 'ok');
+    return { status: healthy ? 'ok' : (shuttingDown ? 'shutting_down' : 'unhealthy'), checks };
+}
+
+const metricsServer = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    try {
+        if (req.method === 'GET' && pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(await renderMetrics());
+        } else if (req.method === 'GET' && pathname === '/healthz') {
+            const health = await checkHealth();
+            res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(health));
+        } else {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found\n');
+        }
+    } catch (err) {
+        logger.error('Metrics endpoint failed', { path: pathname, error: err });
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end('Internal error\n');
+    }
 });
-process.on('SIGINT', async () => {
-    console.log('Shutting down...');
+
+/**
+ * Stop taking jobs, let in-flight jobs finish within SHUTDOWN_GRACE and
+ * requeue whatever is still running after that
+ */
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+
+    logger.info('Shutting down', { signal, inFlight: inFlight.size });
+    clearInterval(reaperTimer);
+    await polling;
+
+    let graceTimer;
+    const drained = await Promise.race([
+        Promise.allSettled([...inFlight]).then(() => true),
+        new Promise(r => { graceTimer = setTimeout(() => r(false), SHUTDOWN_GRACE); })
+    ]);
+    clearTimeout(graceTimer);
+
+    if (!drained) {
+        logger.warn('Grace period over, requeueing running jobs', { jobs: runningJobs.size });
+        runningJobs.forEach(controller => controller.abort(SHUTDOWN));
+        await Promise.allSettled([...inFlight]);
+    }
+
+    clearInterval(cancelTimer);
+    clearInterval(leaseTimer);
+    metricsServer.close();
+    await warming;
+    await drainSandboxPool().catch(err => logger.error('Sandbox pool cleanup failed', { error: err }));
+    await queue.retire().catch(err => logger.error('Worker deregistration failed', { error: err }));
     await redis.quit();
     await subscriber.quit();
     process.exit(0);
+}
+
+const languageErrors = loadLanguages();
+if (languageErrors.length > 0) {
+    logger.error('Invalid language definitions', { errors: languageErrors });
+    process.exit(1);
+}
+
+logger.info('Worker started', {
+    workerId: WORKER_ID,
+    languages: getLanguageIds(),
+    redis: `${REDIS_HOST}:${REDIS_PORT}`,
+    queue: QUEUE_NAME,
+    concurrency: CONCURRENCY,
+    tenantConcurrency: TENANT_CONCURRENCY,
+    visibilityTimeoutMs: VISIBILITY_TIMEOUT,
+    maxAttempts: MAX_ATTEMPTS
+});
+
+metricsServer.listen(METRICS_PORT, METRICS_HOST, () => {
+    logger.info('Metrics endpoint listening', { url: `http://${METRICS_HOST}:${METRICS_PORT}/metrics` });
 });
+
+// Jobs use fresh workspaces until the pool is warm
+const warming = warmSandboxPool(getLanguageIds())
+    .then(() => {
+        const idle = sandboxPoolIdle();
+        if (idle.length > 0) {
+            logger.info('Sandbox pool warmed', { workspaces: Object.fromEntries(idle) });
+        }
+    })
+    .catch(err => logger.error('Sandbox pool warm-up failed', { error: err }));
+const polling = pollQueue();
+const cancelTimer = setInterval(checkCancellations, CANCEL_POLL_INTERVAL);
+const leaseTimer = setInterval(() => {
+    queue.renewLeases().catch(err => logger.error('Lease renewal failed', { error: err }));
+    queue.announce(CONCURRENCY).catch(err => logger.error('Worker announce failed', { error: err }));
+    publishToolchains().catch(err => logger.error('Toolchain publish failed', { error: err }));
+}, Math.floor(VISIBILITY_TIMEOUT / 3));
+queue.announce(CONCURRENCY).catch(err => logger.error('Worker announce failed', { error: err }));
+publishToolchains().catch(err => logger.error('Toolchain publish failed', { error: err }));
+const reaperTimer = setInterval(reapOrphans, REAP_INTERVAL);
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));